@@ -7,6 +7,13 @@ const cors = require('cors');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const nodemailer = require('nodemailer');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const multer = require('multer');
+const sharp = require('sharp');
 require('dotenv').config();
 
 // --- Initialize the app and set the port ---
@@ -14,74 +21,352 @@ const app = express();
 const port = process.env.PORT || 5001;
 
 // --- Middleware ---
-app.use(cors());
+// Behind a load balancer set TRUST_PROXY (e.g. "1" or "true") so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
+// Guest chat sessions hand their token back in a header that browsers may read
+app.use(cors({ exposedHeaders: ['X-Guest-Session'] }));
 app.use(express.json());
 
-// --- Helper: Auth middleware to protect routes ---
-function authMiddleware(req, res, next) {
+// --- Roles and Permissions ---
+// Authorization is expressed as permissions; roles are just named permission sets.
+// New roles can be added here (or in ROLE_PERMISSIONS_FILE) without touching routes.
+const PERMISSIONS = {
+    STATS_READ: 'stats:read',
+    USERS_READ: 'users:read',
+    USERS_WRITE: 'users:write',
+    USERS_DELETE: 'users:delete',
+    USERS_MANAGE_ADMINS: 'users:manage-admins', // act on accounts that can themselves manage users
+    ROLES_ASSIGN: 'roles:assign',
+    SECURITY_MANAGE: 'security:manage', // login lockouts, two-factor resets
+    JOBS_MANAGE: 'jobs:manage',
+    COMPANIES_MANAGE: 'companies:manage',
+    APPLICATIONS_REVIEW: 'applications:review',
+    SYSTEM_SEED: 'system:seed',
+    SKILLS_MANAGE: 'skills:manage',
+    TOPICS_MANAGE: 'topics:manage', // chat topic classifier terms and rejected-query log
+    AI_MANAGE: 'ai:manage', // AI response cache and usage reports
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+    user: [],
+    recruiter: [PERMISSIONS.JOBS_MANAGE, PERMISSIONS.COMPANIES_MANAGE, PERMISSIONS.APPLICATIONS_REVIEW],
+    counselor: [PERMISSIONS.USERS_READ, PERMISSIONS.STATS_READ],
+    admin: [
+        PERMISSIONS.STATS_READ, PERMISSIONS.USERS_READ, PERMISSIONS.USERS_WRITE, PERMISSIONS.USERS_DELETE,
+        PERMISSIONS.SECURITY_MANAGE, PERMISSIONS.JOBS_MANAGE, PERMISSIONS.COMPANIES_MANAGE,
+        PERMISSIONS.APPLICATIONS_REVIEW, PERMISSIONS.SYSTEM_SEED, PERMISSIONS.SKILLS_MANAGE,
+        PERMISSIONS.TOPICS_MANAGE, PERMISSIONS.AI_MANAGE,
+    ],
+    superadmin: ['*'],
+};
+
+// ROLE_PERMISSIONS_FILE may add roles or replace a role's permission list, e.g. {"mentor": ["users:read"]}
+function loadRolePermissions() {
+    const rolePermissions = { ...DEFAULT_ROLE_PERMISSIONS };
+    if (!process.env.ROLE_PERMISSIONS_FILE) return rolePermissions;
     try {
-        const authHeader = req.headers.authorization || '';
-        const token = authHeader.startsWith('Bearer ')
-            ? authHeader.substring('Bearer '.length)
-            : null;
-        if (!token) return res.status(401).json({ error: 'Authorization token missing' });
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        req.user = decoded; // { userId, email, role }
-        next();
+        const overrides = JSON.parse(fs.readFileSync(process.env.ROLE_PERMISSIONS_FILE, 'utf8'));
+        for (const [role, permissions] of Object.entries(overrides)) {
+            if (Array.isArray(permissions)) rolePermissions[role] = permissions;
+        }
+        console.log(`[Config] Loaded role permissions from ${process.env.ROLE_PERMISSIONS_FILE}`);
     } catch (err) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
+        console.error(`[Config] Could not load ROLE_PERMISSIONS_FILE: ${err.message}`);
+    }
+    return rolePermissions;
+}
+
+const ROLE_PERMISSIONS = loadRolePermissions();
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+    const permissions = getPermissions(role);
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Any permission at all opens the admin panel for the routes that permission covers
+function hasAdminPanelAccess(role) {
+    return getPermissions(role).length > 0;
+}
+
+// Roles that can manage users are protected from peers without users:manage-admins
+function isAdministrativeRole(role) {
+    return hasPermission(role, PERMISSIONS.USERS_WRITE);
+}
+
+function canManageUser(actorRole, targetRole) {
+    return !isAdministrativeRole(targetRole) || hasPermission(actorRole, PERMISSIONS.USERS_MANAGE_ADMINS);
+}
+
+// --- Helper: Account suspension ---
+// isActive=false means the account is suspended. A suspension with an expiry date
+// is lifted automatically the first time the account is checked after that date.
+async function getActiveSuspension(user) {
+    if (user.isActive !== false) return null;
+
+    const suspension = user.suspension || {};
+    if (suspension.expiresAt && suspension.expiresAt <= new Date()) {
+        await User.updateOne({ _id: user._id }, { $set: { isActive: true, updatedAt: new Date() }, $unset: { suspension: 1 } });
+        return null;
+    }
+    return suspension;
+}
+
+// Validates admin input and builds the suspension record stored on the user
+function buildSuspension({ reason, suspendedUntil }, adminId) {
+    if (reason !== undefined && typeof reason !== 'string') {
+        return { error: 'Suspension reason must be a string' };
     }
+    let expiresAt;
+    if (suspendedUntil) {
+        expiresAt = new Date(suspendedUntil);
+        if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+            return { error: 'suspendedUntil must be a valid date in the future' };
+        }
+    }
+    return {
+        suspension: {
+            reason: reason ? reason.trim().slice(0, 500) : undefined,
+            suspendedAt: new Date(),
+            expiresAt,
+            suspendedBy: adminId,
+        },
+    };
+}
+
+function suspensionError(suspension) {
+    return {
+        error: 'Your account has been suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        reason: suspension.reason || null,
+        suspendedAt: suspension.suspendedAt || null,
+        suspendedUntil: suspension.expiresAt || null,
+    };
 }
 
-// --- Helper: Admin middleware to protect admin routes ---
-function adminMiddleware(req, res, next) {
+// --- Helper: Verify the bearer token and check it against the account ---
+async function authenticateRequest(req) {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ')
+        ? authHeader.substring('Bearer '.length)
+        : null;
+    if (!token) return { status: 401, error: 'Authorization token missing' };
+
+    let decoded;
     try {
-        const authHeader = req.headers.authorization || '';
-        const token = authHeader.startsWith('Bearer ')
-            ? authHeader.substring('Bearer '.length)
-            : null;
-        if (!token) return res.status(401).json({ error: 'Authorization token missing' });
-        
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-        req.user = decoded;
-        
-        // Check if user has admin role
-        if (!decoded.role || (decoded.role !== 'admin' && decoded.role !== 'superadmin')) {
+        decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    } catch (err) {
+        return { status: 401, error: 'Invalid or expired token' };
+    }
+
+    const user = await User.findById(decoded.userId).select('role passwordChangedAt isActive suspension twoFactor.enabled');
+    if (!user) return { status: 401, error: 'Invalid or expired token' };
+
+    const suspension = await getActiveSuspension(user);
+    if (suspension) {
+        const { error, ...details } = suspensionError(suspension);
+        return { status: 403, error, details };
+    }
+
+    // Tokens issued before the last password change are no longer valid
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+        return { status: 401, error: 'Session expired. Please log in again.' };
+    }
+
+    // Every access token belongs to a refresh-token session that can be revoked server-side
+    if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+        return { status: 401, error: 'Invalid or expired token' };
+    }
+    const session = await Session.findById(decoded.sid).select('userId revokedAt expiresAt');
+    if (!session || session.revokedAt || session.expiresAt <= new Date() || String(session.userId) !== String(user._id)) {
+        return { status: 401, error: 'Session has been revoked. Please log in again.' };
+    }
+
+    return { decoded, user };
+}
+
+// --- Helper: Auth middleware to protect routes ---
+async function authMiddleware(req, res, next) {
+    let auth;
+    try {
+        auth = await authenticateRequest(req);
+    } catch (err) {
+        console.error('Error in authMiddleware:', err);
+        return res.status(500).json({ error: 'Server error' });
+    }
+    if (auth.error) return res.status(auth.status).json({ error: auth.error, ...auth.details });
+    // Role comes from the account so changes apply without waiting for a new token
+    req.user = { ...auth.decoded, role: auth.user.role || 'user' }; // { userId, email, role, sid, mfa }
+    next();
+}
+
+// --- Helper: Optional auth for routes that also serve guests ---
+// Requests without an Authorization header continue anonymously. A token that is sent must be
+// valid, so a client with an expired token gets a 401 and can refresh instead of silently
+// being treated as a guest.
+function optionalAuth(req, res, next) {
+    if (!req.headers.authorization) return next();
+    return authMiddleware(req, res, next);
+}
+
+// --- Helper: Permission middleware to protect admin routes ---
+// Requires every listed permission; also enforces the two-factor policy for privileged roles.
+function requirePermission(...permissions) {
+    return async (req, res, next) => {
+        let auth;
+        try {
+            auth = await authenticateRequest(req);
+        } catch (err) {
+            console.error('Error in requirePermission:', err);
+            return res.status(500).json({ error: 'Server error' });
+        }
+        if (auth.error) return res.status(auth.status).json({ error: auth.error, ...auth.details });
+        req.user = { ...auth.decoded, role: auth.user.role || 'user' };
+
+        if (!hasAdminPanelAccess(req.user.role)) {
             return res.status(403).json({ error: 'Admin access required' });
         }
-        
+        const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+        if (missing.length > 0) {
+            return res.status(403).json({
+                error: 'You do not have permission to perform this action',
+                code: 'PERMISSION_DENIED',
+                missingPermissions: missing
+            });
+        }
+
+        // Roles in TWO_FACTOR_REQUIRED_ROLES must be enrolled and signed in with a second factor
+        if (TWO_FACTOR_REQUIRED_ROLES.includes(req.user.role)) {
+            if (!auth.user.twoFactor?.enabled) {
+                return res.status(403).json({
+                    error: 'Two-factor authentication must be enabled before accessing the admin panel',
+                    code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+                });
+            }
+            if (!req.user.mfa) {
+                return res.status(403).json({
+                    error: 'Please sign in again with your two-factor code to access the admin panel',
+                    code: 'TWO_FACTOR_REQUIRED'
+                });
+            }
+        }
+
         next();
-    } catch (err) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
-    }
+    };
 }
 
-// --- Connect to your MongoDB Database ---
-const mongoUri = process.env.MONGO_URI;
-if (!mongoUri || typeof mongoUri !== 'string' || !mongoUri.trim()) {
-    console.error('[Config] MONGO_URI is missing in environment. Create Backend/.env with MONGO_URI=mongodb://localhost:27017/careerion (or your Atlas URI).');
-    process.exit(1);
-}
-
-mongoose
-    .connect(mongoUri)
-    .then(() => {
-        console.log('MongoDB connected successfully.');
-        startServer();
-    })
-    .catch((err) => {
-        console.error('MongoDB connection error:', err);
-        process.exit(1);
-    });
+// --- Helper: Block features until the account's email address is verified ---
+// Which features are gated is configured with EMAIL_VERIFICATION_REQUIRED_FOR.
+function requireVerifiedEmail(feature) {
+    return (req, res, next) => {
+        if (!EMAIL_VERIFICATION_REQUIRED_FOR.includes(feature)) return next();
+
+        const checkVerified = async () => {
+            try {
+                const user = await User.findById(req.user.userId).select('emailVerified');
+                if (!user) return res.status(404).json({ error: 'User not found' });
+                if (!user.emailVerified) {
+                    return res.status(403).json({
+                        error: 'Please verify your email address to use this feature',
+                        code: 'EMAIL_NOT_VERIFIED'
+                    });
+                }
+            } catch (err) {
+                console.error('Error in requireVerifiedEmail:', err);
+                return res.status(500).json({ error: 'Server error' });
+            }
+            next();
+        };
+
+        // Routes that are otherwise public need a signed-in user once the policy applies
+        if (req.user) return checkVerified();
+        authMiddleware(req, res, checkVerified);
+    };
+}
 
 // --- Define the User Schema and Model ---
+// Structured history entries live inside the profile; their _id is used by the CRUD routes
+const educationEntrySchema = new mongoose.Schema({
+    level: String,
+    fieldOfStudy: String,
+    institution: { type: String, required: true },
+    startDate: Date,
+    endDate: Date,
+    current: { type: Boolean, default: false },
+    description: String,
+});
+
+const positionSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    employer: { type: String, required: true },
+    location: String,
+    startDate: { type: Date, required: true },
+    endDate: Date,
+    current: { type: Boolean, default: false },
+    description: String,
+    skills: [String],
+});
+
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
-    role: { type: String, enum: ['user', 'admin', 'superadmin'], default: 'user' },
+    // Accounts created through Google sign-in have no password until one is set via reset
+    password: { type: String, required: function () { return !this.googleId; } },
+    googleId: { type: String, unique: true, sparse: true },
+    providers: { type: [{ type: String, enum: ['password', 'google'] }], default: ['password'] },
+    // Created before sign-in providers were recorded, when Google sign-in matched accounts by
+    // email; a verified Google sign-in links these automatically (see migrateLegacyAccounts)
+    legacyGoogleSignIn: Boolean,
+    role: { type: String, enum: ROLES, default: 'user' },
     isActive: { type: Boolean, default: true },
+    // Set while isActive is false
+    suspension: {
+        reason: String,
+        suspendedAt: Date,
+        expiresAt: Date,
+        suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+    // TOTP two-factor authentication; secrets are encrypted, recovery codes hashed
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: String,
+        pendingSecret: String,
+        recoveryCodes: [String],
+        lastUsedStep: Number,
+        enabledAt: Date,
+    },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: Date,
+    emailVerificationSentAt: Date,
+    // Requested address change; email only switches once the new address confirms it
+    pendingEmail: String,
+    pendingEmailRequestedAt: Date,
     lastLogin: { type: Date },
+    // Uploaded photo (resized copies in avatar storage) and/or the Google profile picture
+    avatar: {
+        storage: String,
+        storageKey: String,
+        // Random per upload; the image URLs use it instead of the user id
+        key: { type: String, index: true, sparse: true },
+        updatedAt: Date,
+        googleUrl: String,
+    },
+    // Opt-in shareable profile at /api/public/profiles/:slug
+    publicProfile: {
+        enabled: { type: Boolean, default: false },
+        slug: { type: String, unique: true, sparse: true },
+        visibility: { type: Map, of: Boolean },
+        views: { type: Number, default: 0 },
+        lastViewedAt: Date,
+        updatedAt: Date,
+    },
     // Profile fields expected by frontend
     profile: {
         educationLevel: String,
@@ -97,12 +382,26 @@ const userSchema = new mongoose.Schema({
         preferredWorkLocation: String,
         salaryExpectations: String,
         willingToRelocate: Boolean,
+        education: [educationEntrySchema],
+        experience: [positionSchema],
     },
     profileComplete: { type: Boolean, default: false },
+    // Snapshot of scoreProfileCompleteness, refreshed at every profile save for the admin stats
+    completeness: {
+        score: Number,
+        sections: mongoose.Schema.Types.Mixed,
+        missing: [String],
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
     passwordResetToken: String,
     passwordResetExpires: Date,
+    passwordChangedAt: Date,
+    // Set when the user asks to delete their account; data is purged after scheduledFor
+    deletion: {
+        requestedAt: Date,
+        scheduledFor: Date,
+    },
 });
 
 // --- Current user (auth check) ---
@@ -110,20 +409,71 @@ app.get('/api/auth/me', authMiddleware, async (req, res) => {
     try {
         const user = await User.findById(req.user.userId).select('-password');
         if (!user) return res.status(404).json({ error: 'User not found' });
-        res.json(user);
+        res.json({ ...user.toJSON(), permissions: getPermissions(user.role) });
     } catch (error) {
         console.error('Error in /api/auth/me:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// --- Logout (stateless JWT; client should discard token) ---
-app.post('/api/auth/logout', (req, res) => {
-    res.json({ message: 'Logged out' });
+// Credentials and two-factor material never leave the server in API responses
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.passwordResetToken;
+        delete ret.passwordResetExpires;
+        Object.assign(ret, avatarUrls(doc));
+        if (ret.twoFactor) {
+            ret.twoFactor = {
+                enabled: !!ret.twoFactor.enabled,
+                enabledAt: ret.twoFactor.enabledAt,
+                recoveryCodesRemaining: (ret.twoFactor.recoveryCodes || []).length,
+            };
+        }
+        return ret;
+    },
 });
 
 const User = mongoose.model('User', userSchema);
 
+// --- Define Session Schema and Model (one per signed-in device) ---
+// A session is a refresh-token family: every refresh rotates the token, and a
+// token that was already rotated out being presented again revokes the session.
+const sessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    previousTokenHashes: [String],
+    deviceName: String,
+    userAgent: String,
+    ip: String,
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    twoFactorVerified: { type: Boolean, default: false },
+    revokedAt: Date,
+    revokedReason: String,
+});
+// Let MongoDB clean up sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// --- Define Login Attempt Schema and Model (failed-login counters for the Mongo store) ---
+const loginAttemptSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    type: { type: String, enum: ['account', 'ip'], required: true },
+    value: { type: String, required: true },
+    failures: { type: Number, default: 0 },
+    firstFailureAt: Date,
+    lastFailureAt: Date,
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    expiresAt: { type: Date, required: true },
+});
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
 // --- Define Job Schema and Model ---
 const jobSchema = new mongoose.Schema({
     title: { type: String, required: true },
@@ -156,8 +506,209 @@ const applicationSchema = new mongoose.Schema({
 
 const Application = mongoose.model('Application', applicationSchema);
 
-// --- Set up the Google Gemini AI ---
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// --- Define Profile Revision Schema and Model (history of profile edits) ---
+// Each revision stores the field-level diff and the full profile after the change,
+// so any revision can be restored directly.
+const profileRevisionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    source: { type: String, enum: ['update', 'patch', 'rollback', 'resume'], required: true },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+    }],
+    snapshot: mongoose.Schema.Types.Mixed,
+    revertedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'ProfileRevision' },
+    createdAt: { type: Date, default: Date.now },
+});
+
+const ProfileRevision = mongoose.model('ProfileRevision', profileRevisionSchema);
+
+// --- Define Resume Schema and Model (uploaded resume versions; file bytes live in resume storage) ---
+const resumeSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    checksum: String,
+    storage: { type: String, required: true },
+    storageKey: { type: String, required: true },
+    isPrimary: { type: Boolean, default: false },
+    uploadedAt: { type: Date, default: Date.now },
+    // AI-extracted profile draft, applied only once the user confirms it
+    parsed: {
+        draft: mongoose.Schema.Types.Mixed,
+        modelUsed: String,
+        parsedAt: Date,
+        confirmedAt: Date,
+    },
+});
+
+const Resume = mongoose.model('Resume', resumeSchema);
+
+// --- Define Skill Schema and Model (canonical skills taxonomy) ---
+const skillSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    // Normalized forms of the name and every synonym, used for lookups
+    keys: { type: [String], index: true },
+    synonyms: [String],
+    category: { type: String, default: 'Other' },
+    type: { type: String, enum: ['technical', 'soft'], default: 'technical' },
+    related: [String],
+    source: { type: String, enum: ['seed', 'admin'], default: 'admin' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+});
+
+const Skill = mongoose.model('Skill', skillSchema);
+
+// --- Define Data Export Schema and Model (asynchronous personal data exports) ---
+const dataExportSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    status: { type: String, enum: ['pending', 'processing', 'ready', 'failed'], default: 'pending' },
+    fileName: String,
+    size: Number,
+    error: String,
+    requestedAt: { type: Date, default: Date.now },
+    completedAt: Date,
+    expiresAt: { type: Date, required: true },
+});
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+// --- Define Conversation and Message Schemas and Models (saved chat threads) ---
+const conversationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    title: { type: String, default: 'New conversation' },
+    // False until the user renames it; the first message sets the title otherwise
+    titleIsCustom: { type: Boolean, default: false },
+    messageCount: { type: Number, default: 0 },
+    lastMessageAt: Date,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+});
+conversationSchema.index({ userId: 1, updatedAt: -1 });
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+const messageSchema = new mongoose.Schema({
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    role: { type: String, enum: ['user', 'model'], required: true },
+    text: { type: String, required: true },
+    modelUsed: String,
+    createdAt: { type: Date, default: Date.now },
+});
+messageSchema.index({ conversationId: 1, createdAt: 1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+// --- Define Topic Term Schema and Model (weighted terms for the career topic classifier) ---
+const topicTermSchema = new mongoose.Schema({
+    // Normalized word or phrase; a trailing * matches any word starting with the rest
+    term: { type: String, required: true, unique: true },
+    // Negative weights mark off-topic terms
+    weight: { type: Number, required: true },
+    source: { type: String, enum: ['seed', 'admin'], default: 'admin' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+});
+
+const TopicTerm = mongoose.model('TopicTerm', topicTermSchema);
+
+// --- Define Rejected Query Schema and Model (chat messages the topic classifier turned away) ---
+const rejectedQuerySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    text: { type: String, required: true },
+    score: Number,
+    matchedTerms: [String],
+    // Verdict of the LLM second opinion for borderline scores (null when it wasn't asked)
+    secondOpinion: { type: Boolean, default: null },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+});
+rejectedQuerySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RejectedQuery = mongoose.model('RejectedQuery', rejectedQuerySchema);
+
+// --- Define Guest Session Schema and Model (chat allowance for visitors who aren't signed in) ---
+const guestSessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    ip: { type: String, index: true },
+    messages: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+    lastMessageAt: Date,
+    expiresAt: { type: Date, required: true },
+});
+guestSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const GuestSession = mongoose.model('GuestSession', guestSessionSchema);
+
+// --- Define AI Cache Entry Schema and Model (cached model answers for the Mongo cache store) ---
+const aiCacheEntrySchema = new mongoose.Schema({
+    // sha256 of the endpoint, provider, model, final prompt and profile snapshot
+    key: { type: String, required: true, unique: true },
+    endpoint: { type: String, required: true, index: true },
+    provider: String,
+    model: String,
+    modelUsed: String,
+    // The user's question, for admins browsing the cache; the full prompt isn't stored
+    query: String,
+    text: { type: String, required: true },
+    // Whose request filled the entry (null for guests), so it can be removed with the account
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true, default: null },
+    hits: { type: Number, default: 0 },
+    createdAt: { type: Date, default: Date.now },
+    lastHitAt: Date,
+    expiresAt: { type: Date, required: true },
+});
+aiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AiCacheEntry = mongoose.model('AiCacheEntry', aiCacheEntrySchema);
+
+// --- Define AI Usage Schema and Model (one record per AI call, for quotas and cost reports) ---
+const aiUsageSchema = new mongoose.Schema({
+    // Null for guests and for accounts that have since been deleted
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    endpoint: { type: String, required: true },
+    provider: String,
+    // Model that answered (or the last one tried, for failures)
+    model: String,
+    status: { type: String, enum: ['success', 'error', 'cancelled'], required: true },
+    // Models tried, including the one that answered; more than one means fallbacks were used
+    attempts: { type: Number, default: 1 },
+    fallback: { type: Boolean, default: false },
+    streamed: { type: Boolean, default: false },
+    promptTokens: { type: Number, default: 0 },
+    responseTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    latencyMs: Number,
+    // USD, from AI_PRICES_FILE at the time of the call (null when the model has no price)
+    cost: { type: Number, default: null },
+    error: String,
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+});
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ createdAt: -1 });
+aiUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AiUsage = mongoose.model('AiUsage', aiUsageSchema);
+
+// --- AI Providers ---
+// Every model call goes through the active provider, selected with AI_PROVIDER:
+//   gemini (default)  Google Gemini through the official SDK
+//   openai            any OpenAI-compatible /chat/completions endpoint (Ollama, vLLM, LM Studio, ...)
+//   mock              deterministic scripted replies for tests and offline development
+// A provider is { name, primaryModel, fallbackModels, configurationError(), generate, chat, stream }:
+//   generate({ prompt, json, temperature }, { model, signal }) -> { text, usage }
+//   chat({ history, prompt }, { model, signal }) -> { text, usage }   history: [{ role: 'user' | 'model', text }]
+//   stream({ prompt, history, json, temperature }, { model, signal, onChunk }) -> { text, usage }
+// usage is { promptTokens, responseTokens } as reported by the model API, or null if it reported none.
+// Failed calls throw with the upstream HTTP status in error.status, so 429/503 move on to a fallback model.
+const AI_PROVIDER = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
 
 // Helper to mask sensitive keys in logs
 function maskKey(key) {
@@ -166,45 +717,426 @@ function maskKey(key) {
     return key.slice(0, 6) + key.slice(6, -2).replace(/./g, '*') + key.slice(-2);
 }
 
-if (!process.env.GEMINI_API_KEY) {
-    console.error('[Config] GEMINI_API_KEY is MISSING. /api/chat will fail until it is set.');
-} else {
-    console.log(`[Config] GEMINI_API_KEY detected: ${maskKey(process.env.GEMINI_API_KEY)}`);
+function createGeminiProvider() {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+    if (!process.env.GEMINI_API_KEY) {
+        console.error('[Config] GEMINI_API_KEY is MISSING. /api/chat will fail until it is set.');
+    } else {
+        console.log(`[Config] GEMINI_API_KEY detected: ${maskKey(process.env.GEMINI_API_KEY)}`);
+    }
+
+    // ✅ Use valid model IDs for the SDK; normalize env by stripping 'models/' prefix if present
+    const configuredModel = process.env.GEMINI_MODEL || '';
+    const normalizedModel = configuredModel.replace(/^models\//, '');
+    // Recommend a modern, stable model as the default
+    const primaryModel = normalizedModel || 'gemini-flash-latest';
+    // Fallback models in order of preference (only working models)
+    const fallbackModels = [
+        'gemini-flash-latest',
+        'gemini-2.0-flash',
+        'gemini-2.5-flash'
+    ];
+
+    console.log(`Primary Gemini model: ${primaryModel}${configuredModel && configuredModel !== primaryModel ? ` (normalized from ${configuredModel})` : ''}`);
+    console.log(`Fallback models available: ${fallbackModels.join(', ')}`);
+
+    const toContents = (history) => history.map(message => ({
+        role: message.role === 'user' ? 'user' : 'model',
+        parts: [{ text: message.text }]
+    }));
+    const toUsage = (metadata) => metadata
+        ? { promptTokens: metadata.promptTokenCount || 0, responseTokens: metadata.candidatesTokenCount || 0 }
+        : null;
+    const toRequest = ({ prompt, json, temperature }) => json || temperature !== undefined
+        ? {
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig: { ...(json && { responseMimeType: 'application/json' }), ...(temperature !== undefined && { temperature }) },
+        }
+        : prompt;
+
+    return {
+        name: 'gemini',
+        primaryModel,
+        fallbackModels,
+        configurationError: () => process.env.GEMINI_API_KEY ? null : 'GEMINI_API_KEY is not configured on the server.',
+        async generate(request, { model, signal } = {}) {
+            const result = await genAI.getGenerativeModel({ model }).generateContent(toRequest(request), { signal });
+            return { text: result.response.text(), usage: toUsage(result.response.usageMetadata) };
+        },
+        async chat({ history, prompt }, { model, signal } = {}) {
+            const chat = genAI.getGenerativeModel({ model }).startChat({ history: toContents(history) });
+            const result = await chat.sendMessage(prompt, { signal });
+            return { text: result.response.text(), usage: toUsage(result.response.usageMetadata) };
+        },
+        async stream(request, { model, signal, onChunk }) {
+            const generativeModel = genAI.getGenerativeModel({ model });
+            const result = request.history?.length
+                ? await generativeModel.startChat({ history: toContents(request.history) }).sendMessageStream(request.prompt, { signal })
+                : await generativeModel.generateContentStream(toRequest(request), { signal });
+            // Failures surface through result.stream; the aggregated promise would otherwise reject unhandled
+            const aggregated = result.response.catch(() => null);
+            let text = '';
+            for await (const chunk of result.stream) {
+                const piece = chunk.text();
+                if (!piece) continue;
+                text += piece;
+                onChunk(piece);
+            }
+            return { text, usage: toUsage((await aggregated)?.usageMetadata) };
+        },
+    };
+}
+
+// For locally hosted models: AI_BASE_URL points at the server's OpenAI-compatible API
+// (e.g. http://localhost:11434/v1 for Ollama), AI_MODEL names the model to use.
+function createOpenAICompatibleProvider() {
+    const baseUrl = (process.env.AI_BASE_URL || '').replace(/\/+$/, '');
+    const apiKey = process.env.AI_API_KEY;
+    const primaryModel = process.env.AI_MODEL || '';
+
+    console.log(`[AI] OpenAI-compatible provider: ${baseUrl || '(AI_BASE_URL not set)'}, model ${primaryModel || '(AI_MODEL not set)'}${apiKey ? `, key ${maskKey(apiKey)}` : ''}`);
+
+    const toBody = ({ prompt, history = [], json, temperature }, model) => ({
+        model,
+        messages: [
+            ...history.map(message => ({ role: message.role === 'user' ? 'user' : 'assistant', content: message.text })),
+            { role: 'user', content: prompt },
+        ],
+        ...(json && { response_format: { type: 'json_object' } }),
+        ...(temperature !== undefined && { temperature }),
+    });
+    const toUsage = (usage) => usage
+        ? { promptTokens: usage.prompt_tokens || 0, responseTokens: usage.completion_tokens || 0 }
+        : null;
+
+    const complete = async (body, signal) => {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+            body: JSON.stringify(body),
+            signal,
+        });
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw Object.assign(new Error(`AI provider returned ${response.status}: ${detail.slice(0, 200)}`), { status: response.status });
+        }
+        return response;
+    };
+
+    const generate = async (request, { model, signal } = {}) => {
+        const response = await complete(toBody(request, model), signal);
+        const data = await response.json();
+        return { text: data.choices?.[0]?.message?.content || '', usage: toUsage(data.usage) };
+    };
+
+    return {
+        name: 'openai',
+        primaryModel,
+        fallbackModels: splitList(process.env.AI_FALLBACK_MODELS || ''),
+        configurationError: () => {
+            if (!baseUrl) return 'AI_BASE_URL is not configured on the server.';
+            if (!primaryModel) return 'AI_MODEL is not configured on the server.';
+            return null;
+        },
+        generate,
+        chat: generate,
+        async stream(request, { model, signal, onChunk }) {
+            // include_usage adds a final chunk with the token counts
+            const response = await complete({ ...toBody(request, model), stream: true, stream_options: { include_usage: true } }, signal);
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let text = '';
+            let usage = null;
+            // The body is SSE: "data: {json}" lines, terminated by "data: [DONE]"
+            for await (const bytes of response.body) {
+                buffer += decoder.decode(bytes, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) continue;
+                    const data = line.slice(5).trim();
+                    if (!data || data === '[DONE]') continue;
+                    const event = JSON.parse(data);
+                    if (event.usage) usage = toUsage(event.usage);
+                    const piece = event.choices?.[0]?.delta?.content;
+                    if (!piece) continue;
+                    text += piece;
+                    onChunk(piece);
+                }
+            }
+            return { text, usage };
+        },
+    };
+}
+
+const MOCK_AI_REPLY = `**Mock AI response.** This reply comes from the offline mock provider (AI_PROVIDER=mock), so it is the same for every question.
+
+1. **Assess where you are**: list your current skills, the work you enjoy and the roles that interest you.
+2. **Close the gaps**: pick one or two skills that appear in most postings for those roles and plan a course or project for each.
+3. **Build evidence**: keep a short portfolio or list of achievements with measurable results.
+4. **Reach out**: talk to people already doing the job and ask what they would learn first.
+5. **Review monthly**: track applications and interviews and adjust the plan as you learn more.`;
+
+// Deterministic provider for tests and offline development. Rules are checked in order:
+//   { match, reply, error, model }
+// match is a substring of (or RegExp tested against) the prompt, omitted to match everything;
+// reply is a string or (request) => string; error ({ status, message }) makes the call fail instead;
+// model limits the rule to one model, e.g. to make the primary model fail and exercise fallbacks.
+// Unmatched prompts get MOCK_AI_REPLY ({"mock":true} for JSON requests). Every call is recorded in calls.
+// Token usage is estimated at four characters per token.
+function createMockAiProvider(rules = [], { chunkDelayMs = 0 } = {}) {
+    const calls = [];
+
+    const respond = (request, model) => {
+        const prompt = request.prompt || '';
+        calls.push({ model, prompt, history: request.history || [], json: !!request.json });
+        const rule = rules.find(candidate =>
+            (!candidate.model || candidate.model === model) &&
+            (candidate.match === undefined || (candidate.match instanceof RegExp ? candidate.match.test(prompt) : prompt.includes(candidate.match))));
+        if (rule?.error) {
+            throw Object.assign(new Error(rule.error.message || 'Mock provider error'), { status: rule.error.status });
+        }
+        if (rule?.reply !== undefined) return typeof rule.reply === 'function' ? rule.reply(request) : rule.reply;
+        return request.json ? '{"mock":true}' : MOCK_AI_REPLY;
+    };
+
+    const estimateTokens = (text) => Math.ceil(text.length / 4);
+    const usageFor = (request, text) => ({
+        promptTokens: estimateTokens([...(request.history || []).map(turn => turn.text), request.prompt || ''].join('\n')),
+        responseTokens: estimateTokens(text),
+    });
+
+    const generate = async (request, { model } = {}) => {
+        const text = respond(request, model);
+        return { text, usage: usageFor(request, text) };
+    };
+
+    return {
+        name: 'mock',
+        primaryModel: 'mock-model',
+        fallbackModels: ['mock-model', 'mock-fallback'],
+        calls,
+        configurationError: () => null,
+        generate,
+        chat: generate,
+        async stream(request, { model, signal, onChunk }) {
+            const text = respond(request, model);
+            // Word by word, so clients see the same incremental delivery as a real model
+            for (const piece of text.match(/\S+\s*/g) || []) {
+                if (signal?.aborted) throw Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+                onChunk(piece);
+                if (chunkDelayMs) await new Promise(resolve => setTimeout(resolve, chunkDelayMs));
+            }
+            return { text, usage: usageFor(request, text) };
+        },
+    };
 }
 
-// ✅ Use valid model IDs for the SDK; normalize env by stripping 'models/' prefix if present
-const _configuredModel = process.env.GEMINI_MODEL || '';
-const _normalizedModel = _configuredModel.replace(/^models\//, '');
-// Recommend a modern, stable model as the default
-const PRIMARY_MODEL = _normalizedModel || 'gemini-flash-latest';
+// AI_MOCK_SCRIPT: JSON array of rules as above, with "pattern" (a case-insensitive regex) in place of a RegExp match
+function loadMockAiScript(filePath) {
+    const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return rules.map(({ pattern, ...rule }) => pattern ? { ...rule, match: new RegExp(pattern, 'i') } : rule);
+}
 
-// Fallback models in order of preference (only working models)
-const FALLBACK_MODELS = [
-    'gemini-flash-latest',
-    'gemini-2.0-flash',
-    'gemini-2.5-flash'
-];
+function createAiProvider(name) {
+    switch (name) {
+        case 'gemini':
+            return createGeminiProvider();
+        case 'openai':
+            return createOpenAICompatibleProvider();
+        case 'mock':
+            console.log(`[AI] Using the mock provider${process.env.AI_MOCK_SCRIPT ? ` with script ${process.env.AI_MOCK_SCRIPT}` : ''}`);
+            return createMockAiProvider(process.env.AI_MOCK_SCRIPT ? loadMockAiScript(process.env.AI_MOCK_SCRIPT) : []);
+        default:
+            throw new Error(`Unknown AI_PROVIDER "${name}". Use gemini, openai or mock.`);
+    }
+}
+
+let aiProvider = createAiProvider(AI_PROVIDER);
+// Accepts a provider object or one of the AI_PROVIDER names
+app.locals.setAiProvider = (provider) => { aiProvider = typeof provider === 'string' ? createAiProvider(provider) : provider; };
+app.locals.createMockAiProvider = createMockAiProvider;
+
+// --- AI Usage Metering and Quotas ---
+// Every model call is recorded in AiUsage with the user, endpoint, model, token counts, latency
+// and number of models tried. Callers pass a meter ({ userId, endpoint }) saying who the call is for.
+// Signed-in users are limited per role by daily and monthly quotas (UTC days and calendar months);
+// guests are limited by the guest chat allowance instead.
+const AI_USAGE_RETENTION_DAYS = parseInt(process.env.AI_USAGE_RETENTION_DAYS, 10) || 400;
+const AI_PRICES_FILE = process.env.AI_PRICES_FILE || path.join(__dirname, 'data', 'ai-prices.json');
+
+// Limits are AI calls (requests) and prompt plus response tokens; a missing or null limit is unlimited.
+// "default" applies to every role without its own entry.
+const DEFAULT_AI_QUOTAS = {
+    default: { dailyRequests: 100, monthlyRequests: 1500, dailyTokens: null, monthlyTokens: 3000000 },
+    admin: {},
+    superadmin: {},
+};
+
+// AI_QUOTAS_FILE may add or replace role quotas, e.g. {"recruiter": {"dailyRequests": 20}}
+function loadAiQuotas() {
+    const quotas = { ...DEFAULT_AI_QUOTAS };
+    if (!process.env.AI_QUOTAS_FILE) return quotas;
+    try {
+        const overrides = JSON.parse(fs.readFileSync(process.env.AI_QUOTAS_FILE, 'utf8'));
+        for (const [role, quota] of Object.entries(overrides)) {
+            if (quota && typeof quota === 'object') quotas[role] = quota;
+        }
+        console.log(`[Config] Loaded AI quotas from ${process.env.AI_QUOTAS_FILE}`);
+    } catch (err) {
+        console.error(`[Config] Could not load AI_QUOTAS_FILE: ${err.message}`);
+    }
+    return quotas;
+}
+
+// USD per million tokens by model: {"gemini-2.0-flash": {"input": 0.10, "output": 0.40}}
+function loadAiPrices() {
+    try {
+        return JSON.parse(fs.readFileSync(AI_PRICES_FILE, 'utf8'));
+    } catch (err) {
+        console.error(`[Config] Could not load ${AI_PRICES_FILE}; AI costs will not be reported: ${err.message}`);
+        return {};
+    }
+}
+
+const AI_QUOTAS = loadAiQuotas();
+const AI_PRICES = loadAiPrices();
+
+function getAiQuota(role) {
+    return AI_QUOTAS[role] || AI_QUOTAS.default || {};
+}
+
+function aiCallCost(model, usage) {
+    const price = AI_PRICES[model];
+    if (!price || !usage) return null;
+    const cost = (usage.promptTokens * (price.input || 0) + usage.responseTokens * (price.output || 0)) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+// Records one AI call. attempts counts the models tried, the answering one included.
+// Failures are recorded too, so fallbacks and outages show up in the reports.
+async function recordAiCall(meter = {}, { model, attempts = 1, usage = null, startedAt, streamed = false, error = null, status }) {
+    const promptTokens = usage?.promptTokens || 0;
+    const responseTokens = usage?.responseTokens || 0;
+    try {
+        await AiUsage.create({
+            userId: meter.userId || null,
+            endpoint: meter.endpoint || 'other',
+            provider: aiProvider.name,
+            model,
+            status: status || (error ? 'error' : 'success'),
+            attempts,
+            fallback: model !== aiProvider.primaryModel,
+            streamed,
+            promptTokens,
+            responseTokens,
+            totalTokens: promptTokens + responseTokens,
+            latencyMs: Date.now() - startedAt,
+            cost: aiCallCost(model, usage),
+            error: error ? String(error.message).slice(0, 200) : undefined,
+            expiresAt: new Date(Date.now() + AI_USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+        });
+    } catch (err) {
+        console.error(`[AI Usage] Could not record call: ${err.message}`);
+    }
+}
+
+function aiQuotaPeriods(now = new Date()) {
+    return {
+        dayStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+        nextDay: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)),
+        monthStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+        nextMonth: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)),
+    };
+}
+
+// Successful calls and tokens (of all calls) in the current UTC day and month
+async function getAiUsageTotals(userId, now = new Date()) {
+    const { dayStart, monthStart } = aiQuotaPeriods(now);
+    const isSuccess = { $eq: ['$status', 'success'] };
+    const isToday = { $gte: ['$createdAt', dayStart] };
+    const [totals] = await AiUsage.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(userId), createdAt: { $gte: monthStart } } },
+        {
+            $group: {
+                _id: null,
+                dailyRequests: { $sum: { $cond: [{ $and: [isSuccess, isToday] }, 1, 0] } },
+                monthlyRequests: { $sum: { $cond: [isSuccess, 1, 0] } },
+                dailyTokens: { $sum: { $cond: [isToday, '$totalTokens', 0] } },
+                monthlyTokens: { $sum: '$totalTokens' },
+            }
+        }
+    ]);
+    return {
+        dailyRequests: totals?.dailyRequests || 0,
+        monthlyRequests: totals?.monthlyRequests || 0,
+        dailyTokens: totals?.dailyTokens || 0,
+        monthlyTokens: totals?.monthlyTokens || 0,
+    };
+}
+
+// Returns null when the user may make another AI call, or the 429 payload saying which limit is used up
+async function checkAiQuota(userId, role, now = new Date()) {
+    const quota = getAiQuota(role);
+    const limited = Object.keys(quota).filter(limit => typeof quota[limit] === 'number');
+    if (limited.length === 0) return null;
+
+    const usage = await getAiUsageTotals(userId, now);
+    const exceeded = limited.find(limit => usage[limit] >= quota[limit]);
+    if (!exceeded) return null;
+
+    const { nextDay, nextMonth } = aiQuotaPeriods(now);
+    const period = exceeded.startsWith('daily') ? 'daily' : 'monthly';
+    return {
+        error: `You have reached your ${period} AI usage limit. Please try again later.`,
+        code: 'AI_QUOTA_EXCEEDED',
+        limit: exceeded,
+        quota: quota[exceeded],
+        used: usage[exceeded],
+        retryAfter: secondsUntil(period === 'daily' ? nextDay : nextMonth),
+    };
+}
+
+// Rejects signed-in users over their role's quota; guests pass through to their own allowance
+async function enforceAiQuota(req, res, next) {
+    if (!req.user) return next();
+    try {
+        const exceeded = await checkAiQuota(req.user.userId, req.user.role);
+        if (exceeded) {
+            res.set('Retry-After', String(exceeded.retryAfter));
+            return res.status(429).json(exceeded);
+        }
+        next();
+    } catch (error) {
+        console.error('Error in enforceAiQuota:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
 
-console.log(`Primary Gemini model: ${PRIMARY_MODEL}${_configuredModel && _configuredModel !== PRIMARY_MODEL ? ` (normalized from ${_configuredModel})` : ''}`);
-console.log(`Fallback models available: ${FALLBACK_MODELS.join(', ')}`);
+function aiModelsToTry() {
+    return [aiProvider.primaryModel, ...aiProvider.fallbackModels.filter(m => m !== aiProvider.primaryModel)];
+}
 
-// Helper function to try multiple models with fallback
-async function generateContentWithFallback(prompt, retryCount = 0) {
-    const modelsToTry = [PRIMARY_MODEL, ...FALLBACK_MODELS.filter(m => m !== PRIMARY_MODEL)];
+// Helper function to try multiple models with fallback; request is a prompt string or { prompt, json, temperature }.
+// meter ({ userId, endpoint }) attributes the recorded usage.
+async function generateContentWithFallback(request, { meter } = {}) {
+    const modelsToTry = aiModelsToTry();
+    const input = typeof request === 'string' ? { prompt: request } : request;
+    const startedAt = Date.now();
     
     for (let i = 0; i < modelsToTry.length; i++) {
         const modelName = modelsToTry[i];
         try {
-            console.log(`[AI] Attempting with model: ${modelName} (attempt ${retryCount + 1})`);
-            const model = genAI.getGenerativeModel({ model: modelName });
-            const result = await model.generateContent(prompt);
-            const text = result.response.text();
+            console.log(`[AI] Attempting with model: ${modelName} (attempt ${i + 1})`);
+            const { text, usage } = await aiProvider.generate(input, { model: modelName });
             
-            if (modelName !== PRIMARY_MODEL) {
+            if (modelName !== aiProvider.primaryModel) {
                 console.log(`[AI] ✅ Success with fallback model: ${modelName}`);
             }
             
-            return { text, modelUsed: modelName };
+            await recordAiCall(meter, { model: modelName, attempts: i + 1, usage, startedAt });
+            return { text, modelUsed: modelName, usage };
         } catch (error) {
             console.log(`[AI] ❌ Model ${modelName} failed: ${error.message}`);
             
@@ -216,78 +1148,811 @@ async function generateContentWithFallback(prompt, retryCount = 0) {
             
             // For other errors, if it's the last model, throw the error
             if (i === modelsToTry.length - 1) {
+                await recordAiCall(meter, { model: modelName, attempts: i + 1, startedAt, error });
                 throw error;
             }
         }
     }
     
-    throw new Error('All models failed or are unavailable');
-}
-
-// Warn if JWT secret is not configured
-if (!process.env.JWT_SECRET) {
-    console.warn('[Config] JWT_SECRET is not set. Falling back to an insecure default. Set JWT_SECRET in your .env for production.');
+    const error = new Error('All models failed or are unavailable');
+    await recordAiCall(meter, { model: modelsToTry[modelsToTry.length - 1], attempts: modelsToTry.length, startedAt, error });
+    throw error;
 }
 
-// --- User Authentication Routes ---
-app.post('/api/auth/signup', async (req, res) => {
-    try {
-        const { name, email, password } = req.body;
+// Streaming counterpart of generateContentWithFallback. With history the prompt is sent as the
+// next turn of a chat session. A model that fails before producing any text is skipped for the
+// next one; once text has been passed to onChunk the error is thrown (with afterOutput set).
+async function streamContentWithFallback({ prompt, history, onChunk, signal, meter }) {
+    const modelsToTry = aiModelsToTry();
+    const startedAt = Date.now();
+    let lastError = null;
 
-        if (!name || !email || !password) {
-            return res.status(400).json({ error: 'All fields are required' });
-        }
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    for (let i = 0; i < modelsToTry.length; i++) {
+        const modelName = modelsToTry[i];
+        const call = { model: modelName, attempts: i + 1, startedAt, streamed: true };
+        let emitted = false;
+        try {
+            console.log(`[AI] Streaming with model: ${modelName}`);
+            const { text, usage } = await aiProvider.stream({ prompt, history }, {
+                model: modelName,
+                signal,
+                onChunk: (piece) => {
+                    emitted = true;
+                    onChunk(piece);
+                },
+            });
+            await recordAiCall(meter, { ...call, usage });
+            return { text, modelUsed: modelName, usage };
+        } catch (error) {
+            if (signal?.aborted) {
+                await recordAiCall(meter, { ...call, error, status: 'cancelled' });
+                throw error;
+            }
+            if (emitted) {
+                await recordAiCall(meter, { ...call, error });
+                throw Object.assign(error, { afterOutput: true });
+            }
+            console.log(`[AI] ❌ Streaming with ${modelName} failed: ${error.message}`);
+            lastError = error;
         }
+    }
 
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.status(400).json({ error: 'User with this email already exists' });
-        }
+    const error = lastError || new Error('All models failed or are unavailable');
+    await recordAiCall(meter, { model: modelsToTry[modelsToTry.length - 1], attempts: modelsToTry.length, startedAt, streamed: true, error });
+    throw error;
+}
 
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const newUser = new User({ name, email, password: hashedPassword });
-        await newUser.save();
+// --- AI Response Cache ---
+// Single-turn answers are cached under a hash of the final prompt, the profile it was built from
+// and the configured provider and model, so a repeated question doesn't reach the model again.
+// Each endpoint has its own TTL (0 turns caching off for it). The memory store is per-process;
+// the Mongo store is shared between instances. AI_CACHE_STORE=off disables the cache.
+const AI_CACHE_STORE = (process.env.AI_CACHE_STORE || 'mongo').toLowerCase();
+const AI_CACHE_MAX_ENTRIES = parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || 1000; // memory store only
+const AI_CACHE_TTL_SECONDS = {
+    chat: aiCacheTtl('AI_CACHE_TTL_CHAT_SECONDS', 60 * 60),
+    careerRecommendations: aiCacheTtl('AI_CACHE_TTL_RECOMMENDATIONS_SECONDS', 24 * 60 * 60),
+};
+
+function aiCacheTtl(name, defaultSeconds) {
+    return process.env[name] !== undefined ? parseInt(process.env[name], 10) || 0 : defaultSeconds;
+}
 
-        const token = jwt.sign(
-            { userId: newUser._id, email: newUser.email },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '7d' }
-        );
+// Stores implement get (counts a hit), peek, set, list, remove and purge. Entries look like
+// AiCacheEntry documents: { key, endpoint, provider, model, modelUsed, query, text, userId, hits, ... }
+function createMemoryAiCacheStore(maxEntries = AI_CACHE_MAX_ENTRIES) {
+    const entries = new Map();
+
+    const isExpired = (entry) => entry.expiresAt <= new Date();
+    const matches = (entry, { endpoint, userId } = {}) =>
+        (!endpoint || entry.endpoint === endpoint) && (!userId || String(entry.userId) === String(userId));
+
+    return {
+        name: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry || isExpired(entry)) {
+                entries.delete(key);
+                return null;
+            }
+            entry.hits += 1;
+            entry.lastHitAt = new Date();
+            return { ...entry };
+        },
+        async peek(key) {
+            const entry = entries.get(key);
+            return entry && !isExpired(entry) ? { ...entry } : null;
+        },
+        async set(entry) {
+            entries.delete(entry.key);
+            entries.set(entry.key, { ...entry, hits: 0, createdAt: new Date() });
+            // Maps keep insertion order, so the oldest entries are dropped first
+            while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        },
+        async list({ endpoint, skip = 0, limit = 50 } = {}) {
+            const live = Array.from(entries.values())
+                .filter(entry => !isExpired(entry) && matches(entry, { endpoint }))
+                .sort((a, b) => b.createdAt - a.createdAt);
+            return { entries: live.slice(skip, skip + limit).map(entry => ({ ...entry })), total: live.length };
+        },
+        async remove(key) {
+            return entries.delete(key);
+        },
+        async purge(filter = {}) {
+            let deleted = 0;
+            for (const [key, entry] of entries) {
+                if (!matches(entry, filter)) continue;
+                entries.delete(key);
+                deleted += 1;
+            }
+            return deleted;
+        },
+    };
+}
 
-        res.status(201).json({
-            message: 'User created successfully',
-            user: { _id: newUser._id, name: newUser.name, email: newUser.email, createdAt: newUser.createdAt },
-            token
-        });
+function createMongoAiCacheStore() {
+    return {
+        name: 'mongo',
+        async get(key) {
+            return AiCacheEntry.findOneAndUpdate(
+                { key, expiresAt: { $gt: new Date() } },
+                { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+                { new: true }
+            ).select('-_id -__v').lean();
+        },
+        async peek(key) {
+            return AiCacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).select('-_id -__v').lean();
+        },
+        async set(entry) {
+            await AiCacheEntry.updateOne(
+                { key: entry.key },
+                { $set: { ...entry, hits: 0, createdAt: new Date() }, $unset: { lastHitAt: 1 } },
+                { upsert: true }
+            );
+        },
+        async list({ endpoint, skip = 0, limit = 50 } = {}) {
+            const query = { expiresAt: { $gt: new Date() } };
+            if (endpoint) query.endpoint = endpoint;
+            const entries = await AiCacheEntry.find(query).select('-_id -__v').sort({ createdAt: -1 }).skip(skip).limit(limit).lean();
+            return { entries, total: await AiCacheEntry.countDocuments(query) };
+        },
+        async remove(key) {
+            const result = await AiCacheEntry.deleteOne({ key });
+            return result.deletedCount > 0;
+        },
+        async purge({ endpoint, userId } = {}) {
+            const query = {};
+            if (endpoint) query.endpoint = endpoint;
+            if (userId) query.userId = userId;
+            const result = await AiCacheEntry.deleteMany(query);
+            return result.deletedCount;
+        },
+    };
+}
 
-    } catch (error) {
-        console.error('Error in signup:', error);
-        res.status(500).json({ error: 'Server error during signup' });
+function createAiCacheStore(name) {
+    switch (name) {
+        case 'memory':
+            return createMemoryAiCacheStore();
+        case 'mongo':
+            return createMongoAiCacheStore();
+        case 'off':
+            return null;
+        default:
+            throw new Error(`Unknown AI_CACHE_STORE "${name}". Use mongo, memory or off.`);
     }
-});
+}
 
-app.post('/api/auth/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
+let aiCacheStore = createAiCacheStore(AI_CACHE_STORE);
+console.log(`[AI Cache] Store: ${aiCacheStore ? aiCacheStore.name : 'off'}`);
+// Accepts a store object, one of the AI_CACHE_STORE names, or null to turn caching off
+app.locals.setAiCacheStore = (store) => { aiCacheStore = typeof store === 'string' ? createAiCacheStore(store) : store; };
+
+function aiCacheKey(endpoint, input, profile) {
+    return crypto.createHash('sha256').update(JSON.stringify({
+        endpoint,
+        provider: aiProvider.name,
+        model: aiProvider.primaryModel,
+        prompt: input.prompt,
+        json: !!input.json,
+        temperature: input.temperature ?? null,
+        profile: profile ?? null,
+    })).digest('hex');
+}
 
-        if (!email || !password) return res.status(400).json({ error: 'Email and password are required' });
+// Cached front for generateContentWithFallback. With onChunk a miss is streamed through
+// streamContentWithFallback and a hit is sent as a single chunk. query (the user's question)
+// and userId are stored with the entry; a miss is metered with meter. Returns { text, modelUsed, cached, cachedAt }.
+async function generateCachedContent({ endpoint, request, profile, query, userId, onChunk, signal, meter }) {
+    const input = typeof request === 'string' ? { prompt: request } : request;
+    const ttlSeconds = AI_CACHE_TTL_SECONDS[endpoint] || 0;
+    const store = ttlSeconds > 0 ? aiCacheStore : null;
+    const key = store ? aiCacheKey(endpoint, input, profile) : null;
 
-        const user = await User.findOne({ email });
-        if (!user) return res.status(401).json({ error: 'Invalid email or password' });
+    if (store) {
+        try {
+            const entry = await store.get(key);
+            if (entry) {
+                console.log(`[AI Cache] Hit for ${endpoint} (${key.slice(0, 12)})`);
+                if (onChunk) onChunk(entry.text);
+                return { text: entry.text, modelUsed: entry.modelUsed, cached: true, cachedAt: entry.createdAt };
+            }
+        } catch (error) {
+            // A broken cache only costs the model call
+            console.error(`[AI Cache] Lookup failed: ${error.message}`);
+        }
+    }
 
-        const isPasswordValid = await bcrypt.compare(password, user.password);
-        if (!isPasswordValid) return res.status(401).json({ error: 'Invalid email or password' });
+    const result = onChunk
+        ? await streamContentWithFallback({ prompt: input.prompt, onChunk, signal, meter })
+        : await generateContentWithFallback(input, { meter });
+
+    if (store && result.text) {
+        try {
+            await store.set({
+                key,
+                endpoint,
+                provider: aiProvider.name,
+                model: aiProvider.primaryModel,
+                modelUsed: result.modelUsed,
+                query: typeof query === 'string' ? query.slice(0, 200) : undefined,
+                text: result.text,
+                userId: userId || null,
+                expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+            });
+        } catch (error) {
+            console.error(`[AI Cache] Could not store entry: ${error.message}`);
+        }
+    }
+    return { ...result, cached: false, cachedAt: null };
+}
+
+// --- Server-Sent Events ---
+const SSE_HEARTBEAT_SECONDS = 15;
+
+// Clients ask for a streamed response with "Accept: text/event-stream" or ?stream=true
+function wantsEventStream(req) {
+    return req.query.stream === 'true' || (req.get('Accept') || '').includes('text/event-stream');
+}
+
+// Switches the response to SSE. The returned signal aborts when the client disconnects,
+// which cancels the upstream model request.
+function openEventStream(res) {
+    const controller = new AbortController();
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    // Comment lines keep proxies from closing an idle connection while the model is thinking
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_SECONDS * 1000);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) controller.abort();
+    });
+
+    return {
+        signal: controller.signal,
+        send(event, data) {
+            if (res.writableEnded || controller.signal.aborted) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        end() {
+            clearInterval(heartbeat);
+            if (!res.writableEnded) res.end();
+        },
+    };
+}
+
+// Relays generate(onChunk, signal) to the client as "chunk" events ({ text }), followed by a
+// "done" event with the payload returned by finish(result), or an "error" event ({ error }).
+async function streamAiResponse(res, { label, generate, finish, describeError }) {
+    const stream = openEventStream(res);
+    try {
+        const result = await generate(text => stream.send('chunk', { text }), stream.signal);
+        stream.send('done', await finish(result));
+    } catch (error) {
+        if (stream.signal.aborted) {
+            console.log(`[AI] ${label} stream cancelled by the client`);
+        } else {
+            console.error(`Error streaming ${label}:`, error);
+            stream.send('error', { error: describeError(error) });
+        }
+    } finally {
+        stream.end();
+    }
+}
+
+// Warn if JWT secret is not configured
+if (!process.env.JWT_SECRET) {
+    console.warn('[Config] JWT_SECRET is not set. Falling back to an insecure default. Set JWT_SECRET in your .env for production.');
+}
+
+// --- Email Delivery ---
+// MAIL_TRANSPORT selects how mail leaves the server:
+//   smtp - real delivery through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file - each message is written as an .eml file to MAIL_OUTBOX_DIR (local development)
+//   json - messages are kept in memory (app.locals.mailOutbox) and logged (default without SMTP_HOST, used by tests)
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json')).toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || 'Careerion <no-reply@careerion.com>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox');
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const EMAIL_VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60;
+// Comma-separated list of features that need a verified email: chat, applications (or "none")
+const EMAIL_VERIFICATION_REQUIRED_FOR = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? 'applications')
+    .split(',')
+    .map(feature => feature.trim().toLowerCase())
+    .filter(feature => feature && feature !== 'none');
+
+function createMailTransport() {
+    if (MAIL_TRANSPORT === 'smtp') {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+    }
+    if (MAIL_TRANSPORT === 'file') {
+        return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+    if (MAIL_TRANSPORT !== 'json') {
+        console.warn(`[Mail] Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}", falling back to json transport`);
+    }
+    return nodemailer.createTransport({ jsonTransport: true });
+}
+
+const mailTransport = createMailTransport();
+const mailOutbox = [];
+app.locals.mailOutbox = mailOutbox;
+console.log(`[Mail] Using ${MAIL_TRANSPORT} transport`);
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Wraps template content in the shared Careerion email layout
+function renderEmailLayout(title, bodyHtml) {
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; background: #f5f7fb; padding: 24px;">
+  <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 32px;">
+    <h2 style="color: #1f2937; margin-top: 0;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">Careerion &middot; AI-powered career guidance</p>
+  </div>
+</body>
+</html>`;
+}
+
+const emailTemplates = {
+    passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+        subject: 'Reset your Careerion password',
+        text: `Hi ${name || 'there'},\n\nWe received a request to reset your Careerion password. Use the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+        html: renderEmailLayout('Reset your password', `
+    <p>Hi ${escapeHtml(name || 'there')},</p>
+    <p>We received a request to reset your Careerion password. Click the button below to choose a new one.</p>
+    <p><a href="${escapeHtml(resetUrl)}" style="display: inline-block; background: #4f46e5; color: #ffffff; padding: 12px 20px; border-radius: 6px; text-decoration: none;">Reset password</a></p>
+    <p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`),
+    }),
+    emailVerification: ({ name, verifyUrl, expiresIn }) => ({
+        subject: 'Verify your Careerion email address',
+        text: `Hi ${name || 'there'},\n\nPlease confirm that this is your email address by opening the link below:\n\n${verifyUrl}\n\nThe link is valid for ${expiresIn}. If you didn't create a Careerion account, you can ignore this email.`,
+        html: renderEmailLayout('Verify your email', `
+    <p>Hi ${escapeHtml(name || 'there')},</p>
+    <p>Please confirm that this is your email address.</p>
+    <p><a href="${escapeHtml(verifyUrl)}" style="display: inline-block; background: #4f46e5; color: #ffffff; padding: 12px 20px; border-radius: 6px; text-decoration: none;">Verify email</a></p>
+    <p>The link is valid for ${escapeHtml(expiresIn)}. If you didn't create a Careerion account, you can ignore this email.</p>`),
+    }),
+    emailChangeVerification: ({ name, verifyUrl, expiresIn }) => ({
+        subject: 'Confirm your new Careerion email address',
+        text: `Hi ${name || 'there'},\n\nConfirm that you want to use this address for your Careerion account by opening the link below:\n\n${verifyUrl}\n\nThe link is valid for ${expiresIn}. Until then your account keeps its current address. If you didn't ask for this, you can ignore this email.`,
+        html: renderEmailLayout('Confirm your new email', `
+    <p>Hi ${escapeHtml(name || 'there')},</p>
+    <p>Confirm that you want to use this address for your Careerion account.</p>
+    <p><a href="${escapeHtml(verifyUrl)}" style="display: inline-block; background: #4f46e5; color: #ffffff; padding: 12px 20px; border-radius: 6px; text-decoration: none;">Confirm email</a></p>
+    <p>The link is valid for ${escapeHtml(expiresIn)}. Until then your account keeps its current address. If you didn't ask for this, you can ignore this email.</p>`),
+    }),
+    emailChangeRequested: ({ name, newEmail }) => ({
+        subject: 'An email change was requested for your Careerion account',
+        text: `Hi ${name || 'there'},\n\nSomeone asked to change the email address for your Careerion account to ${newEmail}. The change only happens once that address is confirmed. If this wasn't you, change your password and contact support.`,
+        html: renderEmailLayout('Email change requested', `
+    <p>Hi ${escapeHtml(name || 'there')},</p>
+    <p>Someone asked to change the email address for your Careerion account to <strong>${escapeHtml(newEmail)}</strong>. The change only happens once that address is confirmed.</p>
+    <p>If this wasn't you, change your password and contact support.</p>`),
+    }),
+    passwordChanged: ({ name }) => ({
+        subject: 'Your Careerion password was changed',
+        text: `Hi ${name || 'there'},\n\nThe password for your Careerion account was just changed and all existing sessions were signed out. If this wasn't you, reset your password immediately and contact support.`,
+        html: renderEmailLayout('Password changed', `
+    <p>Hi ${escapeHtml(name || 'there')},</p>
+    <p>The password for your Careerion account was just changed and all existing sessions were signed out.</p>
+    <p>If this wasn't you, reset your password immediately and contact support.</p>`),
+    }),
+    emailChanged: ({ name, newEmail }) => ({
+        subject: 'Your Careerion email address was changed',
+        text: `Hi ${name || 'there'},\n\nThe email address for your Careerion account was changed to ${newEmail}. If this wasn't you, reset your password immediately and contact support.`,
+        html: renderEmailLayout('Email address changed', `
+    <p>Hi ${escapeHtml(name || 'there')},</p>
+    <p>The email address for your Careerion account was changed to <strong>${escapeHtml(newEmail)}</strong>.</p>
+    <p>If this wasn't you, reset your password immediately and contact support.</p>`),
+    }),
+    dataExportReady: ({ name, downloadUrl, expiresInHours }) => ({
+        subject: 'Your Careerion data export is ready',
+        text: `Hi ${name || 'there'},\n\nThe copy of your Careerion data you requested is ready. Sign in and download it here:\n\n${downloadUrl}\n\nThe download is available for ${expiresInHours} hours.`,
+        html: renderEmailLayout('Your data export is ready', `
+    <p>Hi ${escapeHtml(name || 'there')},</p>
+    <p>The copy of your Careerion data you requested is ready.</p>
+    <p><a href="${escapeHtml(downloadUrl)}" style="display: inline-block; background: #4f46e5; color: #ffffff; padding: 12px 20px; border-radius: 6px; text-decoration: none;">Download my data</a></p>
+    <p>You'll need to be signed in. The download is available for ${expiresInHours} hours.</p>`),
+    }),
+    accountDeletionScheduled: ({ name, scheduledFor }) => ({
+        subject: 'Your Careerion account is scheduled for deletion',
+        text: `Hi ${name || 'there'},\n\nYour Careerion account and all of its data will be permanently deleted on ${scheduledFor.toUTCString()}. Changed your mind? Sign in before then and cancel the deletion from your account settings.`,
+        html: renderEmailLayout('Account deletion scheduled', `
+    <p>Hi ${escapeHtml(name || 'there')},</p>
+    <p>Your Careerion account and all of its data will be permanently deleted on <strong>${escapeHtml(scheduledFor.toUTCString())}</strong>.</p>
+    <p>Changed your mind? Sign in before then and cancel the deletion from your account settings.</p>`),
+    }),
+};
+
+async function sendEmail(to, templateName, data = {}) {
+    const template = emailTemplates[templateName];
+    if (!template) throw new Error(`Unknown email template: ${templateName}`);
+
+    const { subject, text, html } = template(data);
+    const info = await mailTransport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+
+    if (MAIL_TRANSPORT === 'file') {
+        await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+        const fileName = `${Date.now()}-${templateName}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        await fs.promises.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), info.message);
+        console.log(`[Mail] ${templateName} email for ${to} written to ${path.join(MAIL_OUTBOX_DIR, fileName)}`);
+    } else if (MAIL_TRANSPORT === 'json') {
+        mailOutbox.push({ to, template: templateName, subject, text, html, data, sentAt: new Date() });
+        if (mailOutbox.length > 50) mailOutbox.shift();
+        console.log(`[Mail] ${templateName} email for ${to} captured (json transport)`);
+    } else {
+        console.log(`[Mail] ${templateName} email sent to ${to} (${info.messageId})`);
+    }
+
+    return info;
+}
+
+// Single-use tokens are emailed in clear text and only stored as a SHA-256 hash
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// --- Access and Refresh Tokens ---
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const MAX_PREVIOUS_REFRESH_TOKENS = 100;
+
+function signAccessToken(user, session) {
+    return jwt.sign(
+        { userId: user._id, email: user.email, role: user.role || 'user', sid: session._id, mfa: !!session.twoFactorVerified },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+function generateRefreshSecret() {
+    return crypto.randomBytes(48).toString('hex');
+}
+
+// Starts a new session for this device and returns the access/refresh token pair
+async function issueAuthTokens(user, req, { twoFactorVerified = false } = {}) {
+    const refreshSecret = generateRefreshSecret();
+    const session = await Session.create({
+        userId: user._id,
+        refreshTokenHash: hashToken(refreshSecret),
+        deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined,
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        twoFactorVerified,
+    });
+
+    return {
+        token: signAccessToken(user, session),
+        refreshToken: `${session._id}.${refreshSecret}`,
+        expiresIn: ACCESS_TOKEN_TTL,
+    };
+}
+
+// Refresh tokens have the form "<sessionId>.<secret>"
+function parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return { sessionId, secretHash: hashToken(secret) };
+}
+
+async function revokeSession(sessionId, reason) {
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+}
+
+async function revokeAllSessions(userId, reason) {
+    await Session.updateMany({ userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+}
+
+// Verification links carry a signed token bound to the address being verified,
+// so a link sent before an email change stops working afterwards.
+async function sendVerificationEmail(user) {
+    const verificationToken = jwt.sign(
+        { userId: user._id, email: user.email, purpose: 'email-verification' },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+
+    await sendEmail(user.email, 'emailVerification', {
+        name: user.name,
+        verifyUrl: `${APP_BASE_URL}/verify-email?token=${verificationToken}`,
+        expiresIn: EMAIL_VERIFICATION_TTL,
+    });
+    await User.findByIdAndUpdate(user._id, { emailVerificationSentAt: new Date() });
+}
+
+// Same link format, bound to the requested address; a newer request makes older links stale
+async function sendEmailChangeVerification(user) {
+    const verificationToken = jwt.sign(
+        { userId: user._id, email: user.pendingEmail, purpose: 'email-change' },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+
+    await sendEmail(user.pendingEmail, 'emailChangeVerification', {
+        name: user.name,
+        verifyUrl: `${APP_BASE_URL}/verify-email?token=${verificationToken}`,
+        expiresIn: EMAIL_VERIFICATION_TTL,
+    });
+}
+
+// --- Login Brute-Force Protection ---
+// Failed logins are counted per account (email) and per client IP inside a sliding window.
+// Accounts get progressively longer waits between attempts and are locked after too many
+// failures; IPs are throttled once they exceed their own limit.
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15;
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 10;
+const LOGIN_DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS, 10) || 3;
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 30;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOGIN_IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS, 10) || 50;
+
+// Stores implement get/increment/update/reset/list. The memory store is per-process
+// (tests, single instance); the Mongo store shares counters between instances.
+function createMemoryLoginAttemptStore() {
+    const records = new Map();
+
+    const isExpired = (record) => record.expiresAt <= new Date();
+
+    return {
+        async get(key) {
+            const record = records.get(key);
+            if (!record) return null;
+            if (isExpired(record)) {
+                records.delete(key);
+                return null;
+            }
+            return { ...record };
+        },
+        async increment(key, { type, value, windowMs, expiresAt }) {
+            const now = new Date();
+            let record = records.get(key);
+            if (!record || isExpired(record) || now - record.lastFailureAt > windowMs) {
+                record = { key, type, value, failures: 0, firstFailureAt: now };
+            }
+            record.failures += 1;
+            record.lastFailureAt = now;
+            record.expiresAt = expiresAt;
+            records.set(key, record);
+            return { ...record };
+        },
+        async update(key, fields) {
+            const record = records.get(key);
+            if (record) records.set(key, { ...record, ...fields });
+        },
+        async reset(key) {
+            return records.delete(key);
+        },
+        async list() {
+            return Array.from(records.values())
+                .filter(record => !isExpired(record))
+                .map(record => ({ ...record }));
+        },
+    };
+}
+
+function createMongoLoginAttemptStore() {
+    return {
+        async get(key) {
+            return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        },
+        async increment(key, { type, value, windowMs, expiresAt }) {
+            const now = new Date();
+            // Start a fresh window if the last failure is too old (or the record has expired)
+            await LoginAttempt.updateOne(
+                { key, $or: [{ lastFailureAt: { $lt: new Date(now - windowMs) } }, { expiresAt: { $lte: now } }] },
+                { $set: { failures: 0, firstFailureAt: now }, $unset: { nextAttemptAt: 1, lockedUntil: 1 } }
+            );
+            return LoginAttempt.findOneAndUpdate(
+                { key },
+                {
+                    $inc: { failures: 1 },
+                    $set: { type, value, lastFailureAt: now, expiresAt },
+                    $setOnInsert: { firstFailureAt: now },
+                },
+                { upsert: true, new: true }
+            ).lean();
+        },
+        async update(key, fields) {
+            await LoginAttempt.updateOne({ key }, { $set: fields });
+        },
+        async reset(key) {
+            const result = await LoginAttempt.deleteOne({ key });
+            return result.deletedCount > 0;
+        },
+        async list() {
+            return LoginAttempt.find({ expiresAt: { $gt: new Date() } }).sort({ lastFailureAt: -1 }).lean();
+        },
+    };
+}
+
+const LOGIN_ATTEMPT_STORE = (process.env.LOGIN_ATTEMPT_STORE || 'mongo').toLowerCase();
+const loginAttemptStore = LOGIN_ATTEMPT_STORE === 'memory'
+    ? createMemoryLoginAttemptStore()
+    : createMongoLoginAttemptStore();
+console.log(`[Auth] Login attempt store: ${LOGIN_ATTEMPT_STORE === 'memory' ? 'memory' : 'mongo'}`);
+
+function loginAttemptKey(type, value) {
+    return `${type}:${String(value || '').trim().toLowerCase()}`;
+}
+
+function secondsUntil(date) {
+    return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+// Accounts are counted by email at login, and by user id ("user") for codes checked after sign-in.
+// Returns null when the attempt may proceed, or the 429 payload describing why it can't
+async function checkLoginAllowed(identifier, ip, type = 'account') {
+    const now = new Date();
+
+    const account = await loginAttemptStore.get(loginAttemptKey(type, identifier));
+    if (account?.lockedUntil && account.lockedUntil > now) {
+        return {
+            error: 'Too many failed login attempts. This account is temporarily locked.',
+            code: 'ACCOUNT_LOCKED',
+            retryAfter: secondsUntil(account.lockedUntil),
+        };
+    }
+    if (account?.nextAttemptAt && account.nextAttemptAt > now) {
+        return {
+            error: 'Too many failed login attempts. Please wait before trying again.',
+            code: 'LOGIN_THROTTLED',
+            retryAfter: secondsUntil(account.nextAttemptAt),
+        };
+    }
+
+    const client = await loginAttemptStore.get(loginAttemptKey('ip', ip));
+    if (client?.lockedUntil && client.lockedUntil > now) {
+        return {
+            error: 'Too many failed login attempts from this network. Please try again later.',
+            code: 'IP_THROTTLED',
+            retryAfter: secondsUntil(client.lockedUntil),
+        };
+    }
+
+    return null;
+}
+
+async function recordLoginFailure(identifier, ip, type = 'account') {
+    const windowMs = LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+    const lockoutMs = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+    const expiresAt = new Date(Date.now() + Math.max(windowMs, lockoutMs));
+
+    const accountKey = loginAttemptKey(type, identifier);
+    const account = await loginAttemptStore.increment(accountKey, {
+        type, value: String(identifier).trim().toLowerCase(), windowMs, expiresAt,
+    });
+    if (account.failures >= LOGIN_MAX_FAILED_ATTEMPTS) {
+        await loginAttemptStore.update(accountKey, { lockedUntil: new Date(Date.now() + lockoutMs) });
+        console.warn(`[Auth] Account ${account.value} locked after ${account.failures} failed login attempts`);
+    } else if (account.failures >= LOGIN_DELAY_AFTER_ATTEMPTS) {
+        // 1s, 2s, 4s, ... capped at LOGIN_MAX_DELAY_SECONDS
+        const delaySeconds = Math.min(2 ** (account.failures - LOGIN_DELAY_AFTER_ATTEMPTS), LOGIN_MAX_DELAY_SECONDS);
+        await loginAttemptStore.update(accountKey, { nextAttemptAt: new Date(Date.now() + delaySeconds * 1000) });
+    }
+
+    const ipKey = loginAttemptKey('ip', ip);
+    const client = await loginAttemptStore.increment(ipKey, { type: 'ip', value: String(ip), windowMs, expiresAt });
+    if (client.failures >= LOGIN_IP_MAX_FAILED_ATTEMPTS) {
+        await loginAttemptStore.update(ipKey, { lockedUntil: new Date(Date.now() + lockoutMs) });
+        console.warn(`[Auth] IP ${ip} throttled after ${client.failures} failed login attempts`);
+    }
+}
+
+async function recordLoginSuccess(identifier, type = 'account') {
+    await loginAttemptStore.reset(loginAttemptKey(type, identifier));
+}
+
+function sendLoginThrottled(res, throttled) {
+    res.set('Retry-After', String(throttled.retryAfter));
+    return res.status(429).json(throttled);
+}
+
+// --- User Authentication Routes ---
+// Credentials and emails must be plain strings: an array or object would be cast into a query
+// operator by Mongoose (and get a fresh lockout key each time) or break .length and bcrypt
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+app.post('/api/auth/signup', async (req, res) => {
+    try {
+        const { name, email, password } = req.body;
+
+        if (![name, email, password].every(isNonEmptyString)) {
+            return res.status(400).json({ error: 'All fields are required' });
+        }
+        if (password.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({ error: 'User with this email already exists' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const newUser = new User({ name, email, password: hashedPassword });
+        await newUser.save();
+
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError);
+        }
+
+        const tokens = await issueAuthTokens(newUser, req);
+
+        res.status(201).json({
+            message: 'User created successfully',
+            user: { _id: newUser._id, name: newUser.name, email: newUser.email, emailVerified: newUser.emailVerified, createdAt: newUser.createdAt },
+            ...tokens
+        });
+
+    } catch (error) {
+        console.error('Error in signup:', error);
+        res.status(500).json({ error: 'Server error during signup' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!isNonEmptyString(email) || !isNonEmptyString(password)) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const throttled = await checkLoginAllowed(email, req.ip);
+        if (throttled) return sendLoginThrottled(res, throttled);
+
+        const user = await User.findOne({ email });
+        const isPasswordValid = Boolean(user && user.password) && await bcrypt.compare(password, user.password);
+        if (!isPasswordValid) {
+            await recordLoginFailure(email, req.ip);
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+        await recordLoginSuccess(email);
+
+        const suspension = await getActiveSuspension(user);
+        if (suspension) return res.status(403).json(suspensionError(suspension));
+
+        // Second step: the client exchanges the challenge and a TOTP code at /api/auth/2fa/verify
+        if (user.twoFactor?.enabled) {
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(user)
+            });
+        }
 
         // Update last login
         await User.findByIdAndUpdate(user._id, { lastLogin: new Date() });
 
-        const token = jwt.sign(
-            { userId: user._id, email: user.email, role: user.role || 'user' },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '7d' }
-        );
+        const tokens = await issueAuthTokens(user, req);
 
         res.json({
             message: 'Login successful',
@@ -296,9 +1961,11 @@ app.post('/api/auth/login', async (req, res) => {
                 name: user.name, 
                 email: user.email, 
                 role: user.role || 'user',
+                emailVerified: !!user.emailVerified,
                 createdAt: user.createdAt 
             },
-            token
+            ...(user.deletion?.scheduledFor && { deletionScheduledFor: user.deletion.scheduledFor }),
+            ...tokens
         });
     } catch (error) {
         console.error('Error in login:', error);
@@ -306,718 +1973,5063 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
-// --- Health Check ---
-app.get('/api/health', (req, res) => {
-    const hasKey = Boolean(process.env.GEMINI_API_KEY);
-    res.json({
-        status: 'ok',
-        geminiKeyPresent: hasKey,
-        modelConfigured: PRIMARY_MODEL,
-        fallbackModels: FALLBACK_MODELS,
-    });
-});
-
-// --- Google OAuth (accepts access_token or id_token) ---
-app.post('/api/auth/google', async (req, res) => {
+// --- Token Refresh, Logout and Sessions ---
+app.post('/api/auth/refresh', async (req, res) => {
     try {
-        const { token } = req.body;
-        if (!token) return res.status(400).json({ error: 'token is required' });
-
-        if (typeof fetch === 'undefined') {
-            return res.status(500).json({ error: 'Global fetch is unavailable. Use Node.js v18+ or install node-fetch.' });
-        }
-
-        let profile = null;
-        let lastError = null;
-        
-        // Try as access_token with Google UserInfo
-        try {
-            const resp = await fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
-                headers: { Authorization: `Bearer ${token}` },
-            });
-            if (resp.ok) {
-                profile = await resp.json();
-                console.log('Google OAuth: Successfully verified access token');
-            } else {
-                lastError = `UserInfo API returned ${resp.status}: ${resp.statusText}`;
+        const parsed = parseRefreshToken((req.body || {}).refreshToken);
+        if (!parsed) return res.status(401).json({ error: 'Invalid refresh token' });
+
+        const session = await Session.findById(parsed.sessionId);
+        if (!session) return res.status(401).json({ error: 'Invalid refresh token' });
+
+        if (session.refreshTokenHash !== parsed.secretHash) {
+            // An already-rotated token came back: assume it was stolen and kill the whole family
+            if (session.previousTokenHashes.includes(parsed.secretHash)) {
+                console.warn(`[Auth] Refresh token reuse detected for session ${session._id}, revoking session`);
+                await revokeSession(session._id, 'refresh_token_reuse');
+                return res.status(401).json({ error: 'Refresh token reuse detected. Please log in again.' });
             }
-        } catch (error) {
-            lastError = `UserInfo API error: ${error.message}`;
+            return res.status(401).json({ error: 'Invalid refresh token' });
         }
 
-        // If not access_token, try as id_token via tokeninfo endpoint
-        if (!profile) {
-            try {
-                const resp2 = await fetch(`https://oauth2.googleapis.com/tokeninfo?id_token=${token}`);
-                if (resp2.ok) {
-                    const data = await resp2.json();
-                    profile = {
-                        sub: data.sub,
-                        email: data.email,
-                        name: data.name || (data.email ? data.email.split('@')[0] : 'Google User'),
-                        picture: data.picture,
-                    };
-                    console.log('Google OAuth: Successfully verified ID token');
-                } else {
-                    lastError = `TokenInfo API returned ${resp2.status}: ${resp2.statusText}`;
-                }
-            } catch (error) {
-                lastError = `TokenInfo API error: ${error.message}`;
-            }
+        if (session.revokedAt || session.expiresAt <= new Date()) {
+            return res.status(401).json({ error: 'Session has expired or been revoked. Please log in again.' });
         }
 
-        if (!profile || !profile.email) {
-            console.error('Google OAuth verification failed:', lastError);
-            return res.status(400).json({ 
-                error: 'Unable to verify Google token',
-                details: lastError 
-            });
-        }
+        const user = await User.findById(session.userId);
+        if (!user) return res.status(401).json({ error: 'Invalid refresh token' });
 
-        let user = await User.findOne({ email: profile.email });
-        if (!user) {
-            const randomPass = await bcrypt.hash(Math.random().toString(36).slice(2), 10);
-            user = new User({
-                name: profile.name || 'Google User',
-                email: profile.email,
-                password: randomPass,
-            });
-            await user.save();
-        }
+        const suspension = await getActiveSuspension(user);
+        if (suspension) return res.status(403).json(suspensionError(suspension));
 
-        const jwtToken = jwt.sign(
-            { userId: user._id, email: user.email },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '7d' }
+        // Rotate only if nobody else rotated this token in the meantime
+        const refreshSecret = generateRefreshSecret();
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: parsed.secretHash, revokedAt: null },
+            {
+                $set: { refreshTokenHash: hashToken(refreshSecret), lastUsedAt: new Date() },
+                $push: { previousTokenHashes: { $each: [parsed.secretHash], $slice: -MAX_PREVIOUS_REFRESH_TOKENS } },
+            },
+            { new: true }
         );
+        if (!rotated) {
+            await revokeSession(session._id, 'refresh_token_reuse');
+            return res.status(401).json({ error: 'Refresh token reuse detected. Please log in again.' });
+        }
 
         res.json({
-            message: 'Google login successful',
-            user: { _id: user._id, name: user.name, email: user.email, createdAt: user.createdAt, avatar: profile.picture },
-            token: jwtToken,
+            token: signAccessToken(user, rotated),
+            refreshToken: `${session._id}.${refreshSecret}`,
+            expiresIn: ACCESS_TOKEN_TTL,
         });
     } catch (error) {
-        console.error('Error in /api/auth/google:', error);
-        res.status(500).json({ error: 'Server error during Google auth' });
+        console.error('Error in /api/auth/refresh:', error);
+        res.status(500).json({ error: 'Server error during token refresh' });
     }
 });
 
-// --- User Profile Routes (protected) ---
-app.get('/api/user/profile', authMiddleware, async (req, res) => {
+// Revokes the session identified by the refresh token or, failing that, the bearer token
+app.post('/api/auth/logout', async (req, res) => {
     try {
-        const user = await User.findById(req.user.userId).select('-password');
-        if (!user) return res.status(404).json({ error: 'User not found' });
-        res.json({ profile: user.profile || {}, profileComplete: !!user.profileComplete });
+        let sessionId = null;
+
+        const parsed = parseRefreshToken((req.body || {}).refreshToken);
+        if (parsed) {
+            const session = await Session.findById(parsed.sessionId).select('refreshTokenHash previousTokenHashes');
+            if (session && (session.refreshTokenHash === parsed.secretHash || session.previousTokenHashes.includes(parsed.secretHash))) {
+                sessionId = session._id;
+            }
+        }
+
+        const authHeader = req.headers.authorization || '';
+        if (!sessionId && authHeader.startsWith('Bearer ')) {
+            try {
+                // An expired access token is still good enough to end its own session
+                const decoded = jwt.verify(
+                    authHeader.substring('Bearer '.length),
+                    process.env.JWT_SECRET || 'your-secret-key',
+                    { ignoreExpiration: true }
+                );
+                if (decoded.sid && mongoose.Types.ObjectId.isValid(decoded.sid)) sessionId = decoded.sid;
+            } catch (err) { /* invalid token: nothing to revoke */ }
+        }
+
+        if (sessionId) await revokeSession(sessionId, 'logout');
+        res.json({ message: 'Logged out' });
     } catch (error) {
-        console.error('Error in GET /api/user/profile:', error);
+        console.error('Error in /api/auth/logout:', error);
+        res.status(500).json({ error: 'Server error during logout' });
+    }
+});
+
+app.post('/api/auth/logout-all', authMiddleware, async (req, res) => {
+    try {
+        await revokeAllSessions(req.user.userId, 'logout_all');
+        res.json({ message: 'Logged out from all devices' });
+    } catch (error) {
+        console.error('Error in /api/auth/logout-all:', error);
+        res.status(500).json({ error: 'Server error during logout' });
+    }
+});
+
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await Session.find({ userId: req.user.userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('deviceName userAgent ip createdAt lastUsedAt expiresAt')
+            .sort({ lastUsedAt: -1 });
+
+        res.json({
+            sessions: sessions.map(session => ({
+                ...session.toObject(),
+                current: String(session._id) === String(req.user.sid),
+            })),
+        });
+    } catch (error) {
+        console.error('Error in GET /api/auth/sessions:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-app.post('/api/user/profile', authMiddleware, async (req, res) => {
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
     try {
-        const allowedFields = ['educationLevel','fieldOfStudy','institution','yearOfCompletion','currentStatus','workExperience','skills','interests','careerGoals','preferredWorkEnvironment','preferredWorkLocation','salaryExpectations','willingToRelocate','technicalSkills','softSkills'];
-        const payload = req.body || {};
-        const profile = {};
-        
-        for (const key of allowedFields) {
-            if (payload[key] !== undefined) {
-                // Process comma-separated skills and interests into arrays
-                if ((key === 'skills' || key === 'interests' || key === 'technicalSkills' || key === 'softSkills') && typeof payload[key] === 'string') {
-                    // Split by comma, trim whitespace, filter empty strings
-                    profile[key] = payload[key]
-                        .split(',')
-                        .map(item => item.trim())
-                        .filter(item => item.length > 0);
-                } else {
-                    profile[key] = payload[key];
-                }
-            }
-        }
-        
-        // Combine technical and soft skills into main skills array for AI processing
-        if (profile.technicalSkills || profile.softSkills) {
-            const allSkills = [];
-            if (Array.isArray(profile.technicalSkills)) allSkills.push(...profile.technicalSkills);
-            if (Array.isArray(profile.softSkills)) allSkills.push(...profile.softSkills);
-            if (allSkills.length > 0) profile.skills = allSkills;
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Session not found' });
         }
-        const profileComplete = Boolean(
-            profile.educationLevel && profile.fieldOfStudy && profile.institution && profile.currentStatus && (Array.isArray(profile.skills) ? profile.skills.length > 0 : !!profile.skills) && (Array.isArray(profile.interests) ? profile.interests.length > 0 : !!profile.interests) && profile.careerGoals
+        const result = await Session.updateOne(
+            { _id: req.params.id, userId: req.user.userId, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: 'revoked_by_user' }
         );
-
-        const updated = await User.findByIdAndUpdate(
-            req.user.userId,
-            { $set: { profile, profileComplete } },
-            { new: true }
-        ).select('-password');
-
-        if (!updated) return res.status(404).json({ error: 'User not found' });
-        res.json({ message: 'Profile updated', profile: updated.profile || {}, profileComplete: !!updated.profileComplete });
+        if (result.matchedCount === 0) return res.status(404).json({ error: 'Session not found' });
+        res.json({ message: 'Session revoked' });
     } catch (error) {
-        console.error('Error in POST /api/user/profile:', error);
+        console.error('Error in DELETE /api/auth/sessions/:id:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// --- Enhanced career detection and comprehensive response system ---
-function checkIfCareerRelated(message) {
-    if (!message || typeof message !== 'string') return false;
-    
-    const messageLower = message.toLowerCase();
-    
-    // Comprehensive career keywords
-    const careerKeywords = [
-        // Core career terms
-        'career', 'job', 'work', 'profession', 'occupation', 'employment', 'workplace', 'vocation',
-        'resume', 'cv', 'interview', 'hiring', 'recruitment', 'application', 'portfolio',
-        
-        // Skills and development
-        'skill', 'skills', 'training', 'education', 'learning', 'course', 'certification', 'certificate',
-        'experience', 'qualification', 'competency', 'expertise', 'development', 'upskill', 'reskill',
-        'bootcamp', 'workshop', 'seminar', 'degree', 'diploma', 'license', 'accreditation',
-        
-        // Industry and roles
-        'industry', 'company', 'business', 'role', 'position', 'title', 'responsibility', 'duties',
-        'manager', 'engineer', 'developer', 'analyst', 'consultant', 'specialist', 'coordinator',
-        'director', 'executive', 'supervisor', 'lead', 'senior', 'junior', 'intern', 'apprentice',
-        
-        // Career guidance terms
-        'advice', 'guidance', 'recommendation', 'suggest', 'help', 'path', 'opportunity', 'options',
-        'growth', 'promotion', 'salary', 'benefits', 'transition', 'change', 'switch', 'pivot',
-        'advancement', 'progression', 'future', 'goals', 'planning', 'strategy',
-        
-        // Professional terms
-        'professional', 'corporate', 'freelance', 'remote', 'office', 'team', 'project', 'client',
-        'leadership', 'management', 'networking', 'mentor', 'colleague', 'coworker', 'boss',
-        'startup', 'enterprise', 'nonprofit', 'government', 'public', 'private', 'sector',
-        
-        // Job search and application
-        'apply', 'application', 'jobsearch', 'linkedin', 'indeed', 'glassdoor', 'headhunter',
-        'recruiter', 'hr', 'human resources', 'onboarding', 'probation', 'contract', 'fulltime',
-        'parttime', 'temporary', 'permanent', 'seasonal', 'gig', 'freelancing',
-        
-        // Compensation and benefits
-        'wage', 'income', 'compensation', 'bonus', 'commission', 'equity', 'stock', 'options',
-        'healthcare', 'insurance', 'retirement', '401k', 'pension', 'pto', 'vacation', 'sick leave',
-        
-        // Work environment
-        'culture', 'environment', 'atmosphere', 'values', 'mission', 'vision', 'diversity',
-        'inclusion', 'worklife', 'balance', 'flexibility', 'hybrid', 'onsite', 'wfh',
-        
-        // Performance and evaluation
-        'performance', 'review', 'evaluation', 'feedback', 'goals', 'kpi', 'metrics', 'achievement',
-        'recognition', 'award', 'accomplishment', 'success', 'failure', 'improvement',
-        
-        // Specific fields and technologies
-        'technology', 'software', 'programming', 'coding', 'data', 'analytics', 'marketing',
-        'sales', 'finance', 'accounting', 'design', 'creative', 'healthcare', 'education',
-        'research', 'science', 'engineering', 'manufacturing', 'retail', 'hospitality',
-        'construction', 'agriculture', 'transportation', 'logistics', 'legal', 'law'
-    ];
-    
-    // Career-related phrases and questions
-    const careerPhrases = [
-        'what should i do', 'what can i do', 'how do i', 'how can i', 'where do i start',
-        'i want to', 'i need to', 'help me', 'advice on', 'guidance on', 'tips for',
-        'recommend', 'suggest', 'best way to', 'how to become', 'how to get into',
-        'career path', 'job market', 'work from home', 'find a job', 'get a job',
-        'change careers', 'switch jobs', 'new field', 'different industry',
-        'improve my', 'develop my', 'learn about', 'study for', 'prepare for',
-        'interview tips', 'resume help', 'cover letter', 'job application',
-        'salary negotiation', 'pay raise', 'promotion', 'advancement',
-        'work experience', 'internship', 'entry level', 'graduate program',
-        'professional development', 'skill building', 'certification program',
-        'industry trends', 'job outlook', 'employment opportunities',
-        'networking tips', 'professional network', 'career fair', 'job fair',
-        'work culture', 'company culture', 'workplace', 'office environment',
-        'remote work', 'freelancing', 'consulting', 'entrepreneurship',
-        'side hustle', 'passive income', 'career goals', 'professional goals'
-    ];
-    
-    // Check for career keywords
-    const hasCareerKeywords = careerKeywords.some(keyword => 
-        messageLower.includes(keyword)
-    );
-    
-    // Check for career-related phrases
-    const hasCareerPhrases = careerPhrases.some(phrase => 
-        messageLower.includes(phrase)
-    );
-    
-    // Additional context-based detection
-    const questionWords = ['what', 'how', 'where', 'when', 'why', 'which', 'who'];
-    const hasQuestionWord = questionWords.some(word => messageLower.includes(word));
-    
-    // If it's a question and mentions any work-related context, likely career-related
-    const workContext = ['study', 'learn', 'become', 'get', 'find', 'choose', 'decide', 'start'];
-    const hasWorkContext = workContext.some(word => messageLower.includes(word));
-    
-    return hasCareerKeywords || hasCareerPhrases || (hasQuestionWord && hasWorkContext);
-}
+// --- Password Reset ---
+app.post('/api/auth/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body || {};
+        if (!isNonEmptyString(email)) return res.status(400).json({ error: 'Email is required' });
 
-// --- Enhanced career response generator with comprehensive knowledge base ---
-function generateEnhancedCareerPrompt(message, userProfile = null) {
-    const currentYear = new Date().getFullYear();
-    
-    const basePrompt = `You are Careerion AI, an expert career guidance assistant with comprehensive knowledge across all industries, career paths, and professional development strategies. You have access to current job market data, industry trends, and best practices as of ${currentYear}.
+        // Same response whether or not the account exists, so emails can't be enumerated
+        const genericResponse = { message: 'If an account exists for that email, a password reset link has been sent.' };
 
-## Your Core Expertise Areas:
+        const user = await User.findOne({ email });
+        if (!user) return res.json(genericResponse);
 
-### 🎯 Career Exploration & Planning
-- Career assessment and personality-career matching
-- Industry analysis and job market forecasting
-- Career path mapping and milestone planning
-- Skills gap analysis and development roadmaps
-- Career pivot and transition strategies
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        user.passwordResetToken = hashToken(resetToken);
+        user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+        await user.save();
 
-### 💼 Job Search & Application Strategy
-- Modern resume optimization (ATS-friendly formats)
-- Cover letter personalization techniques
-- LinkedIn profile optimization
-- Interview preparation (behavioral, technical, case studies)
-- Salary research and negotiation tactics
-- Job search automation and tracking systems
+        try {
+            await sendEmail(user.email, 'passwordReset', {
+                name: user.name,
+                resetUrl: `${APP_BASE_URL}/reset-password?token=${resetToken}`,
+                expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+            });
+        } catch (mailError) {
+            console.error('Failed to send password reset email:', mailError);
+        }
 
-### 📈 Professional Development
-- Skills assessment using industry frameworks
-- Certification and training program recommendations
-- Leadership development pathways
-- Personal branding and thought leadership
-- Professional networking strategies
-- Mentorship and coaching guidance
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Error in forgot-password:', error);
+        res.status(500).json({ error: 'Server error during password reset request' });
+    }
+});
 
-### 🏢 Industry-Specific Guidance
-- Technology: Software development, data science, cybersecurity, AI/ML
-- Healthcare: Clinical roles, healthcare administration, telemedicine
-- Finance: Banking, investment, fintech, accounting
-- Marketing: Digital marketing, content strategy, brand management
-- Education: Teaching, administration, educational technology
-- Engineering: Civil, mechanical, electrical, software engineering
-- Creative: Design, writing, media production, arts management
-- Business: Consulting, project management, operations, strategy
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body || {};
 
-### 💰 Compensation & Benefits
-- Salary benchmarking by role, location, and experience
-- Benefits package evaluation and negotiation
-- Equity compensation understanding
-- Freelance and contract rate setting
-- Career ROI analysis for education and certifications
+        if (!isNonEmptyString(token) || !isNonEmptyString(password)) {
+            return res.status(400).json({ error: 'Reset token and new password are required' });
+        }
+        if (password.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
 
-### 🌐 Modern Work Trends
-- Remote work best practices and opportunities
-- Hybrid work arrangements and productivity
-- Gig economy and freelancing strategies
-- Entrepreneurship and startup guidance
-- Work-life balance and career sustainability
-- Diversity, equity, and inclusion in the workplace
+        const hashedPassword = await bcrypt.hash(password, 10);
 
-## Response Guidelines:
-1. **COMPREHENSIVE**: Provide detailed, multi-faceted responses that cover all relevant aspects
-2. **ACTIONABLE**: Include specific steps, timelines, and measurable goals
-3. **CURRENT**: Reference ${currentYear} job market trends, salary data, and industry developments
-4. **PERSONALIZED**: Tailor advice based on user's background, goals, and constraints
-5. **RESOURCEFUL**: Suggest specific tools, platforms, courses, and resources
-6. **REALISTIC**: Provide honest assessments of challenges and realistic timelines
-7. **CLEAN FORMATTING**: Use simple formatting - **bold** for emphasis, bullet points with -, and clear paragraphs. Avoid excessive markdown.
+        // Consume the token atomically so it can only be used once
+        const user = await User.findOneAndUpdate(
+            { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+            {
+                $set: { password: hashedPassword, passwordChangedAt: new Date(), updatedAt: new Date() },
+                $unset: { passwordResetToken: 1, passwordResetExpires: 1 },
+                $addToSet: { providers: 'password' },
+            },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ error: 'Password reset link is invalid or has expired' });
+        }
 
-${userProfile ? `## User Profile Analysis:
-**Educational Background**: ${userProfile.educationLevel || 'Not specified'} in ${userProfile.fieldOfStudy || 'Not specified'} from ${userProfile.institution || 'Not specified'}
-**Career Stage**: ${userProfile.currentStatus || 'Not specified'}
-**Experience Level**: ${userProfile.workExperience || 'Not specified'}
-**Technical Skills**: ${Array.isArray(userProfile.technicalSkills) && userProfile.technicalSkills.length > 0 ? userProfile.technicalSkills.join(', ') : 'Not specified'}
-**Soft Skills**: ${Array.isArray(userProfile.softSkills) && userProfile.softSkills.length > 0 ? userProfile.softSkills.join(', ') : 'Not specified'}
-**All Skills**: ${Array.isArray(userProfile.skills) && userProfile.skills.length > 0 ? userProfile.skills.join(', ') : 'Not specified'}
-**Interests**: ${Array.isArray(userProfile.interests) && userProfile.interests.length > 0 ? userProfile.interests.join(', ') : 'Not specified'}
-**Career Objectives**: ${userProfile.careerGoals || 'Not specified'}
-**Work Environment Preference**: ${userProfile.preferredWorkEnvironment || 'Not specified'}
-**Location Flexibility**: ${userProfile.preferredWorkLocation || 'Not specified'} (Willing to relocate: ${userProfile.willingToRelocate ? 'Yes' : 'No'})
-**Compensation Expectations**: ${userProfile.salaryExpectations || 'Not specified'}
+        await revokeAllSessions(user._id, 'password_reset');
 
-**Personalization Instructions**: Use this profile to provide highly targeted recommendations that align with the user's background, goals, and preferences. Reference their specific skills and interests when suggesting career paths or development opportunities.` : ''}
+        try {
+            await sendEmail(user.email, 'passwordChanged', { name: user.name });
+        } catch (mailError) {
+            console.error('Failed to send password changed email:', mailError);
+        }
 
-## User Question: "${message}"
+        res.json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Error in reset-password:', error);
+        res.status(500).json({ error: 'Server error during password reset' });
+    }
+});
 
-## Required Response Structure:
-Provide a comprehensive response that includes:
-1. **Direct Answer**: Address the specific question asked
-2. **Detailed Analysis**: Break down the topic with in-depth explanations
-3. **Actionable Steps**: Provide a clear roadmap with specific actions
-4. **Resources & Tools**: Suggest relevant platforms, courses, books, or tools
-5. **Timeline & Milestones**: Include realistic timeframes for achieving goals
-6. **Potential Challenges**: Identify obstacles and how to overcome them
-7. **Success Metrics**: Define how to measure progress and success
+// --- Email Verification ---
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body || {};
+        if (!isNonEmptyString(token)) return res.status(400).json({ error: 'Verification token is required' });
 
-Make your response detailed, practical, and immediately useful for career advancement.
+        let payload;
+        try {
+            payload = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        } catch (err) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+        }
+        if (payload.purpose === 'email-change') return confirmEmailChange(payload, res);
+        if (payload.purpose !== 'email-verification') {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+        }
 
-**IMPORTANT FORMATTING RULES:**
-- Use **bold text** for key points and section headers
-- Use simple bullet points with - for lists
-- Write in clear, readable paragraphs
-- Avoid complex markdown formatting
-- Keep the response clean and professional`;
+        const user = await User.findById(payload.userId);
+        if (!user || user.email !== payload.email) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+        }
 
-    return basePrompt;
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        res.json({ message: 'Email verified successfully', emailVerified: true });
+    } catch (error) {
+        console.error('Error in verify-email:', error);
+        res.status(500).json({ error: 'Server error during email verification' });
+    }
+});
+
+// Switches the account to the confirmed address and signs it out everywhere
+async function confirmEmailChange(payload, res) {
+    const user = await User.findById(payload.userId);
+    if (!user || !user.pendingEmail || user.pendingEmail !== payload.email) {
+        return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+    if (await User.exists({ email: payload.email, _id: { $ne: user._id } })) {
+        return res.status(400).json({ error: 'User with this email already exists' });
+    }
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+    user.pendingEmailRequestedAt = undefined;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.updatedAt = new Date();
+    await user.save();
+
+    await revokeAllSessions(user._id, 'email_change');
+
+    try {
+        await sendEmail(previousEmail, 'emailChanged', { name: user.name, newEmail: user.email });
+    } catch (mailError) {
+        console.error('Failed to send email changed notification:', mailError);
+    }
+
+    res.json({ message: 'Email address changed. Please sign in again.', email: user.email, emailVerified: true });
 }
 
-// --- Enhanced Career Recommendations Route ---
-app.post('/api/career-recommendations', authMiddleware, async (req, res) => {
+// Resend for the signed-in user
+app.post('/api/auth/verify-email/resend', authMiddleware, async (req, res) => {
     try {
-        if (!process.env.GEMINI_API_KEY) {
-            return res.status(500).json({ error: 'GEMINI_API_KEY is not configured on the server.' });
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.emailVerified) return res.status(400).json({ error: 'Email is already verified' });
+
+        const secondsSinceLastEmail = user.emailVerificationSentAt
+            ? (Date.now() - user.emailVerificationSentAt.getTime()) / 1000
+            : Infinity;
+        if (secondsSinceLastEmail < EMAIL_VERIFICATION_RESEND_SECONDS) {
+            return res.status(429).json({ error: 'Please wait before requesting another verification email' });
         }
 
-        const { query, category } = req.body || {};
-        
-        if (!query) {
-            return res.status(400).json({ error: 'Query is required for career recommendations' });
+        await sendVerificationEmail(user);
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Error in verify-email/resend:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// Resend by address for users who are not signed in (no account enumeration)
+app.post('/api/auth/verify-email/request', async (req, res) => {
+    try {
+        const { email } = req.body || {};
+        if (!isNonEmptyString(email)) return res.status(400).json({ error: 'Email is required' });
+
+        const genericResponse = { message: 'If an unverified account exists for that email, a verification link has been sent.' };
+
+        const user = await User.findOne({ email });
+        if (!user || user.emailVerified) return res.json(genericResponse);
+
+        const recentlySent = user.emailVerificationSentAt
+            && (Date.now() - user.emailVerificationSentAt.getTime()) / 1000 < EMAIL_VERIFICATION_RESEND_SECONDS;
+        if (!recentlySent) {
+            try {
+                await sendVerificationEmail(user);
+            } catch (mailError) {
+                console.error('Failed to send verification email:', mailError);
+            }
         }
 
-        // Get user profile for personalized recommendations
-        const user = await User.findById(req.user.userId).select('profile name email');
-        const userProfile = user?.profile;
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Error in verify-email/request:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        console.log(`[Career Recommendations] Processing query for user: ${user?.email}`);
-        const model = genAI.getGenerativeModel({ model: PRIMARY_MODEL });
+// --- Two-Factor Authentication (TOTP, RFC 6238) ---
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Careerion';
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const TWO_FACTOR_RECOVERY_CODE_COUNT = 10;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Roles that cannot reach /api/admin routes without 2FA (comma-separated, "none" to disable).
+// Defaults to every role with admin panel access, including roles from ROLE_PERMISSIONS_FILE.
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? ROLES.filter(hasAdminPanelAccess).join(','))
+    .split(',')
+    .map(role => role.trim())
+    .filter(role => role && role !== 'none');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
 
-        // Enhanced prompt for comprehensive career recommendations
-        const enhancedPrompt = `You are Careerion AI, providing comprehensive career recommendations. 
+function base32Decode(encoded) {
+    const cleaned = String(encoded).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
 
-User Profile:
-- Name: ${user?.name || 'User'}
-- Education: ${userProfile?.educationLevel || 'Not specified'} in ${userProfile?.fieldOfStudy || 'Not specified'}
-- Current Status: ${userProfile?.currentStatus || 'Not specified'}
-- Experience: ${userProfile?.workExperience || 'Not specified'}
-- Technical Skills: ${Array.isArray(userProfile?.technicalSkills) ? userProfile.technicalSkills.join(', ') : 'Not specified'}
-- Soft Skills: ${Array.isArray(userProfile?.softSkills) ? userProfile.softSkills.join(', ') : 'Not specified'}
-- Interests: ${Array.isArray(userProfile?.interests) ? userProfile.interests.join(', ') : 'Not specified'}
-- Career Goals: ${userProfile?.careerGoals || 'Not specified'}
-- Work Environment Preference: ${userProfile?.preferredWorkEnvironment || 'Not specified'}
-- Location Preference: ${userProfile?.preferredWorkLocation || 'Not specified'}
-- Salary Expectations: ${userProfile?.salaryExpectations || 'Not specified'}
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(code).padStart(TOTP_DIGITS, '0');
+}
 
-Query Category: ${category || 'General Career Guidance'}
-User Question: "${query}"
+// Returns the matching time step (one step of clock drift allowed either way) or null.
+// Steps at or before lastUsedStep are rejected so a code can't be replayed.
+function verifyTotp(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let drift = -1; drift <= 1; drift++) {
+        const step = currentStep + drift;
+        if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+}
 
-Provide an extremely comprehensive response (minimum 800 words) that includes:
+// TOTP secrets must be recoverable, so they are encrypted (AES-256-GCM) rather than hashed
+function getTwoFactorEncryptionKey() {
+    return crypto.createHash('sha256')
+        .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key')
+        .digest();
+}
 
-1. **Personalized Analysis** (based on their profile)
-2. **Detailed Recommendations** (specific to their situation)
-3. **Step-by-Step Action Plan** (with timelines)
-4. **Skill Development Roadmap** (specific skills to learn)
-5. **Industry Insights** (current trends and opportunities)
-6. **Networking Strategies** (specific to their field)
-7. **Resource Recommendations** (courses, certifications, books, platforms)
-8. **Salary and Compensation Guidance** (market rates and negotiation tips)
-9. **Potential Career Paths** (multiple options with pros/cons)
-10. **Success Metrics and Milestones** (how to track progress)
+function encryptTwoFactorSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getTwoFactorEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+}
 
-Make this response extremely detailed, actionable, and valuable for their career development.`;
+function decryptTwoFactorSecret(stored) {
+    const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getTwoFactorEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
 
-        const result = await generateContentWithFallback(enhancedPrompt);
-        const response = result.text;
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
 
-        res.json({ 
-            response,
-            modelUsed: result.modelUsed,
-            userProfile: userProfile ? 'Used for personalization' : 'No profile available',
-            category: category || 'General Career Guidance'
-        });
+// Returns { codes, hashes }: codes are shown to the user once, hashes are stored
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+}
+
+function buildOtpauthUri(email, secret) {
+    const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${email}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TWO_FACTOR_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+}
+
+function signTwoFactorChallenge(user) {
+    return jwt.sign(
+        { userId: user._id, purpose: '2fa-challenge' },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+    );
+}
+
+// Checks a TOTP or recovery code against an enrolled user and consumes it.
+// Returns 'totp' or 'recovery' on success, null otherwise.
+async function consumeTwoFactorCode(user, { code, recoveryCode }) {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+    if (code) {
+        const step = verifyTotp(decryptTwoFactorSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+        if (step === null) return null;
+        // Record the step atomically so two concurrent requests can't both use the same code
+        const result = await User.updateOne(
+            { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount > 0 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+        const result = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } }
+        );
+        return result.modifiedCount > 0 ? 'recovery' : null;
+    }
+
+    return null;
+}
+
+// Step 1 of enrollment: generate a secret for the authenticator app
+app.post('/api/auth/2fa/setup', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        user.set('twoFactor.pendingSecret', encryptTwoFactorSecret(secret));
+        await user.save();
 
+        res.json({ secret, otpauthUri: buildOtpauthUri(user.email, secret) });
     } catch (error) {
-        console.error('Error in /api/career-recommendations:', error);
-        res.status(500).json({ error: 'Failed to generate career recommendations' });
+        console.error('Error in POST /api/auth/2fa/setup:', error);
+        res.status(500).json({ error: 'Server error starting two-factor setup' });
     }
 });
 
-// --- AI Chat Route (Enhanced) ---
-app.post('/api/chat', async (req, res) => {
+// Step 2 of enrollment: confirm a code from the app, then hand out recovery codes
+app.post('/api/auth/2fa/enable', authMiddleware, async (req, res) => {
     try {
-        if (!process.env.GEMINI_API_KEY) {
-            return res.status(500).json({ error: 'GEMINI_API_KEY is not configured on the server.' });
+        const { code } = req.body || {};
+        if (!code) return res.status(400).json({ error: 'Verification code is required' });
+
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
         }
-        
-        const { history, message, systemPrompt, expectJson } = req.body || {};
-        console.log('Received chat request:', { message, systemPrompt, expectJson });
-        
-        // Helper to extract first JSON object/array from text
-        const extractJsonSnippet = (text) => {
-            if (!text || typeof text !== 'string') return null;
-            // Strip fenced code blocks if present
-            let cleaned = text.replace(/```json[\s\S]*?```/gi, (m) => m.replace(/```json|```/gi, ''))
-                              .replace(/```[\s\S]*?```/g, (m) => m.replace(/```/g, ''))
-                              .trim();
-            // Find first [{ or { then match until last ]} plausibly
-            const startIdx = cleaned.search(/[\[{]/);
-            if (startIdx === -1) return null;
-            cleaned = cleaned.slice(startIdx);
-            // Try progressively to parse by trimming to last closing brace/bracket
-            for (let i = cleaned.length; i > 0; i--) {
-                const candidate = cleaned.slice(0, i).trim();
-                try {
-                    const parsed = JSON.parse(candidate);
-                    return parsed;
-                } catch (_) { /* keep shrinking */ }
-            }
-            return null;
+        if (!user.twoFactor?.pendingSecret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const secret = decryptTwoFactorSecret(user.twoFactor.pendingSecret);
+        const step = verifyTotp(secret, code);
+        if (step === null) return res.status(400).json({ error: 'Invalid verification code' });
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor = {
+            enabled: true,
+            secret: user.twoFactor.pendingSecret,
+            recoveryCodes: hashes,
+            lastUsedStep: step,
+            enabledAt: new Date(),
         };
+        user.updatedAt = new Date();
+        await user.save();
 
-        // Check if the message is career-related with enhanced detection
-        const isCareerRelated = checkIfCareerRelated(message);
-        
-        if (!isCareerRelated && !expectJson) {
-            return res.json({ 
-                response: `I'm Careerion AI, your dedicated career guidance assistant! I'm here to provide comprehensive advice on:
+        // The code proves possession of the second factor, so the current session is upgraded
+        const session = await Session.findByIdAndUpdate(req.user.sid, { twoFactorVerified: true }, { new: true });
 
-🎯 **Career Exploration & Planning**
-- Discovering career paths that match your interests and skills
-- Industry insights and job market trends
+        res.json({
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+            recoveryCodes: codes,
+            token: signAccessToken(user, session),
+        });
+    } catch (error) {
+        console.error('Error in POST /api/auth/2fa/enable:', error);
+        res.status(500).json({ error: 'Server error enabling two-factor authentication' });
+    }
+});
+
+// Second login step: exchange the challenge token and a TOTP or recovery code for real tokens
+app.post('/api/auth/2fa/verify', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body || {};
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: 'Challenge token and a verification or recovery code are required' });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(challengeToken, process.env.JWT_SECRET || 'your-secret-key');
+        } catch (err) {
+            return res.status(401).json({ error: 'Two-factor challenge is invalid or has expired. Please log in again.' });
+        }
+        if (payload.purpose !== '2fa-challenge') {
+            return res.status(401).json({ error: 'Two-factor challenge is invalid or has expired. Please log in again.' });
+        }
+
+        const user = await User.findById(payload.userId);
+        if (!user || !user.twoFactor?.enabled) {
+            return res.status(401).json({ error: 'Two-factor challenge is invalid or has expired. Please log in again.' });
+        }
+
+        // Codes are counted per user id, apart from passwords, so a correct password can't reset them
+        const throttled = await checkLoginAllowed(user._id, req.ip, 'user');
+        if (throttled) return sendLoginThrottled(res, throttled);
+
+        const suspension = await getActiveSuspension(user);
+        if (suspension) return res.status(403).json(suspensionError(suspension));
+
+        const method = await consumeTwoFactorCode(user, { code, recoveryCode });
+        if (!method) {
+            await recordLoginFailure(user._id, req.ip, 'user');
+            return res.status(401).json({ error: 'Invalid two-factor code' });
+        }
+        await recordLoginSuccess(user._id, 'user');
+
+        await User.findByIdAndUpdate(user._id, { lastLogin: new Date() });
+
+        const tokens = await issueAuthTokens(user, req, { twoFactorVerified: true });
+        const remainingRecoveryCodes = user.twoFactor.recoveryCodes.length - (method === 'recovery' ? 1 : 0);
+
+        res.json({
+            message: 'Login successful',
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role || 'user',
+                emailVerified: !!user.emailVerified,
+                createdAt: user.createdAt
+            },
+            ...tokens,
+            recoveryCodesRemaining: remainingRecoveryCodes
+        });
+    } catch (error) {
+        console.error('Error in POST /api/auth/2fa/verify:', error);
+        res.status(500).json({ error: 'Server error during two-factor verification' });
+    }
+});
+
+app.post('/api/auth/2fa/recovery-codes', authMiddleware, async (req, res) => {
+    try {
+        const { code } = req.body || {};
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        // Same throttle as the login code check, counted per user id
+        const throttled = await checkLoginAllowed(user._id, req.ip, 'user');
+        if (throttled) return sendLoginThrottled(res, throttled);
+
+        if (!code || !(await consumeTwoFactorCode(user, { code }))) {
+            await recordLoginFailure(user._id, req.ip, 'user');
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+        await recordLoginSuccess(user._id, 'user');
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+        res.json({ message: 'New recovery codes generated. Previous codes no longer work.', recoveryCodes: codes });
+    } catch (error) {
+        console.error('Error in POST /api/auth/2fa/recovery-codes:', error);
+        res.status(500).json({ error: 'Server error generating recovery codes' });
+    }
+});
+
+app.post('/api/auth/2fa/disable', authMiddleware, async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body || {};
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        if (TWO_FACTOR_REQUIRED_ROLES.includes(user.role)) {
+            return res.status(403).json({ error: 'Two-factor authentication is mandatory for your role' });
+        }
+
+        const throttled = await checkLoginAllowed(user._id, req.ip, 'user');
+        if (throttled) return sendLoginThrottled(res, throttled);
+
+        if (!(await consumeTwoFactorCode(user, { code, recoveryCode }))) {
+            await recordLoginFailure(user._id, req.ip, 'user');
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+        await recordLoginSuccess(user._id, 'user');
+
+        await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false }, updatedAt: new Date() } });
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Error in POST /api/auth/2fa/disable:', error);
+        res.status(500).json({ error: 'Server error disabling two-factor authentication' });
+    }
+});
+
+// --- Health Check ---
+app.get('/api/health', (req, res) => {
+    const hasKey = Boolean(process.env.GEMINI_API_KEY);
+    res.json({
+        status: 'ok',
+        geminiKeyPresent: hasKey,
+        aiProvider: aiProvider.name,
+        aiConfigured: !aiProvider.configurationError(),
+        modelConfigured: aiProvider.primaryModel,
+        fallbackModels: aiProvider.fallbackModels,
+    });
+});
+
+// --- Google Sign-In (ID tokens verified locally against Google's signing keys) ---
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const GOOGLE_JWKS_DEFAULT_MAX_AGE_MS = 60 * 60 * 1000;
+const GOOGLE_JWKS_MIN_REFETCH_MS = 60 * 1000;
+
+// Keys are cached for as long as Google's Cache-Control header allows. Pinned keys
+// (GOOGLE_JWKS_FILE or app.locals.setGoogleSigningKeys) are never refetched, which
+// lets tests and offline development sign their own ID tokens.
+const googleJwksCache = { keys: null, expiresAt: 0, fetchedAt: 0, pinned: false };
+
+function setGoogleSigningKeys(jwks) {
+    googleJwksCache.keys = Array.isArray(jwks) ? jwks : (jwks?.keys || []);
+    googleJwksCache.expiresAt = Infinity;
+    googleJwksCache.pinned = true;
+}
+app.locals.setGoogleSigningKeys = setGoogleSigningKeys;
+
+if (process.env.GOOGLE_JWKS_FILE) {
+    try {
+        setGoogleSigningKeys(JSON.parse(fs.readFileSync(process.env.GOOGLE_JWKS_FILE, 'utf8')));
+        console.log(`[Config] Using pinned Google signing keys from ${process.env.GOOGLE_JWKS_FILE}`);
+    } catch (err) {
+        console.error(`[Config] Could not load GOOGLE_JWKS_FILE: ${err.message}`);
+    }
+}
+
+function getGoogleClientIds() {
+    return (process.env.GOOGLE_CLIENT_ID || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+}
+
+async function getGoogleSigningKeys(forceRefresh = false) {
+    if (googleJwksCache.pinned) return googleJwksCache.keys;
+    if (googleJwksCache.keys && !forceRefresh && googleJwksCache.expiresAt > Date.now()) {
+        return googleJwksCache.keys;
+    }
+    if (typeof fetch === 'undefined') {
+        throw new Error('Global fetch is unavailable. Use Node.js v18+ or install node-fetch.');
+    }
+
+    const resp = await fetch(GOOGLE_JWKS_URL);
+    if (!resp.ok) throw new Error(`Google JWKS request returned ${resp.status}: ${resp.statusText}`);
+    const { keys } = await resp.json();
+
+    const maxAge = /max-age=(\d+)/.exec(resp.headers.get('cache-control') || '');
+    googleJwksCache.keys = keys || [];
+    googleJwksCache.fetchedAt = Date.now();
+    googleJwksCache.expiresAt = Date.now() + (maxAge ? parseInt(maxAge[1], 10) * 1000 : GOOGLE_JWKS_DEFAULT_MAX_AGE_MS);
+    return googleJwksCache.keys;
+}
+
+// Returns the verified ID token payload ({ sub, email, email_verified, name, picture, ... })
+async function verifyGoogleIdToken(idToken) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+        throw new Error('Malformed Google ID token');
+    }
+
+    let keys = await getGoogleSigningKeys();
+    let jwk = keys.find(key => key.kid === decoded.header.kid);
+
+    // Google rotates its keys; refetch once for an unknown key id, but not on every bad token
+    if (!jwk && !googleJwksCache.pinned && Date.now() - googleJwksCache.fetchedAt > GOOGLE_JWKS_MIN_REFETCH_MS) {
+        keys = await getGoogleSigningKeys(true);
+        jwk = keys.find(key => key.kid === decoded.header.kid);
+    }
+    if (!jwk) throw new Error('Google ID token was signed with an unknown key');
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const payload = jwt.verify(idToken, publicKey, {
+        algorithms: ['RS256'],
+        audience: getGoogleClientIds(),
+        issuer: GOOGLE_ISSUERS,
+    });
+
+    if (!payload.sub || !payload.email) throw new Error('Google ID token is missing the account identity');
+    return payload;
+}
+
+// One-off, run before the server takes requests. Accounts stored before providers and email
+// verification were recorded lack those fields. Saving any user writes the defaults, so this
+// must run on the first start of this version, before those accounts are touched.
+async function migrateLegacyAccounts() {
+    const linking = await User.updateMany(
+        { providers: { $exists: false } },
+        { $set: { providers: ['password'], legacyGoogleSignIn: true } }
+    );
+    if (linking.modifiedCount > 0) console.log(`[Migration] Marked ${linking.modifiedCount} legacy accounts for Google sign-in linking`);
+
+    // Existing users were never asked to verify, so features behind verification stay open to them
+    const verified = await User.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+    );
+    if (verified.modifiedCount > 0) console.log(`[Migration] Marked ${verified.modifiedCount} existing accounts as email-verified`);
+
+    // Profiles saved before the score was stored on the user
+    let scored = 0;
+    const unscored = User.find({ profile: { $exists: true }, completeness: { $exists: false } }).select('profile').lean().cursor();
+    for await (const user of unscored) {
+        await User.updateOne({ _id: user._id }, { $set: { completeness: storedCompleteness(user.profile || {}) } });
+        scored += 1;
+    }
+    if (scored > 0) console.log(`[Migration] Stored profile completeness for ${scored} accounts`);
+}
+app.locals.migrateLegacyAccounts = migrateLegacyAccounts;
+
+function getGoogleCredential(body) {
+    const { credential, token } = body || {};
+    return credential || token || null;
+}
+
+app.post('/api/auth/google', async (req, res) => {
+    try {
+        const idToken = getGoogleCredential(req.body);
+        if (!idToken) return res.status(400).json({ error: 'token is required' });
+
+        if (getGoogleClientIds().length === 0) {
+            return res.status(500).json({ error: 'GOOGLE_CLIENT_ID is not configured on the server.' });
+        }
+
+        let profile;
+        try {
+            profile = await verifyGoogleIdToken(idToken);
+        } catch (error) {
+            console.error('Google ID token verification failed:', error.message);
+            return res.status(400).json({
+                error: 'Unable to verify Google token',
+                details: error.message
+            });
+        }
+        const emailVerified = profile.email_verified === true || profile.email_verified === 'true';
+
+        let user = await User.findOne({ googleId: profile.sub });
+        if (!user) {
+            const existingUser = await User.findOne({ email: profile.email });
+            if (existingUser && !existingUser.googleId && existingUser.legacyGoogleSignIn && emailVerified) {
+                // Older Google sign-ins made password-less accounts look like password ones; keep them working
+                existingUser.googleId = profile.sub;
+                if (!existingUser.providers.includes('google')) existingUser.providers.push('google');
+                existingUser.legacyGoogleSignIn = undefined;
+                if (profile.picture && !existingUser.avatar?.googleUrl) existingUser.set('avatar.googleUrl', profile.picture);
+                existingUser.updatedAt = new Date();
+                await existingUser.save();
+                user = existingUser;
+            } else if (existingUser) {
+                // Never attach a Google identity to a password account without the owner's consent
+                return res.status(409).json({
+                    error: 'An account with this email already exists. Sign in with your password and link Google from your account settings.',
+                    code: 'GOOGLE_LINK_REQUIRED'
+                });
+            } else {
+                if (!emailVerified) {
+                    return res.status(400).json({ error: 'Your Google email address is not verified' });
+                }
+
+                user = new User({
+                    name: profile.name || profile.email.split('@')[0],
+                    email: profile.email,
+                    googleId: profile.sub,
+                    providers: ['google'],
+                    emailVerified: true,
+                    emailVerifiedAt: new Date(),
+                    avatar: { googleUrl: profile.picture },
+                });
+                await user.save();
+            }
+        } else if (profile.picture && !user.avatar?.googleUrl) {
+            user.set('avatar.googleUrl', profile.picture);
+            await user.save();
+        }
+
+        const suspension = await getActiveSuspension(user);
+        if (suspension) return res.status(403).json(suspensionError(suspension));
+
+        if (user.twoFactor?.enabled) {
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: signTwoFactorChallenge(user)
+            });
+        }
+
+        await User.findByIdAndUpdate(user._id, { lastLogin: new Date() });
+
+        const tokens = await issueAuthTokens(user, req);
+
+        res.json({
+            message: 'Google login successful',
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role || 'user',
+                emailVerified: !!user.emailVerified,
+                providers: user.providers,
+                createdAt: user.createdAt,
+                ...avatarUrls(user)
+            },
+            ...tokens,
+        });
+    } catch (error) {
+        console.error('Error in /api/auth/google:', error);
+        res.status(500).json({ error: 'Server error during Google auth' });
+    }
+});
+
+// Link a Google identity to the signed-in account
+app.post('/api/auth/google/link', authMiddleware, async (req, res) => {
+    try {
+        const idToken = getGoogleCredential(req.body);
+        if (!idToken) return res.status(400).json({ error: 'token is required' });
+
+        if (getGoogleClientIds().length === 0) {
+            return res.status(500).json({ error: 'GOOGLE_CLIENT_ID is not configured on the server.' });
+        }
+
+        let profile;
+        try {
+            profile = await verifyGoogleIdToken(idToken);
+        } catch (error) {
+            return res.status(400).json({ error: 'Unable to verify Google token', details: error.message });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        if (user.googleId && user.googleId !== profile.sub) {
+            return res.status(409).json({ error: 'A different Google account is already linked. Unlink it first.' });
+        }
+        const otherUser = await User.findOne({ googleId: profile.sub, _id: { $ne: user._id } });
+        if (otherUser) {
+            return res.status(409).json({ error: 'This Google account is already linked to another user' });
+        }
+
+        user.googleId = profile.sub;
+        user.legacyGoogleSignIn = undefined;
+        if (!user.providers.includes('google')) user.providers.push('google');
+        if (profile.picture && !user.avatar?.googleUrl) user.set('avatar.googleUrl', profile.picture);
+        user.updatedAt = new Date();
+        await user.save();
+
+        res.json({ message: 'Google account linked', providers: user.providers });
+    } catch (error) {
+        console.error('Error in POST /api/auth/google/link:', error);
+        res.status(500).json({ error: 'Server error linking Google account' });
+    }
+});
+
+app.delete('/api/auth/google/link', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        if (!user.googleId) {
+            return res.status(400).json({ error: 'No Google account is linked' });
+        }
+        // Keep at least one way to sign in
+        if (!user.password) {
+            return res.status(400).json({ error: 'Set a password (via forgot password) before unlinking Google' });
+        }
+
+        user.googleId = undefined;
+        user.legacyGoogleSignIn = undefined;
+        user.providers = user.providers.filter(provider => provider !== 'google');
+        user.set('avatar.googleUrl', undefined);
+        user.updatedAt = new Date();
+        await user.save();
+
+        res.json({ message: 'Google account unlinked', providers: user.providers });
+    } catch (error) {
+        console.error('Error in DELETE /api/auth/google/link:', error);
+        res.status(500).json({ error: 'Server error unlinking Google account' });
+    }
+});
+
+// --- Account Settings (self-service) ---
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+const ACCOUNT_PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+const REAUTH_MAX_AGE_SECONDS = parseInt(process.env.REAUTH_MAX_AGE_SECONDS, 10) || 300;
+
+// Sensitive changes re-check the password. Accounts without one (Google-only) confirm with a
+// Google ID token issued in the last REAUTH_MAX_AGE_SECONDS, or a two-factor or recovery code.
+async function confirmIdentity(user, { password, credential, code, recoveryCode } = {}) {
+    if (user.password) return isNonEmptyString(password) && bcrypt.compare(password, user.password);
+
+    if (credential && user.googleId && getGoogleClientIds().length > 0) {
+        try {
+            const profile = await verifyGoogleIdToken(credential);
+            return profile.sub === user.googleId && Date.now() / 1000 - profile.iat <= REAUTH_MAX_AGE_SECONDS;
+        } catch (error) {
+            console.error('Google re-authentication failed:', error.message);
+            return false;
+        }
+    }
+    if (code || recoveryCode) return (await consumeTwoFactorCode(user, { code, recoveryCode })) !== null;
+    return false;
+}
+
+// 401 body for a failed confirmIdentity
+function identityError(user, passwordError) {
+    if (user.password) return { error: passwordError };
+    return {
+        error: 'Confirm it is you: sign in with Google again or enter a two-factor code',
+        code: 'REAUTH_REQUIRED',
+    };
+}
+
+// Removes a user and everything they own
+async function deleteUserData(userId) {
+    await Application.deleteMany({ userId });
+    await deleteResumes(userId);
+    await deleteAvatarFiles(userId);
+    await ProfileRevision.deleteMany({ userId });
+    await Session.deleteMany({ userId });
+    await deleteDataExports(userId);
+    await Message.deleteMany({ userId });
+    await Conversation.deleteMany({ userId });
+    await RejectedQuery.deleteMany({ userId });
+    await aiCacheStore?.purge({ userId });
+    // Usage records stay, without the user, so cost reports for past periods remain complete
+    await AiUsage.updateMany({ userId }, { $set: { userId: null } });
+    await User.deleteOne({ _id: userId });
+}
+
+// Permanently deletes accounts whose grace period has ended
+async function purgeScheduledDeletions(now = new Date()) {
+    const users = await User.find({ 'deletion.scheduledFor': { $lte: now } }).select('_id email');
+    for (const user of users) {
+        await deleteUserData(user._id);
+        console.log(`[Account] Purged account ${user.email} after deletion grace period`);
+    }
+    return users.length;
+}
+app.locals.purgeScheduledDeletions = purgeScheduledDeletions;
+
+app.post('/api/auth/change-password', authMiddleware, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+
+        if (!isNonEmptyString(newPassword)) return res.status(400).json({ error: 'New password is required' });
+        if (newPassword.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        if (user.password && !isNonEmptyString(currentPassword)) {
+            return res.status(400).json({ error: 'Current password is required' });
+        }
+        // Passwords and two-factor codes share the login throttle, counted per user id
+        const throttled = await checkLoginAllowed(user._id, req.ip, 'user');
+        if (throttled) return sendLoginThrottled(res, throttled);
+        if (!(await confirmIdentity(user, { ...req.body, password: currentPassword, credential: getGoogleCredential(req.body) }))) {
+            await recordLoginFailure(user._id, req.ip, 'user');
+            return res.status(401).json(identityError(user, 'Current password is incorrect'));
+        }
+        await recordLoginSuccess(user._id, 'user');
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date();
+        user.updatedAt = new Date();
+        if (!user.providers.includes('password')) user.providers.push('password');
+        await user.save();
+
+        // Every other device is signed out; this one gets a fresh session
+        await revokeAllSessions(user._id, 'password_change');
+        const tokens = await issueAuthTokens(user, req, { twoFactorVerified: !!req.user.mfa });
+
+        try {
+            await sendEmail(user.email, 'passwordChanged', { name: user.name });
+        } catch (mailError) {
+            console.error('Failed to send password changed email:', mailError);
+        }
+
+        res.json({ message: 'Password changed successfully', ...tokens });
+    } catch (error) {
+        console.error('Error in change-password:', error);
+        res.status(500).json({ error: 'Server error changing password' });
+    }
+});
+
+app.post('/api/auth/change-email', authMiddleware, async (req, res) => {
+    try {
+        const { newEmail } = req.body || {};
+        if (!isNonEmptyString(newEmail)) return res.status(400).json({ error: 'New email is required' });
+
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const throttled = await checkLoginAllowed(user._id, req.ip, 'user');
+        if (throttled) return sendLoginThrottled(res, throttled);
+        if (!(await confirmIdentity(user, { ...req.body, credential: getGoogleCredential(req.body) }))) {
+            await recordLoginFailure(user._id, req.ip, 'user');
+            return res.status(401).json(identityError(user, 'Password is incorrect'));
+        }
+        await recordLoginSuccess(user._id, 'user');
+        if (newEmail === user.email) {
+            return res.status(400).json({ error: 'New email must be different from the current email' });
+        }
+        const existingUser = await User.findOne({ email: newEmail });
+        if (existingUser) {
+            return res.status(400).json({ error: 'User with this email already exists' });
+        }
+
+        // The address only changes once the link sent to it is opened
+        user.pendingEmail = newEmail;
+        user.pendingEmailRequestedAt = new Date();
+        user.updatedAt = new Date();
+        await user.save();
+
+        try {
+            await sendEmailChangeVerification(user);
+            await sendEmail(user.email, 'emailChangeRequested', { name: user.name, newEmail });
+        } catch (mailError) {
+            console.error('Failed to send email change notifications:', mailError);
+        }
+
+        res.json({
+            message: 'Open the link sent to your new email address to finish the change.',
+            user: { _id: user._id, name: user.name, email: user.email, pendingEmail: user.pendingEmail, emailVerified: user.emailVerified }
+        });
+    } catch (error) {
+        console.error('Error in change-email:', error);
+        res.status(500).json({ error: 'Server error changing email' });
+    }
+});
+
+// Deletion is deferred: the account is signed out now and purged once the grace period ends
+app.delete('/api/auth/account', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const throttled = await checkLoginAllowed(user._id, req.ip, 'user');
+        if (throttled) return sendLoginThrottled(res, throttled);
+        if (!(await confirmIdentity(user, { ...req.body, credential: getGoogleCredential(req.body) }))) {
+            await recordLoginFailure(user._id, req.ip, 'user');
+            return res.status(401).json(identityError(user, 'Password is incorrect'));
+        }
+        await recordLoginSuccess(user._id, 'user');
+        if (user.deletion?.scheduledFor) {
+            return res.status(400).json({ error: 'Account deletion is already scheduled', deletionScheduledFor: user.deletion.scheduledFor });
+        }
+
+        const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+        user.deletion = { requestedAt: new Date(), scheduledFor };
+        user.updatedAt = new Date();
+        await user.save();
+
+        await revokeAllSessions(user._id, 'account_deletion');
+
+        try {
+            await sendEmail(user.email, 'accountDeletionScheduled', { name: user.name, scheduledFor });
+        } catch (mailError) {
+            console.error('Failed to send account deletion email:', mailError);
+        }
+
+        res.json({
+            message: `Your account will be permanently deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Sign in before then to cancel.`,
+            deletionScheduledFor: scheduledFor
+        });
+    } catch (error) {
+        console.error('Error in DELETE /api/auth/account:', error);
+        res.status(500).json({ error: 'Server error deleting account' });
+    }
+});
+
+app.post('/api/auth/account/cancel-deletion', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findOneAndUpdate(
+            { _id: req.user.userId, 'deletion.scheduledFor': { $exists: true } },
+            { $unset: { deletion: 1 }, $set: { updatedAt: new Date() } },
+            { new: true }
+        );
+        if (!user) return res.status(400).json({ error: 'Account deletion is not scheduled' });
+
+        res.json({ message: 'Account deletion cancelled' });
+    } catch (error) {
+        console.error('Error cancelling account deletion:', error);
+        res.status(500).json({ error: 'Server error cancelling account deletion' });
+    }
+});
+
+// --- Skills Taxonomy ---
+// Canonical skill names with synonyms, seeded from data/skills.json the first time the
+// collection is empty and curated by admins afterwards. Lookups go through an in-memory
+// index that is refreshed after admin edits and every SKILL_INDEX_TTL_SECONDS.
+const SKILLS_SEED_FILE = process.env.SKILLS_SEED_FILE || path.join(__dirname, 'data', 'skills.json');
+const SKILL_INDEX_TTL_SECONDS = parseInt(process.env.SKILL_INDEX_TTL_SECONDS, 10) || 300;
+
+// "JS", "java script" and "Java-Script" all normalize to the same key
+function normalizeSkillKey(value) {
+    return String(value).toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+function skillKeys(name, synonyms = []) {
+    return [...new Set([name, ...synonyms].map(normalizeSkillKey).filter(key => key.length > 0))];
+}
+
+async function seedSkillTaxonomy() {
+    if (await Skill.estimatedDocumentCount() > 0) return 0;
+    let seed;
+    try {
+        seed = JSON.parse(await fs.promises.readFile(SKILLS_SEED_FILE, 'utf8'));
+    } catch (err) {
+        console.error(`[Skills] Could not read ${SKILLS_SEED_FILE}: ${err.message}`);
+        return 0;
+    }
+    const docs = seed.map(({ name, synonyms = [], category, type, related = [] }) => ({
+        name, synonyms, category, type, related, keys: skillKeys(name, synonyms), source: 'seed',
+    }));
+    try {
+        await Skill.insertMany(docs, { ordered: false });
+    } catch (err) {
+        // Another instance seeding at the same time produces duplicate-key errors; the data is there either way
+        if (err.code !== 11000 && !err.writeErrors) throw err;
+    }
+    console.log(`[Skills] Seeded ${docs.length} skills from ${SKILLS_SEED_FILE}`);
+    return docs.length;
+}
+
+let skillIndex = null;
+let skillIndexLoadedAt = 0;
+
+async function getSkillIndex() {
+    if (skillIndex && Date.now() - skillIndexLoadedAt < SKILL_INDEX_TTL_SECONDS * 1000) return skillIndex;
+
+    await seedSkillTaxonomy();
+    const skills = await Skill.find().select('name keys synonyms category type related').lean();
+    const byKey = new Map();
+    for (const skill of skills) {
+        for (const key of skill.keys) byKey.set(key, skill);
+    }
+    skillIndex = { skills, byKey };
+    skillIndexLoadedAt = Date.now();
+    return skillIndex;
+}
+
+function invalidateSkillIndex() {
+    skillIndex = null;
+}
+
+// Maps each entry to its canonical name (unknown skills are kept as typed) and drops duplicates
+async function normalizeSkills(skills) {
+    if (!Array.isArray(skills)) return skills;
+    const { byKey } = await getSkillIndex();
+    const seen = new Set();
+    const normalized = [];
+    for (const raw of skills) {
+        const trimmed = String(raw).trim();
+        if (!trimmed) continue;
+        const name = byKey.get(normalizeSkillKey(trimmed))?.name || trimmed;
+        const dedupeKey = normalizeSkillKey(name);
+        if (seen.has(dedupeKey)) continue;
+        seen.add(dedupeKey);
+        normalized.push(name);
+    }
+    return normalized;
+}
+
+// Groups a skills list by taxonomy type so technical and soft skills can be shown separately
+async function groupSkills(skills = []) {
+    const { byKey } = await getSkillIndex();
+    const groups = { technical: [], soft: [], other: [] };
+    for (const name of skills) {
+        const skill = byKey.get(normalizeSkillKey(name));
+        groups[skill ? skill.type : 'other'].push(name);
+    }
+    return groups;
+}
+
+// Validates admin input for creating or updating a skill
+function validateSkillInput(body, existingId = null) {
+    const { name, synonyms = [], category, type, related = [] } = body || {};
+    if (existingId === null && (typeof name !== 'string' || !name.trim())) return { error: 'Skill name is required' };
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 60)) return { error: 'Skill name must be 1-60 characters' };
+    if (!Array.isArray(synonyms) || synonyms.some(synonym => typeof synonym !== 'string')) return { error: 'synonyms must be a list of strings' };
+    if (!Array.isArray(related) || related.some(item => typeof item !== 'string')) return { error: 'related must be a list of strings' };
+    if (type !== undefined && !['technical', 'soft'].includes(type)) return { error: 'type must be technical or soft' };
+    if (category !== undefined && (typeof category !== 'string' || category.length > 60)) return { error: 'category must be at most 60 characters' };
+    return { value: { name: name?.trim(), synonyms: synonyms.map(synonym => synonym.trim()).filter(Boolean), category, type, related } };
+}
+
+// Autocomplete: exact matches first, then prefix matches, then substring matches
+app.get('/api/skills', async (req, res) => {
+    try {
+        const query = normalizeSkillKey(req.query.q || '');
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+        const { skills } = await getSkillIndex();
+
+        const ranked = [];
+        for (const skill of skills) {
+            if (req.query.type && skill.type !== req.query.type) continue;
+            let rank = query ? Infinity : 3;
+            for (const key of skill.keys) {
+                if (key === query) rank = Math.min(rank, 0);
+                else if (key.startsWith(query)) rank = Math.min(rank, key === skill.keys[0] ? 1 : 2);
+                else if (key.includes(query)) rank = Math.min(rank, 3);
+            }
+            if (rank !== Infinity) ranked.push({ skill, rank });
+        }
+        ranked.sort((a, b) => a.rank - b.rank || a.skill.name.localeCompare(b.skill.name));
+
+        res.json({
+            skills: ranked.slice(0, limit).map(({ skill }) => ({
+                name: skill.name,
+                category: skill.category,
+                type: skill.type,
+                related: skill.related,
+            }))
+        });
+    } catch (error) {
+        console.error('Error in GET /api/skills:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- User Profile Routes (protected) ---
+const PROFILE_EDUCATION_LEVELS = ['High School', 'Diploma', 'Associate Degree', "Bachelor's Degree", "Master's Degree", 'Doctorate', 'Bootcamp', 'Self-taught', 'Other'];
+const PROFILE_CURRENT_STATUSES = ['Student', 'Employed', 'Unemployed', 'Freelancer', 'Self-Employed', 'Career Break', 'Other'];
+const PROFILE_REVISION_LIMIT = parseInt(process.env.PROFILE_REVISION_LIMIT, 10) || 50;
+
+// Validation rules for PATCH /api/user/profile; arrays also accept comma-separated strings
+const profileFieldRules = {
+    educationLevel: { type: 'string', enum: PROFILE_EDUCATION_LEVELS, maxLength: 100 },
+    fieldOfStudy: { type: 'string', maxLength: 100 },
+    institution: { type: 'string', maxLength: 150 },
+    yearOfCompletion: { type: 'string', pattern: /^(19|20)\d{2}$/, patternMessage: 'must be a four-digit year' },
+    currentStatus: { type: 'string', enum: PROFILE_CURRENT_STATUSES, maxLength: 100 },
+    workExperience: { type: 'string', maxLength: 50 },
+    skills: { type: 'array', maxItems: 50, itemMaxLength: 50 },
+    interests: { type: 'array', maxItems: 30, itemMaxLength: 50 },
+    careerGoals: { type: 'string', maxLength: 1000 },
+    preferredWorkEnvironment: { type: 'string', maxLength: 100 },
+    preferredWorkLocation: { type: 'string', maxLength: 100 },
+    salaryExpectations: { type: 'string', maxLength: 100 },
+    willingToRelocate: { type: 'boolean' },
+};
+
+// Older clients send skills split in two, as POST /api/user/profile accepts; they are combined into skills
+const LEGACY_SKILL_FIELDS = ['technicalSkills', 'softSkills'];
+
+function splitList(value) {
+    return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+// Returns { set, unset, errors }; null or '' clears a field. Enum fields map known values to
+// their canonical spelling but keep other text, which earlier clients saved as free text.
+function validateProfileUpdate(payload) {
+    const set = {};
+    const unset = [];
+    const errors = [];
+    const legacySkills = [];
+
+    for (const [field, rawValue] of Object.entries(payload)) {
+        const legacy = LEGACY_SKILL_FIELDS.includes(field);
+        const rule = legacy ? profileFieldRules.skills : profileFieldRules[field];
+        if (!rule) {
+            errors.push({ field, message: 'is not a profile field' });
+            continue;
+        }
+        if (rawValue === null || rawValue === '') {
+            if (!legacy) unset.push(field);
+            continue;
+        }
+
+        let value = rawValue;
+        if (rule.type === 'string') {
+            if (typeof value === 'number') value = String(value);
+            if (typeof value !== 'string') {
+                errors.push({ field, message: 'must be a string' });
+                continue;
+            }
+            value = value.trim();
+            if (rule.enum) value = rule.enum.find(option => option.toLowerCase() === value.toLowerCase()) || value;
+            if (rule.maxLength && value.length > rule.maxLength) {
+                errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+                continue;
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                errors.push({ field, message: rule.patternMessage });
+                continue;
+            }
+        } else if (rule.type === 'array') {
+            if (typeof value === 'string') value = splitList(value);
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                errors.push({ field, message: 'must be a list of strings' });
+                continue;
+            }
+            value = [...new Set(value.map(item => item.trim()).filter(item => item.length > 0))];
+            if (value.length > rule.maxItems) {
+                errors.push({ field, message: `must have at most ${rule.maxItems} entries` });
+                continue;
+            }
+            if (value.some(item => item.length > rule.itemMaxLength)) {
+                errors.push({ field, message: `entries must be at most ${rule.itemMaxLength} characters` });
+                continue;
+            }
+        } else if (rule.type === 'boolean' && typeof value !== 'boolean') {
+            errors.push({ field, message: 'must be true or false' });
+            continue;
+        }
+
+        if (legacy) legacySkills.push(...value);
+        else set[field] = value;
+    }
+
+    // Like POST, the combined legacy lists replace skills
+    if (legacySkills.length > 0) {
+        const skills = [...new Set(legacySkills)];
+        if (skills.length > profileFieldRules.skills.maxItems) {
+            errors.push({ field: 'skills', message: `must have at most ${profileFieldRules.skills.maxItems} entries` });
+        } else {
+            set.skills = skills;
+            if (unset.includes('skills')) unset.splice(unset.indexOf('skills'), 1);
+        }
+    }
+
+    return { set, unset, errors };
+}
+
+function isProfileComplete(profile = {}) {
+    const hasItems = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+    return Boolean(
+        profile.educationLevel && profile.fieldOfStudy && profile.institution && profile.currentStatus && hasItems(profile.skills) && hasItems(profile.interests) && profile.careerGoals
+    );
+}
+
+// --- Profile completeness score ---
+// Sections carry weights summing to 100; inside a section every field counts equally,
+// and a field that is present but thin ("weak") earns half credit.
+const hasText = (value) => typeof value === 'string' && value.trim().length > 0;
+const listLength = (value) => (Array.isArray(value) ? value.length : 0);
+
+const PROFILE_COMPLETENESS_SECTIONS = [
+    {
+        name: 'education',
+        weight: 25,
+        fields: [
+            { field: 'educationLevel', isSet: hasText, suggestion: 'Add your highest level of education.' },
+            { field: 'fieldOfStudy', isSet: hasText, suggestion: 'Add what you studied.' },
+            { field: 'institution', isSet: hasText, suggestion: 'Add the school or university you attended.' },
+            { field: 'yearOfCompletion', isSet: hasText, suggestion: 'Add the year you completed (or expect to complete) your studies.' },
+        ],
+    },
+    {
+        name: 'experience',
+        weight: 20,
+        fields: [
+            { field: 'currentStatus', isSet: hasText, suggestion: 'Tell us whether you are studying, working or looking for work.' },
+            { field: 'workExperience', isSet: hasText, suggestion: 'Add how many years of work experience you have.' },
+        ],
+    },
+    {
+        name: 'skills',
+        weight: 25,
+        fields: [
+            {
+                field: 'skills',
+                isSet: (value) => listLength(value) > 0,
+                isWeak: (value) => listLength(value) < 3,
+                suggestion: 'Add at least 3 skills so recommendations can match you to roles.',
+            },
+            {
+                field: 'interests',
+                isSet: (value) => listLength(value) > 0,
+                isWeak: (value) => listLength(value) < 2,
+                suggestion: 'Add at least 2 interests.',
+            },
+        ],
+    },
+    {
+        name: 'goals',
+        weight: 20,
+        fields: [
+            {
+                field: 'careerGoals',
+                isSet: hasText,
+                isWeak: (value) => value.trim().length < 30,
+                suggestion: 'Describe your career goals in a sentence or two.',
+            },
+        ],
+    },
+    {
+        name: 'preferences',
+        weight: 10,
+        fields: [
+            { field: 'preferredWorkEnvironment', isSet: hasText, suggestion: 'Add your preferred work environment (remote, hybrid, on-site).' },
+            { field: 'preferredWorkLocation', isSet: hasText, suggestion: 'Add where you would like to work.' },
+            { field: 'salaryExpectations', isSet: hasText, suggestion: 'Add your salary expectations.' },
+            { field: 'willingToRelocate', isSet: (value) => typeof value === 'boolean', suggestion: 'Let us know whether you are willing to relocate.' },
+        ],
+    },
+];
+
+// Returns { score, sections, missing } with score and section scores on a 0-100 scale
+function scoreProfileCompleteness(profile = {}) {
+    let score = 0;
+    const sections = [];
+    const missing = [];
+
+    for (const section of PROFILE_COMPLETENESS_SECTIONS) {
+        let credit = 0;
+        for (const rule of section.fields) {
+            const value = profile[rule.field];
+            if (!rule.isSet(value)) {
+                missing.push({ field: rule.field, section: section.name, status: 'missing', suggestion: rule.suggestion });
+            } else if (rule.isWeak && rule.isWeak(value)) {
+                credit += 0.5;
+                missing.push({ field: rule.field, section: section.name, status: 'weak', suggestion: rule.suggestion });
+            } else {
+                credit += 1;
+            }
+        }
+        const fraction = credit / section.fields.length;
+        score += section.weight * fraction;
+        sections.push({ name: section.name, weight: section.weight, score: Math.round(fraction * 100) });
+    }
+
+    // Highest-weighted gaps first, so the first suggestion is the most valuable one
+    const sectionWeight = Object.fromEntries(PROFILE_COMPLETENESS_SECTIONS.map(section => [section.name, section.weight]));
+    missing.sort((a, b) => sectionWeight[b.section] - sectionWeight[a.section]);
+
+    return { score: Math.round(score), sections, missing };
+}
+
+// The compact form stored on the user: section scores by name and the missing field names
+function storedCompleteness(profile = {}) {
+    const { score, sections, missing } = scoreProfileCompleteness(profile);
+    return {
+        score,
+        sections: Object.fromEntries(sections.map(section => [section.name, section.score])),
+        missing: missing.map(item => item.field),
+    };
+}
+
+function plainProfile(profile) {
+    if (!profile) return {};
+    return typeof profile.toObject === 'function' ? profile.toObject() : { ...profile };
+}
+
+// Missing values and empty lists are all treated as "not set"
+function normalizeProfileValue(value) {
+    return value === undefined || (Array.isArray(value) && value.length === 0) ? null : value;
+}
+
+function diffProfiles(before, after) {
+    const changes = [];
+    for (const field of [...Object.keys(profileFieldRules), ...Object.keys(PROFILE_HISTORY_LISTS)]) {
+        const from = normalizeProfileValue(before[field]);
+        const to = normalizeProfileValue(after[field]);
+        if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+    }
+    return changes;
+}
+
+// Records a revision (if anything changed) and trims history to PROFILE_REVISION_LIMIT
+async function recordProfileRevision(userId, before, after, source, revertedFrom) {
+    const changes = diffProfiles(before, after);
+    if (changes.length === 0) return null;
+
+    const revision = await ProfileRevision.create({ userId, source, changes, snapshot: after, revertedFrom });
+    const stale = await ProfileRevision.find({ userId }).sort({ createdAt: -1, _id: -1 }).skip(PROFILE_REVISION_LIMIT).select('_id');
+    if (stale.length > 0) await ProfileRevision.deleteMany({ _id: { $in: stale.map(r => r._id) } });
+    return revision;
+}
+
+function serializeProfileRevision(revision, { includeSnapshot = false } = {}) {
+    return {
+        id: revision._id,
+        source: revision.source,
+        changes: revision.changes,
+        createdAt: revision.createdAt,
+        ...(revision.revertedFrom && { revertedFrom: revision.revertedFrom }),
+        ...(includeSnapshot && { snapshot: revision.snapshot || {} }),
+    };
+}
+
+app.get('/api/user/profile', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('-password');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({
+            profile: user.profile || {},
+            profileComplete: !!user.profileComplete,
+            completeness: scoreProfileCompleteness(plainProfile(user.profile)),
+            skillGroups: await groupSkills(user.profile?.skills || []),
+            yearsOfExperience: calculateYearsOfExperience(user.profile?.experience)
+        });
+    } catch (error) {
+        console.error('Error in GET /api/user/profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/user/profile', authMiddleware, async (req, res) => {
+    try {
+        const allowedFields = ['educationLevel','fieldOfStudy','institution','yearOfCompletion','currentStatus','workExperience','skills','interests','careerGoals','preferredWorkEnvironment','preferredWorkLocation','salaryExpectations','willingToRelocate','technicalSkills','softSkills'];
+        const payload = req.body || {};
+        const profile = {};
+        
+        for (const key of allowedFields) {
+            if (payload[key] !== undefined) {
+                // Process comma-separated skills and interests into arrays
+                if ((key === 'skills' || key === 'interests' || key === 'technicalSkills' || key === 'softSkills') && typeof payload[key] === 'string') {
+                    // Split by comma, trim whitespace, filter empty strings
+                    profile[key] = payload[key]
+                        .split(',')
+                        .map(item => item.trim())
+                        .filter(item => item.length > 0);
+                } else {
+                    profile[key] = payload[key];
+                }
+            }
+        }
+        
+        // Combine technical and soft skills into main skills array for AI processing
+        if (profile.technicalSkills || profile.softSkills) {
+            const allSkills = [];
+            if (Array.isArray(profile.technicalSkills)) allSkills.push(...profile.technicalSkills);
+            if (Array.isArray(profile.softSkills)) allSkills.push(...profile.softSkills);
+            if (allSkills.length > 0) profile.skills = allSkills;
+        }
+        if (profile.skills) profile.skills = await normalizeSkills(profile.skills);
+        const profileComplete = isProfileComplete(profile);
+
+        // Replaces the flat profile fields; structured education/experience are managed separately
+        const unsetFields = Object.keys(profileFieldRules).filter(field => profile[field] === undefined);
+        const previous = await User.findByIdAndUpdate(
+            req.user.userId,
+            {
+                $set: {
+                    ...Object.fromEntries(Object.entries(profile).filter(([field]) => profileFieldRules[field]).map(([field, value]) => [`profile.${field}`, value])),
+                    profileComplete,
+                    completeness: storedCompleteness(profile)
+                },
+                ...(unsetFields.length > 0 && { $unset: Object.fromEntries(unsetFields.map(field => [`profile.${field}`, 1])) })
+            }
+        ).select('profile');
+
+        if (!previous) return res.status(404).json({ error: 'User not found' });
+        const updated = await User.findById(req.user.userId).select('profile profileComplete');
+        await recordProfileRevision(updated._id, plainProfile(previous.profile), plainProfile(updated.profile), 'update');
+        res.json({ message: 'Profile updated', profile: updated.profile || {}, profileComplete: !!updated.profileComplete });
+    } catch (error) {
+        console.error('Error in POST /api/user/profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Partial update: only the fields sent are changed
+app.patch('/api/user/profile', authMiddleware, async (req, res) => {
+    try {
+        const payload = req.body || {};
+        if (typeof payload !== 'object' || Array.isArray(payload) || Object.keys(payload).length === 0) {
+            return res.status(400).json({ error: 'Provide at least one profile field to update' });
+        }
+
+        const { set, unset, errors } = validateProfileUpdate(payload);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid profile data', details: errors });
+        }
+        if (set.skills) set.skills = await normalizeSkills(set.skills);
+
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const before = plainProfile(user.profile);
+        for (const [field, value] of Object.entries(set)) user.set(`profile.${field}`, value);
+        for (const field of unset) user.set(`profile.${field}`, undefined);
+        const after = plainProfile(user.profile);
+        user.profileComplete = isProfileComplete(after);
+        user.completeness = storedCompleteness(after);
+        user.updatedAt = new Date();
+        await user.save();
+
+        const revision = await recordProfileRevision(user._id, before, after, 'patch');
+        res.json({
+            message: 'Profile updated',
+            profile: user.profile || {},
+            profileComplete: !!user.profileComplete,
+            completeness: scoreProfileCompleteness(after),
+            revision: revision ? serializeProfileRevision(revision) : null
+        });
+    } catch (error) {
+        console.error('Error in PATCH /api/user/profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/user/profile/revisions', authMiddleware, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, PROFILE_REVISION_LIMIT);
+        const revisions = await ProfileRevision.find({ userId: req.user.userId })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit);
+
+        res.json({ revisions: revisions.map(revision => serializeProfileRevision(revision)) });
+    } catch (error) {
+        console.error('Error in GET /api/user/profile/revisions:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/user/profile/revisions/:id', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        const revision = await ProfileRevision.findOne({ _id: req.params.id, userId: req.user.userId });
+        if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+        res.json({ revision: serializeProfileRevision(revision, { includeSnapshot: true }) });
+    } catch (error) {
+        console.error('Error in GET /api/user/profile/revisions/:id:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Restores the profile as it was right after the given revision
+app.post('/api/user/profile/revisions/:id/rollback', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        const revision = await ProfileRevision.findOne({ _id: req.params.id, userId: req.user.userId });
+        if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const before = plainProfile(user.profile);
+        user.profile = revision.snapshot || {};
+        const after = plainProfile(user.profile);
+        user.profileComplete = isProfileComplete(after);
+        user.completeness = storedCompleteness(after);
+        user.updatedAt = new Date();
+        await user.save();
+
+        const rollback = await recordProfileRevision(user._id, before, after, 'rollback', revision._id);
+        res.json({
+            message: 'Profile restored',
+            profile: user.profile || {},
+            profileComplete: !!user.profileComplete,
+            revision: rollback ? serializeProfileRevision(rollback) : null
+        });
+    } catch (error) {
+        console.error('Error rolling back profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- Structured Education and Work History ---
+const PROFILE_HISTORY_MAX_ENTRIES = 20;
+
+// Accepts "2021", "2021-06", "2021-06-15" or a full ISO timestamp
+function parseHistoryDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}(-\d{2}(-\d{2}(T.*)?)?)?$/.test(value)) return null;
+    const date = new Date(value.length === 4 ? `${value}-01-01` : value.length === 7 ? `${value}-01` : value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function validateHistoryText(errors, entry, field, value, { required = false, maxLength }) {
+    if (value === undefined || value === null || value === '') {
+        if (required) errors.push({ field, message: 'is required' });
+        else entry[field] = undefined;
+        return;
+    }
+    if (typeof value !== 'string' || !value.trim()) return errors.push({ field, message: 'must be a string' });
+    if (value.trim().length > maxLength) return errors.push({ field, message: `must be at most ${maxLength} characters` });
+    entry[field] = value.trim();
+}
+
+// Shared date rules: startDate before endDate, and "current" entries have no endDate
+function validateHistoryDates(errors, entry, body, { startRequired }) {
+    for (const field of ['startDate', 'endDate']) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null || body[field] === '') {
+            entry[field] = undefined;
+            continue;
+        }
+        const date = parseHistoryDate(body[field]);
+        if (!date) errors.push({ field, message: 'must be a date like 2021-06' });
+        else entry[field] = date;
+    }
+    if (body.current !== undefined) {
+        if (typeof body.current !== 'boolean') errors.push({ field: 'current', message: 'must be true or false' });
+        else entry.current = body.current;
+    }
+    if (entry.current) entry.endDate = undefined;
+    if (startRequired && !entry.startDate) errors.push({ field: 'startDate', message: 'is required' });
+    if (entry.startDate && entry.endDate && entry.endDate < entry.startDate) {
+        errors.push({ field: 'endDate', message: 'must be after startDate' });
+    }
+    if (entry.startDate && entry.startDate > new Date()) {
+        errors.push({ field: 'startDate', message: 'cannot be in the future' });
+    }
+}
+
+// PUT sends only the fields to change, so validation runs against the merged entry
+const PROFILE_HISTORY_LISTS = {
+    education: {
+        label: 'Education entry',
+        validate(body, existing = {}) {
+            const errors = [];
+            const entry = { ...existing };
+            const merged = { ...existing, ...body };
+            validateHistoryText(errors, entry, 'institution', merged.institution, { required: true, maxLength: 150 });
+            validateHistoryText(errors, entry, 'fieldOfStudy', merged.fieldOfStudy, { maxLength: 100 });
+            validateHistoryText(errors, entry, 'description', merged.description, { maxLength: 1000 });
+            if (body.level !== undefined) {
+                if (body.level === null || body.level === '') entry.level = undefined;
+                else if (!PROFILE_EDUCATION_LEVELS.includes(body.level)) errors.push({ field: 'level', message: `must be one of: ${PROFILE_EDUCATION_LEVELS.join(', ')}` });
+                else entry.level = body.level;
+            }
+            validateHistoryDates(errors, entry, body, { startRequired: false });
+            return { entry, errors };
+        },
+    },
+    experience: {
+        label: 'Position',
+        validate(body, existing = {}) {
+            const errors = [];
+            const entry = { ...existing };
+            const merged = { ...existing, ...body };
+            validateHistoryText(errors, entry, 'title', merged.title, { required: true, maxLength: 100 });
+            validateHistoryText(errors, entry, 'employer', merged.employer, { required: true, maxLength: 150 });
+            validateHistoryText(errors, entry, 'location', merged.location, { maxLength: 100 });
+            validateHistoryText(errors, entry, 'description', merged.description, { maxLength: 2000 });
+            if (body.skills !== undefined) {
+                const { set, errors: skillErrors } = validateProfileUpdate({ skills: body.skills === null ? [] : body.skills });
+                if (skillErrors.length > 0) errors.push({ field: 'skills', message: skillErrors[0].message });
+                else entry.skills = set.skills || [];
+            }
+            validateHistoryDates(errors, entry, body, { startRequired: true });
+            return { entry, errors };
+        },
+    },
+};
+
+// Total years across positions, counting overlapping periods once
+function calculateYearsOfExperience(positions = [], now = new Date()) {
+    const ranges = positions
+        .filter(position => position.startDate)
+        .map(position => [new Date(position.startDate).getTime(), (position.current || !position.endDate ? now : new Date(position.endDate)).getTime()])
+        .filter(([start, end]) => end > start)
+        .sort((a, b) => a[0] - b[0]);
+
+    let total = 0;
+    let [currentStart, currentEnd] = ranges[0] || [0, 0];
+    for (const [start, end] of ranges.slice(1)) {
+        if (start <= currentEnd) {
+            currentEnd = Math.max(currentEnd, end);
+        } else {
+            total += currentEnd - currentStart;
+            [currentStart, currentEnd] = [start, end];
+        }
+    }
+    total += currentEnd - currentStart;
+    return Math.round((total / (365.25 * 24 * 60 * 60 * 1000)) * 10) / 10;
+}
+
+function experienceRange(years) {
+    if (years < 1) return '0-1 years';
+    if (years < 3) return '1-3 years';
+    if (years < 5) return '3-5 years';
+    if (years < 10) return '5-10 years';
+    return '10+ years';
+}
+
+// Keeps the flat summary fields (used by completeness scoring and older clients) in step with the history
+function syncProfileSummary(user) {
+    const education = [...(user.profile.education || [])].sort((a, b) =>
+        (b.current - a.current) || ((b.endDate || b.startDate || 0) - (a.endDate || a.startDate || 0)));
+    const latest = education[0];
+    if (latest) {
+        if (latest.level) user.set('profile.educationLevel', latest.level);
+        if (latest.fieldOfStudy) user.set('profile.fieldOfStudy', latest.fieldOfStudy);
+        user.set('profile.institution', latest.institution);
+        if (latest.endDate && !latest.current) user.set('profile.yearOfCompletion', String(latest.endDate.getUTCFullYear()));
+    }
+    if ((user.profile.experience || []).length > 0) {
+        user.set('profile.workExperience', experienceRange(calculateYearsOfExperience(user.profile.experience)));
+    }
+}
+
+function formatHistoryPeriod(entry) {
+    const month = date => date ? new Date(date).toISOString().slice(0, 7) : '?';
+    return `${month(entry.startDate)} – ${entry.current ? 'present' : month(entry.endDate)}`;
+}
+
+// One line per entry, most recent first, for inclusion in AI prompts
+function describeProfileHistory(profile = {}) {
+    const experience = sortHistory(profile.experience).map(position =>
+        `${position.title} at ${position.employer} (${formatHistoryPeriod(position)})${position.skills?.length ? ` – ${position.skills.join(', ')}` : ''}`);
+    const education = sortHistory(profile.education).map(entry =>
+        `${[entry.level, entry.fieldOfStudy].filter(Boolean).join(' in ') || 'Studies'} at ${entry.institution} (${formatHistoryPeriod(entry)})`);
+    return {
+        yearsOfExperience: experience.length > 0 ? calculateYearsOfExperience(profile.experience) : null,
+        experience,
+        education,
+    };
+}
+
+function sortHistory(entries = []) {
+    return [...entries].sort((a, b) => (b.current - a.current) || ((b.endDate || new Date()) - (a.endDate || new Date())) || ((b.startDate || 0) - (a.startDate || 0)));
+}
+
+// Persists a change to one of the history lists and records it as a profile revision
+async function saveProfileHistory(user, before) {
+    syncProfileSummary(user);
+    const after = plainProfile(user.profile);
+    user.profileComplete = isProfileComplete(after);
+    user.completeness = storedCompleteness(after);
+    user.updatedAt = new Date();
+    await user.save();
+    await recordProfileRevision(user._id, before, after, 'patch');
+}
+
+for (const [listName, list] of Object.entries(PROFILE_HISTORY_LISTS)) {
+    app.get(`/api/user/profile/${listName}`, authMiddleware, async (req, res) => {
+        try {
+            const user = await User.findById(req.user.userId).select('profile');
+            if (!user) return res.status(404).json({ error: 'User not found' });
+
+            res.json({
+                [listName]: sortHistory(user.profile?.[listName]),
+                ...(listName === 'experience' && { yearsOfExperience: calculateYearsOfExperience(user.profile?.experience) })
+            });
+        } catch (error) {
+            console.error(`Error in GET /api/user/profile/${listName}:`, error);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    app.post(`/api/user/profile/${listName}`, authMiddleware, async (req, res) => {
+        try {
+            const { entry, errors } = list.validate(req.body || {});
+            if (errors.length > 0) return res.status(400).json({ error: `Invalid ${list.label.toLowerCase()}`, details: errors });
+            if (entry.skills) entry.skills = await normalizeSkills(entry.skills);
+
+            const user = await User.findById(req.user.userId);
+            if (!user) return res.status(404).json({ error: 'User not found' });
+            if ((user.profile[listName] || []).length >= PROFILE_HISTORY_MAX_ENTRIES) {
+                return res.status(400).json({ error: `You can add up to ${PROFILE_HISTORY_MAX_ENTRIES} entries` });
+            }
+
+            const before = plainProfile(user.profile);
+            user.profile[listName].push(entry);
+            const created = user.profile[listName][user.profile[listName].length - 1];
+            await saveProfileHistory(user, before);
+
+            res.status(201).json({ message: `${list.label} added`, entry: created });
+        } catch (error) {
+            console.error(`Error in POST /api/user/profile/${listName}:`, error);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    app.put(`/api/user/profile/${listName}/:entryId`, authMiddleware, async (req, res) => {
+        try {
+            const user = await User.findById(req.user.userId);
+            if (!user) return res.status(404).json({ error: 'User not found' });
+            const existing = mongoose.Types.ObjectId.isValid(req.params.entryId) ? user.profile[listName].id(req.params.entryId) : null;
+            if (!existing) return res.status(404).json({ error: `${list.label} not found` });
+
+            const { _id, ...current } = existing.toObject();
+            const { entry, errors } = list.validate(req.body || {}, current);
+            if (errors.length > 0) return res.status(400).json({ error: `Invalid ${list.label.toLowerCase()}`, details: errors });
+            if (entry.skills) entry.skills = await normalizeSkills(entry.skills);
+
+            const before = plainProfile(user.profile);
+            existing.set(entry);
+            await saveProfileHistory(user, before);
+
+            res.json({ message: `${list.label} updated`, entry: existing });
+        } catch (error) {
+            console.error(`Error in PUT /api/user/profile/${listName}/:entryId:`, error);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    app.delete(`/api/user/profile/${listName}/:entryId`, authMiddleware, async (req, res) => {
+        try {
+            const user = await User.findById(req.user.userId);
+            if (!user) return res.status(404).json({ error: 'User not found' });
+            const existing = mongoose.Types.ObjectId.isValid(req.params.entryId) ? user.profile[listName].id(req.params.entryId) : null;
+            if (!existing) return res.status(404).json({ error: `${list.label} not found` });
+
+            const before = plainProfile(user.profile);
+            existing.deleteOne();
+            await saveProfileHistory(user, before);
+
+            res.json({ message: `${list.label} deleted` });
+        } catch (error) {
+            console.error(`Error in DELETE /api/user/profile/${listName}/:entryId:`, error);
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+}
+
+// --- Resume Uploads ---
+const RESUME_STORAGE = (process.env.RESUME_STORAGE || 'local').toLowerCase();
+const RESUME_STORAGE_DIR = process.env.RESUME_STORAGE_DIR || path.join(__dirname, 'uploads', 'resumes');
+const RESUME_MAX_SIZE_MB = parseInt(process.env.RESUME_MAX_SIZE_MB, 10) || 5;
+const RESUME_MAX_VERSIONS = parseInt(process.env.RESUME_MAX_VERSIONS, 10) || 10;
+
+// Accepted formats, checked by extension, declared type and the file's leading bytes
+const RESUME_FORMATS = {
+    '.pdf': { mimeTypes: ['application/pdf'], matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+    '.docx': {
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        matches: (buffer) => buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])),
+    },
+    '.txt': { mimeTypes: ['text/plain'], matches: (buffer) => !buffer.includes(0) },
+};
+
+// Storage backends implement save(key, buffer, meta), read(key) -> Buffer and remove(key).
+// Swap in another backend (e.g. object storage) with app.locals.setResumeStorage()
+// or app.locals.setAvatarStorage().
+function createLocalFileStorage(rootDir) {
+    const resolve = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) throw new Error('Invalid storage key');
+        return filePath;
+    };
+    return {
+        name: 'local',
+        async save(key, buffer) {
+            const filePath = resolve(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+        async read(key) {
+            return fs.promises.readFile(resolve(key));
+        },
+        async remove(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        },
+    };
+}
+
+function createMemoryFileStorage() {
+    const files = new Map();
+    return {
+        name: 'memory',
+        async save(key, buffer) {
+            files.set(key, Buffer.from(buffer));
+        },
+        async read(key) {
+            if (!files.has(key)) throw Object.assign(new Error('File not found'), { code: 'ENOENT' });
+            return files.get(key);
+        },
+        async remove(key) {
+            files.delete(key);
+        },
+    };
+}
+
+let resumeStorage = RESUME_STORAGE === 'memory' ? createMemoryFileStorage() : createLocalFileStorage(RESUME_STORAGE_DIR);
+console.log(`[Resume] Storage backend: ${resumeStorage.name}`);
+app.locals.setResumeStorage = (storage) => { resumeStorage = storage; };
+
+const resumeUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: RESUME_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const format = RESUME_FORMATS[path.extname(file.originalname || '').toLowerCase()];
+        if (!format || !format.mimeTypes.includes(file.mimetype)) {
+            return cb(Object.assign(new Error('Only PDF, DOCX and plain text resumes are supported'), { status: 415 }));
+        }
+        cb(null, true);
+    },
+});
+
+// Runs multer and turns its errors into JSON responses
+function handleResumeUpload(req, res, next) {
+    resumeUpload.single('resume')(req, res, (err) => {
+        if (!err) return next();
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `Resume must be smaller than ${RESUME_MAX_SIZE_MB} MB` });
+            }
+            return res.status(400).json({ error: `Upload the file in the "resume" field (${err.message})` });
+        }
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        next(err);
+    });
+}
+
+function serializeResume(resume) {
+    return {
+        id: resume._id,
+        originalName: resume.originalName,
+        mimeType: resume.mimeType,
+        size: resume.size,
+        isPrimary: resume.isPrimary,
+        uploadedAt: resume.uploadedAt,
+        downloadUrl: `/api/user/resume/${resume._id}/download`,
+    };
+}
+
+async function setPrimaryResume(userId, resumeId) {
+    await Resume.updateMany({ userId, _id: { $ne: resumeId } }, { isPrimary: false });
+    await Resume.updateOne({ _id: resumeId, userId }, { isPrimary: true });
+}
+
+async function findOwnResume(req) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return Resume.findOne({ _id: req.params.id, userId: req.user.userId });
+}
+
+async function deleteResumes(userId) {
+    const resumes = await Resume.find({ userId }).select('storageKey');
+    for (const resume of resumes) {
+        await resumeStorage.remove(resume.storageKey);
+    }
+    await Resume.deleteMany({ userId });
+}
+
+app.post('/api/user/resume', authMiddleware, handleResumeUpload, async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'Upload the file in the "resume" field' });
+
+        const extension = path.extname(req.file.originalname).toLowerCase();
+        if (!RESUME_FORMATS[extension].matches(req.file.buffer)) {
+            return res.status(415).json({ error: "The file's contents don't match its type" });
+        }
+
+        const existing = await Resume.countDocuments({ userId: req.user.userId });
+        if (existing >= RESUME_MAX_VERSIONS) {
+            return res.status(400).json({ error: `You can keep up to ${RESUME_MAX_VERSIONS} resumes. Delete one before uploading another.` });
+        }
+
+        const resume = new Resume({
+            userId: req.user.userId,
+            originalName: path.basename(req.file.originalname).slice(0, 200),
+            mimeType: req.file.mimetype,
+            size: req.file.size,
+            checksum: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+            storage: resumeStorage.name,
+        });
+        resume.storageKey = `${req.user.userId}/${resume._id}${extension}`;
+
+        await resumeStorage.save(resume.storageKey, req.file.buffer, { mimeType: resume.mimeType });
+        await resume.save();
+
+        // The first upload becomes primary; later ones only if asked
+        if (existing === 0 || req.body.primary === 'true') {
+            await setPrimaryResume(req.user.userId, resume._id);
+            resume.isPrimary = true;
+        }
+
+        res.status(201).json({ message: 'Resume uploaded', resume: serializeResume(resume) });
+    } catch (error) {
+        console.error('Error uploading resume:', error);
+        res.status(500).json({ error: 'Server error uploading resume' });
+    }
+});
+
+app.get('/api/user/resume', authMiddleware, async (req, res) => {
+    try {
+        const resumes = await Resume.find({ userId: req.user.userId }).sort({ uploadedAt: -1 });
+        res.json({ resumes: resumes.map(serializeResume) });
+    } catch (error) {
+        console.error('Error listing resumes:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/user/resume/:id/download', authMiddleware, async (req, res) => {
+    try {
+        const resume = await findOwnResume(req);
+        if (!resume) return res.status(404).json({ error: 'Resume not found' });
+
+        let file;
+        try {
+            file = await resumeStorage.read(resume.storageKey);
+        } catch (err) {
+            if (err.code === 'ENOENT') return res.status(410).json({ error: 'Resume file is no longer available' });
+            throw err;
+        }
+
+        res.attachment(resume.originalName);
+        res.type(resume.mimeType);
+        res.send(file);
+    } catch (error) {
+        console.error('Error downloading resume:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.post('/api/user/resume/:id/primary', authMiddleware, async (req, res) => {
+    try {
+        const resume = await findOwnResume(req);
+        if (!resume) return res.status(404).json({ error: 'Resume not found' });
+
+        await setPrimaryResume(req.user.userId, resume._id);
+        resume.isPrimary = true;
+        res.json({ message: 'Primary resume updated', resume: serializeResume(resume) });
+    } catch (error) {
+        console.error('Error setting primary resume:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/user/resume/:id', authMiddleware, async (req, res) => {
+    try {
+        const resume = await findOwnResume(req);
+        if (!resume) return res.status(404).json({ error: 'Resume not found' });
+
+        await resumeStorage.remove(resume.storageKey);
+        await Resume.deleteOne({ _id: resume._id });
+
+        // Keep a primary as long as any resume is left
+        if (resume.isPrimary) {
+            const latest = await Resume.findOne({ userId: req.user.userId }).sort({ uploadedAt: -1 });
+            if (latest) await setPrimaryResume(req.user.userId, latest._id);
+        }
+
+        res.json({ message: 'Resume deleted' });
+    } catch (error) {
+        console.error('Error deleting resume:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- Profile Avatar ---
+const AVATAR_STORAGE = (process.env.AVATAR_STORAGE || RESUME_STORAGE).toLowerCase();
+const AVATAR_STORAGE_DIR = process.env.AVATAR_STORAGE_DIR || path.join(__dirname, 'uploads', 'avatars');
+const AVATAR_MAX_SIZE_MB = parseInt(process.env.AVATAR_MAX_SIZE_MB, 10) || 2;
+// Square WebP copies generated for every upload
+const AVATAR_SIZES = { small: 64, medium: 256, large: 512 };
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const AVATAR_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+let avatarStorage = AVATAR_STORAGE === 'memory' ? createMemoryFileStorage() : createLocalFileStorage(AVATAR_STORAGE_DIR);
+app.locals.setAvatarStorage = (storage) => { avatarStorage = storage; };
+
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AVATAR_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!AVATAR_MIME_TYPES.includes(file.mimetype)) {
+            return cb(Object.assign(new Error('Only JPEG, PNG, WebP and GIF images are supported'), { status: 415 }));
+        }
+        cb(null, true);
+    },
+});
+
+function handleAvatarUpload(req, res, next) {
+    avatarUpload.single('avatar')(req, res, (err) => {
+        if (!err) return next();
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `Image must be smaller than ${AVATAR_MAX_SIZE_MB} MB` });
+            }
+            return res.status(400).json({ error: `Upload the image in the "avatar" field (${err.message})` });
+        }
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        next(err);
+    });
+}
+
+function avatarStorageKey(userId, version, size) {
+    return `${userId}/${version}-${size}.webp`;
+}
+
+// "avatar" is the medium URL (what clients used to get from Google sign-in); "avatarSizes" has every size.
+// Uploaded photos are served to the owner and staff only; public profiles link to their own copy.
+function avatarUrls(user, { publicSlug } = {}) {
+    const avatar = user.avatar || {};
+    if (avatar.storageKey && avatar.key) {
+        const version = new Date(avatar.updatedAt || 0).getTime();
+        const url = publicSlug
+            ? (size) => `/api/public/profiles/${publicSlug}/avatar/${size}?v=${version}`
+            : (size) => `/api/avatars/${avatar.key}/${size}`;
+        const sizes = Object.fromEntries(Object.keys(AVATAR_SIZES).map(size => [size, url(size)]));
+        return { avatar: sizes.medium, avatarSizes: sizes };
+    }
+    if (avatar.googleUrl) {
+        return { avatar: avatar.googleUrl, avatarSizes: Object.fromEntries(Object.keys(AVATAR_SIZES).map(size => [size, avatar.googleUrl])) };
+    }
+    return { avatar: null, avatarSizes: null };
+}
+
+// Decodes the upload (rejecting anything that isn't really an image) and renders each size
+async function renderAvatarSizes(buffer) {
+    const image = sharp(buffer, { limitInputPixels: 40 * 1000 * 1000 });
+    const metadata = await image.metadata();
+    if (!AVATAR_FORMATS.includes(metadata.format)) throw new Error(`Unsupported image format: ${metadata.format}`);
+
+    const rendered = {};
+    for (const [size, pixels] of Object.entries(AVATAR_SIZES)) {
+        rendered[size] = await image.clone()
+            .rotate()
+            .resize(pixels, pixels, { fit: 'cover', position: 'attention' })
+            .webp({ quality: 85 })
+            .toBuffer();
+    }
+    return rendered;
+}
+
+async function removeAvatarVersion(userId, storageKey) {
+    const version = storageKey.split('/').pop().split('-')[0];
+    for (const size of Object.keys(AVATAR_SIZES)) {
+        await avatarStorage.remove(avatarStorageKey(userId, version, size));
+    }
+}
+
+async function deleteAvatarFiles(userId) {
+    const user = await User.findById(userId).select('avatar');
+    if (user?.avatar?.storageKey) await removeAvatarVersion(userId, user.avatar.storageKey);
+}
+
+app.post('/api/user/avatar', authMiddleware, handleAvatarUpload, async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'Upload the image in the "avatar" field' });
+
+        let rendered;
+        try {
+            rendered = await renderAvatarSizes(req.file.buffer);
+        } catch (error) {
+            return res.status(415).json({ error: 'The file is not a valid image' });
+        }
+
+        const user = await User.findById(req.user.userId).select('avatar');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const updatedAt = new Date();
+        const version = updatedAt.getTime();
+        for (const [size, buffer] of Object.entries(rendered)) {
+            await avatarStorage.save(avatarStorageKey(user._id, version, size), buffer, { mimeType: 'image/webp' });
+        }
+        const previousKey = user.avatar?.storageKey;
+
+        user.set('avatar.storage', avatarStorage.name);
+        user.set('avatar.storageKey', avatarStorageKey(user._id, version, 'medium'));
+        user.set('avatar.key', crypto.randomBytes(16).toString('hex'));
+        user.set('avatar.updatedAt', updatedAt);
+        await user.save();
+        if (previousKey) await removeAvatarVersion(user._id, previousKey);
+
+        res.json({ message: 'Avatar updated', ...avatarUrls(user) });
+    } catch (error) {
+        console.error('Error uploading avatar:', error);
+        res.status(500).json({ error: 'Server error uploading avatar' });
+    }
+});
+
+// Removes the uploaded photo; a Google profile picture, if any, is used again
+app.delete('/api/user/avatar', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('avatar');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.avatar?.storageKey) return res.status(404).json({ error: 'No uploaded avatar' });
+
+        await removeAvatarVersion(user._id, user.avatar.storageKey);
+        user.set('avatar.storage', undefined);
+        user.set('avatar.storageKey', undefined);
+        user.set('avatar.key', undefined);
+        user.set('avatar.updatedAt', undefined);
+        await user.save();
+
+        res.json({ message: 'Avatar removed', ...avatarUrls(user) });
+    } catch (error) {
+        console.error('Error removing avatar:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+async function sendAvatar(res, user, size, cacheControl) {
+    if (!AVATAR_SIZES[size] || !user?.avatar?.storageKey) return res.status(404).json({ error: 'Avatar not found' });
+
+    let file;
+    try {
+        file = await avatarStorage.read(avatarStorageKey(user._id, new Date(user.avatar.updatedAt).getTime(), size));
+    } catch (error) {
+        if (error.code === 'ENOENT') return res.status(404).json({ error: 'Avatar not found' });
+        throw error;
+    }
+
+    res.set('Cache-Control', cacheControl);
+    res.type('image/webp').send(file);
+}
+
+// The owner and staff who can read user accounts; everyone else gets 404. The key changes with
+// every upload, so responses can be cached privately.
+app.get('/api/avatars/:key/:size', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findOne({ 'avatar.key': String(req.params.key) }).select('avatar');
+        const allowed = user && (String(user._id) === String(req.user.userId) || hasPermission(req.user.role, PERMISSIONS.USERS_READ));
+        if (!allowed) return res.status(404).json({ error: 'Avatar not found' });
+
+        await sendAvatar(res, user, req.params.size, 'private, max-age=86400');
+    } catch (error) {
+        console.error('Error serving avatar:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- Public Profile ---
+// Fields a user can share, with whether each is shown when they haven't chosen
+const PUBLIC_PROFILE_FIELDS = {
+    name: true,
+    avatar: true,
+    currentStatus: true,
+    educationLevel: true,
+    fieldOfStudy: true,
+    institution: true,
+    yearOfCompletion: true,
+    workExperience: true,
+    yearsOfExperience: true,
+    education: true,
+    experience: true,
+    skills: true,
+    interests: true,
+    careerGoals: true,
+    preferredWorkEnvironment: true,
+    preferredWorkLocation: false,
+    willingToRelocate: false,
+    salaryExpectations: false,
+};
+const PUBLIC_PROFILE_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{1,38}[a-z0-9])$/;
+const RESERVED_PROFILE_SLUGS = ['admin', 'api', 'me', 'new', 'edit', 'settings', 'public', 'profile', 'profiles', 'careerion'];
+
+function publicProfileVisibility(user) {
+    const chosen = user.publicProfile?.visibility;
+    return Object.fromEntries(Object.entries(PUBLIC_PROFILE_FIELDS).map(([field, shownByDefault]) => {
+        const value = chosen?.get ? chosen.get(field) : chosen?.[field];
+        return [field, typeof value === 'boolean' ? value : shownByDefault];
+    }));
+}
+
+function slugifyName(name) {
+    const base = String(name || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 30).replace(/-+$/, '');
+    return base.length >= 2 ? base : 'profile';
+}
+
+// "<name>-<random>" — unguessable enough that a regenerated link can't be found from the old one
+async function generateProfileSlug(name) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const slug = `${slugifyName(name)}-${crypto.randomBytes(4).toString('hex')}`;
+        if (!(await User.exists({ 'publicProfile.slug': slug }))) return slug;
+    }
+    throw new Error('Could not generate a unique profile slug');
+}
+
+function validatePublicProfileSettings(body) {
+    const errors = [];
+    const settings = {};
+    if (body.enabled !== undefined) {
+        if (typeof body.enabled !== 'boolean') errors.push({ field: 'enabled', message: 'must be true or false' });
+        else settings.enabled = body.enabled;
+    }
+    if (body.slug !== undefined) {
+        const slug = typeof body.slug === 'string' ? body.slug.trim().toLowerCase() : '';
+        if (!PUBLIC_PROFILE_SLUG_PATTERN.test(slug) || slug.includes('--')) {
+            errors.push({ field: 'slug', message: 'must be 3-40 lowercase letters, numbers or single hyphens' });
+        } else if (RESERVED_PROFILE_SLUGS.includes(slug)) {
+            errors.push({ field: 'slug', message: 'is reserved' });
+        } else {
+            settings.slug = slug;
+        }
+    }
+    if (body.visibility !== undefined) {
+        if (!body.visibility || typeof body.visibility !== 'object' || Array.isArray(body.visibility)) {
+            errors.push({ field: 'visibility', message: 'must be an object of field names to true/false' });
+        } else {
+            settings.visibility = {};
+            for (const [field, value] of Object.entries(body.visibility)) {
+                if (!Object.hasOwn(PUBLIC_PROFILE_FIELDS, field)) errors.push({ field: `visibility.${field}`, message: 'is not a shareable field' });
+                else if (typeof value !== 'boolean') errors.push({ field: `visibility.${field}`, message: 'must be true or false' });
+                else settings.visibility[field] = value;
+            }
+        }
+    }
+    return { settings, errors };
+}
+
+function serializePublicProfileSettings(user) {
+    const publicProfile = user.publicProfile || {};
+    return {
+        enabled: !!publicProfile.enabled,
+        slug: publicProfile.slug || null,
+        url: publicProfile.slug ? `/api/public/profiles/${publicProfile.slug}` : null,
+        visibility: publicProfileVisibility(user),
+        views: publicProfile.views || 0,
+        lastViewedAt: publicProfile.lastViewedAt || null,
+    };
+}
+
+// Only the fields the owner chose to share; contact details are never included
+function buildPublicProfile(user) {
+    const visibility = publicProfileVisibility(user);
+    const profile = user.profile || {};
+    const shown = {};
+    for (const field of Object.keys(PUBLIC_PROFILE_FIELDS)) {
+        if (!visibility[field] || ['name', 'avatar', 'yearsOfExperience'].includes(field)) continue;
+        const value = field === 'education' || field === 'experience'
+            ? sortHistory(profile[field]).map(entry => {
+                const { _id, ...shared } = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+                return shared;
+            })
+            : profile[field];
+        if (normalizeProfileValue(value) !== null && value !== '') shown[field] = value;
+    }
+    return {
+        slug: user.publicProfile.slug,
+        ...(visibility.name && { name: user.name }),
+        ...(visibility.avatar && avatarUrls(user, { publicSlug: user.publicProfile.slug })),
+        ...(visibility.yearsOfExperience && (profile.experience || []).length > 0 && {
+            yearsOfExperience: calculateYearsOfExperience(profile.experience)
+        }),
+        profile: shown,
+    };
+}
+
+app.get('/api/user/public-profile', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('name publicProfile');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({ publicProfile: serializePublicProfileSettings(user) });
+    } catch (error) {
+        console.error('Error in GET /api/user/public-profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Turns sharing on/off, picks a slug and sets per-field visibility; only the keys sent are changed
+app.put('/api/user/public-profile', authMiddleware, async (req, res) => {
+    try {
+        const { settings, errors } = validatePublicProfileSettings(req.body || {});
+        if (errors.length > 0) return res.status(400).json({ error: 'Invalid public profile settings', details: errors });
+
+        const user = await User.findById(req.user.userId).select('name publicProfile');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        if (settings.slug && settings.slug !== user.publicProfile?.slug) {
+            if (await User.exists({ 'publicProfile.slug': settings.slug, _id: { $ne: user._id } })) {
+                return res.status(409).json({ error: 'That profile address is already taken' });
+            }
+            user.set('publicProfile.slug', settings.slug);
+        }
+        if (settings.enabled !== undefined) user.set('publicProfile.enabled', settings.enabled);
+        if (user.publicProfile.enabled && !user.publicProfile.slug) {
+            user.set('publicProfile.slug', await generateProfileSlug(user.name));
+        }
+        for (const [field, value] of Object.entries(settings.visibility || {})) {
+            user.set(`publicProfile.visibility.${field}`, value);
+        }
+        user.set('publicProfile.updatedAt', new Date());
+        await user.save();
+
+        res.json({ message: 'Public profile updated', publicProfile: serializePublicProfileSettings(user) });
+    } catch (error) {
+        if (error.code === 11000) return res.status(409).json({ error: 'That profile address is already taken' });
+        console.error('Error in PUT /api/user/public-profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Issues a new random slug so the old link stops working
+app.post('/api/user/public-profile/regenerate', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('name publicProfile');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (!user.publicProfile?.enabled) return res.status(400).json({ error: 'Your public profile is not enabled' });
+
+        user.set('publicProfile.slug', await generateProfileSlug(user.name));
+        user.set('publicProfile.updatedAt', new Date());
+        await user.save();
+
+        res.json({ message: 'Share link regenerated', publicProfile: serializePublicProfileSettings(user) });
+    } catch (error) {
+        console.error('Error in POST /api/user/public-profile/regenerate:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Revokes the share link: sharing is switched off and the slug released
+app.delete('/api/user/public-profile', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('name publicProfile');
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        user.set('publicProfile.enabled', false);
+        user.set('publicProfile.slug', undefined);
+        user.set('publicProfile.updatedAt', new Date());
+        await user.save();
+
+        res.json({ message: 'Public profile link revoked', publicProfile: serializePublicProfileSettings(user) });
+    } catch (error) {
+        console.error('Error in DELETE /api/user/public-profile:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/public/profiles/:slug', async (req, res) => {
+    try {
+        const slug = String(req.params.slug).toLowerCase();
+        // Suspended accounts and accounts pending deletion are not shown
+        const user = await User.findOneAndUpdate(
+            { 'publicProfile.slug': slug, 'publicProfile.enabled': true, isActive: { $ne: false }, 'deletion.scheduledFor': { $exists: false } },
+            { $inc: { 'publicProfile.views': 1 }, $set: { 'publicProfile.lastViewedAt': new Date() } },
+            { new: true }
+        ).select('name avatar profile publicProfile');
+        if (!user) return res.status(404).json({ error: 'Profile not found' });
+
+        res.set('Cache-Control', 'no-store');
+        res.json({ profile: buildPublicProfile(user) });
+    } catch (error) {
+        console.error('Error in GET /api/public/profiles/:slug:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Public copy of the avatar, only while the profile is shared with the avatar visible.
+// Short cache so turning sharing off takes effect quickly.
+app.get('/api/public/profiles/:slug/avatar/:size', async (req, res) => {
+    try {
+        const user = await User.findOne({
+            'publicProfile.slug': String(req.params.slug).toLowerCase(),
+            'publicProfile.enabled': true,
+            isActive: { $ne: false },
+            'deletion.scheduledFor': { $exists: false },
+        }).select('avatar publicProfile');
+        if (!user || !publicProfileVisibility(user).avatar) return res.status(404).json({ error: 'Avatar not found' });
+
+        await sendAvatar(res, user, req.params.size, 'public, max-age=300');
+    } catch (error) {
+        console.error('Error serving public avatar:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- Resume Parsing (AI-assisted profile pre-fill) ---
+const RESUME_PARSE_MAX_CHARS = parseInt(process.env.RESUME_PARSE_MAX_CHARS, 10) || 20000;
+const RESUME_MIN_TEXT_CHARS = 50;
+// Decompressed DOCX and PDF content is capped so a small upload can't expand into gigabytes
+const RESUME_MAX_EXTRACTED_BYTES = (parseInt(process.env.RESUME_MAX_EXTRACTED_MB, 10) || 4) * 1024 * 1024;
+const RESUME_DRAFT_FIELDS = ['educationLevel', 'fieldOfStudy', 'institution', 'workExperience', 'technicalSkills', 'softSkills', 'interests'];
+const WORK_EXPERIENCE_RANGES = ['0-1 years', '1-3 years', '3-5 years', '5-10 years', '10+ years'];
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function unreadableResume(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// Inflates at most `limit` bytes; larger output means a compression bomb, not a resume
+function inflateResumeData(inflate, data, limit) {
+    if (limit <= 0) throw unreadableResume('The resume expands to too much data to be read');
+    try {
+        return inflate(data, { maxOutputLength: limit });
+    } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') throw unreadableResume('The resume expands to too much data to be read');
+        throw err;
+    }
+}
+
+// Reads one entry out of a zip archive (DOCX files are zips) via its central directory.
+// Offsets come from the upload, so each one is checked before it is read.
+function readZipEntry(buffer, entryName) {
+    const eocdOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (eocdOffset < 0) return null;
+    const damaged = () => unreadableResume('The resume file is damaged or is not a valid DOCX file');
+    if (eocdOffset + 22 > buffer.length) throw damaged();
+    const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+    let offset = buffer.readUInt32LE(eocdOffset + 16);
+
+    for (let i = 0; i < entryCount && offset + 46 <= buffer.length; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        if (name === entryName) {
+            if (localHeaderOffset + 30 > buffer.length || buffer.readUInt32LE(localHeaderOffset) !== 0x04034b50) throw damaged();
+            const localNameLength = buffer.readUInt16LE(localHeaderOffset + 26);
+            const localExtraLength = buffer.readUInt16LE(localHeaderOffset + 28);
+            const dataStart = localHeaderOffset + 30 + localNameLength + localExtraLength;
+            if (dataStart + compressedSize > buffer.length) throw damaged();
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) {
+                try {
+                    return inflateResumeData(zlib.inflateRawSync, data, RESUME_MAX_EXTRACTED_BYTES);
+                } catch (err) {
+                    if (err.status) throw err;
+                    throw damaged();
+                }
+            }
+            return null;
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+}
+
+function extractDocxText(buffer) {
+    const documentXml = readZipEntry(buffer, 'word/document.xml');
+    if (!documentXml) return '';
+    const xml = documentXml.toString('utf8')
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br\/>/g, '\n')
+        .replace(/<\/w:p>/g, '\n');
+    return decodeXmlEntities(xml.replace(/<[^<>]*>/g, ''));
+}
+
+const PDF_STRING_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+function decodePdfString(literal) {
+    return literal.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (match, escape) => PDF_STRING_ESCAPES[escape] ?? String.fromCharCode(parseInt(escape, 8)));
+}
+
+// Best effort: pulls text-showing operators (Tj, TJ, ', ") out of the page content streams.
+// Works for most generated resumes; scanned or CID-font PDFs yield little and are rejected.
+// Uploads are untrusted, so the scanner avoids backtracking regular expressions: streams and
+// text blocks are found with indexOf, dictionaries are read within PDF_DICTIONARY_WINDOW,
+// operators are tokenized in one pass, and at most PDF_MAX_STREAMS "stream" keywords in the
+// first RESUME_MAX_SIZE_MB are examined.
+const PDF_MAX_STREAMS = 2000;
+const PDF_DICTIONARY_WINDOW = 4096;
+
+// Walks back from the ">>" that closes a stream dictionary to its matching "<<"
+function pdfDictionaryBefore(raw, close) {
+    let depth = 0;
+    for (let i = close; i >= Math.max(0, close - PDF_DICTIONARY_WINDOW); i--) {
+        if (raw.startsWith('>>', i)) {
+            depth += 1;
+            i -= 1;
+        } else if (raw.startsWith('<<', i)) {
+            depth -= 1;
+            if (depth === 0) return raw.slice(i + 2, close);
+            i -= 1;
+        }
+    }
+    return null;
+}
+
+function pdfTextBlocks(content) {
+    const blocks = [];
+    let position = 0;
+    while (position < content.length) {
+        const begin = content.indexOf('BT', position);
+        if (begin < 0) break;
+        const end = content.indexOf('ET', begin + 2);
+        if (end < 0) break;
+        blocks.push(content.slice(begin + 2, end));
+        position = end + 2;
+    }
+    return blocks;
+}
+
+const PDF_DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%', ' ', '\t', '\r', '\n', '\f', '\0']);
+
+function readPdfToken(block, start) {
+    let end = start;
+    while (end < block.length && !PDF_DELIMITERS.has(block[end])) end += 1;
+    return block.slice(start, end);
+}
+
+// Collects the text shown by one BT ... ET block (Tj, TJ, ' and ") in a single pass over its tokens
+function pdfBlockText(block) {
+    const strings = [];
+    let operands = [];
+    let array = null;
+    let i = 0;
+    while (i < block.length) {
+        const char = block[i];
+        if (char === '(') {
+            let depth = 1;
+            let j = i + 1;
+            for (; j < block.length && depth > 0; j++) {
+                if (block[j] === '\\') j += 1;
+                else if (block[j] === '(') depth += 1;
+                else if (block[j] === ')') depth -= 1;
+            }
+            (array || operands).push(block.slice(i + 1, depth === 0 ? j - 1 : j));
+            i = j;
+        } else if (char === '[') {
+            array = [];
+            i += 1;
+        } else if (char === ']') {
+            if (array) operands.push(array);
+            array = null;
+            i += 1;
+        } else if (char === '<') {
+            // Dictionaries and hex strings carry no readable text
+            const close = block[i + 1] === '<' ? i + 2 : block.indexOf('>', i);
+            if (close < 0) break;
+            i = close + 1;
+        } else if (char === '%') {
+            const newline = block.indexOf('\n', i);
+            if (newline < 0) break;
+            i = newline + 1;
+        } else if (char === '/') {
+            i += 1 + readPdfToken(block, i + 1).length;
+        } else if (PDF_DELIMITERS.has(char)) {
+            i += 1;
+        } else {
+            const token = readPdfToken(block, i);
+            i += token.length;
+            if (/^[-+.\d]+$/.test(token)) {
+                (array || operands).push(parseFloat(token));
+                continue;
+            }
+            const last = operands[operands.length - 1];
+            if ((token === 'Tj' || token === "'" || token === '"') && typeof last === 'string') {
+                strings.push(decodePdfString(last));
+            } else if (token === 'TJ' && Array.isArray(last)) {
+                // Large negative kerning offsets between strings stand in for spaces
+                strings.push(last.map(part => (typeof part === 'string' ? decodePdfString(part) : (part <= -200 ? ' ' : ''))).join(''));
+            } else if (token === 'T*' || token === 'Td' || token === 'TD') {
+                strings.push('\n');
+            }
+            operands = [];
+        }
+    }
+    return strings.join('');
+}
+
+function extractPdfText(buffer) {
+    const raw = buffer.toString('latin1', 0, Math.min(buffer.length, RESUME_MAX_SIZE_MB * 1024 * 1024));
+    const chunks = [];
+    let remaining = RESUME_MAX_EXTRACTED_BYTES;
+    let position = 0;
+    for (let streams = 0; streams < PDF_MAX_STREAMS; streams++) {
+        const keyword = raw.indexOf('stream', position);
+        if (keyword < 0) break;
+        position = keyword + 6;
+        if (raw.startsWith('end', keyword - 3)) continue;
+
+        // "stream" must follow the object's dictionary and be followed by an end of line
+        let start = keyword + 6;
+        if (raw[start] === '\r') start += 1;
+        if (raw[start] !== '\n') continue;
+        start += 1;
+        let close = keyword - 1;
+        while (close >= 0 && /\s/.test(raw[close])) close -= 1;
+        if (raw[close] !== '>' || raw[close - 1] !== '>') continue;
+        const dictionary = pdfDictionaryBefore(raw, close - 1);
+        if (dictionary === null) continue;
+
+        const end = raw.indexOf('endstream', start);
+        if (end < 0) break;
+        position = end + 9;
+        let content = buffer.subarray(start, end);
+        if (dictionary.includes('/FlateDecode')) {
+            try {
+                content = inflateResumeData(zlib.inflateSync, content, remaining);
+                remaining -= content.length;
+            } catch (err) {
+                if (err.status) throw err;
+                continue;
+            }
+        } else if (dictionary.includes('/Filter')) {
+            continue;
+        }
+        chunks.push(content.toString('latin1'));
+    }
+
+    const lines = [];
+    for (const content of chunks) {
+        for (const block of pdfTextBlocks(content)) {
+            lines.push(pdfBlockText(block).split('\n').map(line => line.trim()).join('\n'));
+        }
+    }
+    return lines.join('\n');
+}
+
+async function extractResumeText(resume) {
+    const file = await resumeStorage.read(resume.storageKey);
+    const extension = path.extname(resume.storageKey).toLowerCase();
+    let text = '';
+    if (extension === '.txt') text = file.toString('utf8');
+    else if (extension === '.docx') text = extractDocxText(file);
+    else if (extension === '.pdf') text = extractPdfText(file);
+    return text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function buildResumeParsePrompt(resumeText) {
+    return `You extract structured career profile data from resumes.
+
+Return ONLY a JSON object with exactly these keys (use null or [] when the resume doesn't say):
+{
+  "educationLevel": one of ${JSON.stringify(PROFILE_EDUCATION_LEVELS)} or null,
+  "fieldOfStudy": string or null,
+  "institution": string or null (the most recent or highest degree),
+  "workExperience": one of ${JSON.stringify(WORK_EXPERIENCE_RANGES)} or null (total professional experience),
+  "technicalSkills": array of short strings (tools, languages, technologies),
+  "softSkills": array of short strings (communication, leadership, ...),
+  "interests": array of short strings (professional interests or domains)
+}
+
+Do not invent information that is not in the resume. Do not include any text outside the JSON.
+
+Resume:
+"""
+${resumeText.slice(0, RESUME_PARSE_MAX_CHARS)}
+"""`;
+}
+
+function parseJsonResponse(text) {
+    const cleaned = String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+    return JSON.parse(cleaned);
+}
+
+// Keeps only the draft fields that pass the same validation as PATCH /api/user/profile
+function sanitizeResumeDraft(raw) {
+    const draft = {};
+    if (!raw || typeof raw !== 'object') return draft;
+
+    for (const field of ['educationLevel', 'fieldOfStudy', 'institution', 'interests']) {
+        if (raw[field] === null || raw[field] === undefined) continue;
+        const { set } = validateProfileUpdate({ [field]: raw[field] });
+        // PATCH keeps free-text education levels, but the model has to pick a listed one
+        if (field === 'educationLevel' && !PROFILE_EDUCATION_LEVELS.includes(set[field])) continue;
+        if (set[field] !== undefined) draft[field] = set[field];
+    }
+    if (WORK_EXPERIENCE_RANGES.includes(raw.workExperience)) draft.workExperience = raw.workExperience;
+    for (const field of ['technicalSkills', 'softSkills']) {
+        if (!Array.isArray(raw[field])) continue;
+        const { set } = validateProfileUpdate({ skills: raw[field] });
+        if (set.skills && set.skills.length > 0) draft[field] = set.skills;
+    }
+    return draft;
+}
+
+// Applies the chosen draft fields on top of the profile; skills and interests are merged, not replaced
+function mergeResumeDraft(profile, draft, fields = RESUME_DRAFT_FIELDS) {
+    const merged = { ...profile };
+    const union = (...lists) => {
+        const seen = new Set();
+        return lists.flat().filter(item => {
+            const key = item.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    };
+    for (const field of fields) {
+        if (draft[field] === undefined) continue;
+        if (field === 'technicalSkills' || field === 'softSkills') {
+            merged.skills = union(merged.skills || [], draft[field]);
+        } else if (field === 'interests') {
+            merged.interests = union(merged.interests || [], draft[field]);
+        } else {
+            merged[field] = draft[field];
+        }
+    }
+    return merged;
+}
+
+app.post('/api/user/resume/:id/parse', authMiddleware, enforceAiQuota, async (req, res) => {
+    try {
+        const aiConfigurationError = aiProvider.configurationError();
+        if (aiConfigurationError) return res.status(500).json({ error: aiConfigurationError });
+
+        const resume = await findOwnResume(req);
+        if (!resume) return res.status(404).json({ error: 'Resume not found' });
+
+        let resumeText;
+        try {
+            resumeText = await extractResumeText(resume);
+        } catch (err) {
+            if (err.status === 400) return res.status(400).json({ error: err.message });
+            throw err;
+        }
+        if (resumeText.length < RESUME_MIN_TEXT_CHARS) {
+            return res.status(422).json({ error: "We couldn't read enough text from this resume. Try uploading a DOCX or plain-text version." });
+        }
+
+        const { text, modelUsed } = await generateContentWithFallback({
+            prompt: buildResumeParsePrompt(resumeText),
+            json: true,
+            temperature: 0,
+        }, { meter: { userId: req.user.userId, endpoint: 'resumeParse' } });
+
+        let draft;
+        try {
+            draft = sanitizeResumeDraft(parseJsonResponse(text));
+        } catch (err) {
+            console.error('Resume parse returned invalid JSON:', err.message);
+            return res.status(502).json({ error: 'The resume could not be parsed. Please try again.' });
+        }
+
+        resume.parsed = { draft, modelUsed, parsedAt: new Date() };
+        await resume.save();
+
+        const user = await User.findById(req.user.userId).select('profile');
+        const currentProfile = plainProfile(user?.profile);
+        res.json({
+            message: 'Review the extracted details and confirm to update your profile',
+            draft,
+            changes: diffProfiles(currentProfile, mergeResumeDraft(currentProfile, draft)),
+            modelUsed
+        });
+    } catch (error) {
+        console.error('Error parsing resume:', error);
+        res.status(500).json({ error: 'Server error parsing resume' });
+    }
+});
+
+// Body: { fields?: [...draft fields to apply], overrides?: { field: value } }
+app.post('/api/user/resume/:id/parse/confirm', authMiddleware, async (req, res) => {
+    try {
+        const resume = await findOwnResume(req);
+        if (!resume) return res.status(404).json({ error: 'Resume not found' });
+        if (!resume.parsed?.draft) {
+            return res.status(400).json({ error: 'Parse the resume before confirming' });
+        }
+
+        const { fields = RESUME_DRAFT_FIELDS, overrides = {} } = req.body || {};
+        if (!Array.isArray(fields) || fields.some(field => !RESUME_DRAFT_FIELDS.includes(field))) {
+            return res.status(400).json({ error: `fields must be a list of: ${RESUME_DRAFT_FIELDS.join(', ')}` });
+        }
+        const sanitizedOverrides = sanitizeResumeDraft(overrides);
+        const draft = { ...resume.parsed.draft, ...sanitizedOverrides };
+
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const before = plainProfile(user.profile);
+        const merged = mergeResumeDraft(before, draft, fields);
+        // Only the profile fields touched by the draft are validated and written
+        const touched = new Set(fields.map(field => (field === 'technicalSkills' || field === 'softSkills' ? 'skills' : field)));
+        const { set, errors } = validateProfileUpdate(
+            Object.fromEntries([...touched].filter(field => merged[field] !== undefined).map(field => [field, merged[field]]))
+        );
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid profile data', details: errors });
+        }
+        if (set.skills) set.skills = await normalizeSkills(set.skills);
+
+        for (const [field, value] of Object.entries(set)) user.set(`profile.${field}`, value);
+        const after = plainProfile(user.profile);
+        user.profileComplete = isProfileComplete(after);
+        user.completeness = storedCompleteness(after);
+        user.updatedAt = new Date();
+        await user.save();
+
+        resume.parsed.confirmedAt = new Date();
+        resume.markModified('parsed');
+        await resume.save();
+
+        const revision = await recordProfileRevision(user._id, before, after, 'resume');
+        res.json({
+            message: 'Profile updated from resume',
+            profile: user.profile || {},
+            profileComplete: !!user.profileComplete,
+            completeness: scoreProfileCompleteness(after),
+            revision: revision ? serializeProfileRevision(revision) : null
+        });
+    } catch (error) {
+        console.error('Error confirming resume draft:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- Personal Data Export ---
+// Exports are a .tar.gz holding data.json (machine-readable) and summary.txt (human-readable).
+// Small accounts download immediately; larger ones are built in the background.
+const DATA_EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, 'exports');
+const DATA_EXPORT_TTL_HOURS = parseInt(process.env.DATA_EXPORT_TTL_HOURS, 10) || 24;
+const DATA_EXPORT_SYNC_MAX_RECORDS = parseInt(process.env.DATA_EXPORT_SYNC_MAX_RECORDS, 10) || 200;
+// Background exports still unfinished after this long were interrupted (e.g. by a restart)
+const DATA_EXPORT_STALE_MINUTES = parseInt(process.env.DATA_EXPORT_STALE_MINUTES, 10) || 15;
+
+// Everything stored about a user, one entry per collection
+const dataExportSections = [
+    {
+        name: 'applications',
+        count: (userId) => Application.countDocuments({ userId }),
+        collect: async (userId) => {
+            const applications = await Application.find({ userId }).populate('jobId').sort({ appliedAt: -1 }).lean();
+            return applications.map(({ jobId: job, ...application }) => ({
+                ...application,
+                job: job ? { _id: job._id, title: job.title, company: job.company, location: job.location, status: job.status } : null,
+            }));
+        },
+        summarize: (applications) => applications.length === 0
+            ? ['No job applications.']
+            : applications.map(a => `- ${a.job ? `${a.job.title} at ${a.job.company}` : 'Job no longer available'}: ${a.status} (applied ${new Date(a.appliedAt).toISOString().slice(0, 10)})`),
+    },
+    {
+        name: 'profileRevisions',
+        count: (userId) => ProfileRevision.countDocuments({ userId }),
+        collect: (userId) => ProfileRevision.find({ userId }).select('-userId -__v').sort({ createdAt: -1 }).lean(),
+        summarize: (revisions) => revisions.length === 0
+            ? ['No profile edits recorded.']
+            : revisions.map(r => `- ${new Date(r.createdAt).toISOString().slice(0, 10)}: ${r.source} (${r.changes.map(c => c.field).join(', ') || 'no changes'})`),
+    },
+    {
+        // Metadata only; the files themselves can be downloaded from /api/user/resume
+        name: 'resumes',
+        count: (userId) => Resume.countDocuments({ userId }),
+        collect: (userId) => Resume.find({ userId }).select('originalName mimeType size isPrimary uploadedAt').sort({ uploadedAt: -1 }).lean(),
+        summarize: (resumes) => resumes.length === 0
+            ? ['No resumes uploaded.']
+            : resumes.map(r => `- ${r.originalName} (${Math.ceil(r.size / 1024)} KB, uploaded ${new Date(r.uploadedAt).toISOString().slice(0, 10)})${r.isPrimary ? ' [primary]' : ''}`),
+    },
+    {
+        name: 'aiInteractions',
+        count: async (userId) => (await Conversation.countDocuments({ userId })) + (await Message.countDocuments({ userId })),
+        collect: async (userId) => {
+            const conversations = await Conversation.find({ userId }).select('title createdAt updatedAt').sort({ createdAt: 1 }).lean();
+            const messages = await Message.find({ userId }).select('conversationId role text modelUsed createdAt').sort({ createdAt: 1 }).lean();
+            return conversations.map(conversation => ({
+                ...conversation,
+                messages: messages
+                    .filter(message => message.conversationId.equals(conversation._id))
+                    .map(({ conversationId, ...message }) => message),
+            }));
+        },
+        summarize: (conversations) => conversations.length === 0
+            ? ['No stored AI conversations.']
+            : conversations.map(c => `- ${c.title}: ${c.messages.length} messages (started ${new Date(c.createdAt).toISOString().slice(0, 10)})`),
+    },
+    {
+        // Chat messages the topic classifier declined to answer, kept for TOPIC_REJECTION_LOG_DAYS
+        name: 'rejectedChatMessages',
+        count: (userId) => RejectedQuery.countDocuments({ userId }),
+        collect: (userId) => RejectedQuery.find({ userId }).select('text createdAt').sort({ createdAt: 1 }).lean(),
+        summarize: (messages) => messages.length === 0
+            ? ['No rejected chat messages.']
+            : messages.map(m => `- ${new Date(m.createdAt).toISOString().slice(0, 10)}: ${m.text}`),
+    },
+    {
+        // One record per AI call, kept for AI_USAGE_RETENTION_DAYS; summarized by month
+        name: 'aiUsage',
+        count: (userId) => AiUsage.countDocuments({ userId }),
+        collect: (userId) => AiUsage.find({ userId })
+            .select('endpoint model status promptTokens responseTokens totalTokens latencyMs createdAt')
+            .sort({ createdAt: 1 })
+            .lean(),
+        summarize: (records) => {
+            if (records.length === 0) return ['No AI usage recorded.'];
+            const months = new Map();
+            for (const record of records) {
+                const month = new Date(record.createdAt).toISOString().slice(0, 7);
+                const totals = months.get(month) || { requests: 0, tokens: 0 };
+                totals.requests += 1;
+                totals.tokens += record.totalTokens || 0;
+                months.set(month, totals);
+            }
+            return Array.from(months, ([month, totals]) => `- ${month}: ${totals.requests} AI requests, ${totals.tokens} tokens`);
+        },
+    },
+];
+
+async function countExportRecords(userId) {
+    const counts = await Promise.all(dataExportSections.map(section => section.count(userId)));
+    return counts.reduce((total, count) => total + count, 0);
+}
+
+function formatSummaryValue(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function buildExportSummary(data) {
+    const { account } = data;
+    const lines = [
+        'Careerion personal data export',
+        `Generated: ${data.exportedAt}`,
+        '',
+        'ACCOUNT',
+        `Name: ${account.name}`,
+        `Email: ${account.email}${account.emailVerified ? ' (verified)' : ''}`,
+        `Role: ${account.role}`,
+        `Sign-in methods: ${(account.providers || []).join(', ')}`,
+        `Member since: ${new Date(account.createdAt).toISOString().slice(0, 10)}`,
+        '',
+        'PROFILE',
+    ];
+    const profileEntries = Object.entries(account.profile || {}).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    if (profileEntries.length === 0) lines.push('No profile information.');
+    for (const [field, value] of profileEntries) lines.push(`${field}: ${formatSummaryValue(value)}`);
+
+    for (const section of dataExportSections) {
+        lines.push('', section.name.replace(/([A-Z])/g, ' $1').toUpperCase(), ...section.summarize(data[section.name]));
+    }
+    return lines.join('\n') + '\n';
+}
+
+async function collectUserData(userId) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const data = { exportedAt: new Date().toISOString(), account: user.toJSON() };
+    for (const section of dataExportSections) {
+        data[section.name] = await section.collect(user._id);
+    }
+    return data;
+}
+
+// Minimal ustar writer; enough for a couple of flat text files
+function createTarArchive(files) {
+    const blocks = [];
+    for (const { name, content } of files) {
+        const body = Buffer.from(content);
+        const header = Buffer.alloc(512);
+        header.write(name, 0, 100);
+        header.write('0000644\0', 100);
+        header.write('0000000\0', 108);
+        header.write('0000000\0', 116);
+        header.write(body.length.toString(8).padStart(11, '0') + '\0', 124);
+        header.write(Math.floor(Date.now() / 1000).toString(8).padStart(11, '0') + '\0', 136);
+        header.write('        ', 148);
+        header.write('0', 156);
+        header.write('ustar\0' + '00', 257);
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+        blocks.push(header, body, Buffer.alloc((512 - (body.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+async function buildExportArchive(userId) {
+    const data = await collectUserData(userId);
+    if (!data) return null;
+    return createTarArchive([
+        { name: 'careerion-export/data.json', content: JSON.stringify(data, null, 2) },
+        { name: 'careerion-export/summary.txt', content: buildExportSummary(data) },
+    ]);
+}
+
+function exportFileName(date = new Date()) {
+    return `careerion-export-${date.toISOString().slice(0, 10)}.tar.gz`;
+}
+
+function exportFilePath(exportJob) {
+    return path.join(DATA_EXPORT_DIR, `${exportJob._id}.tar.gz`);
+}
+
+async function processDataExport(exportId) {
+    const exportJob = await DataExport.findOneAndUpdate(
+        { _id: exportId, status: 'pending' },
+        { status: 'processing' },
+        { new: true }
+    );
+    if (!exportJob) return;
+
+    try {
+        const archive = await buildExportArchive(exportJob.userId);
+        if (!archive) throw new Error('User not found');
+
+        await fs.promises.mkdir(DATA_EXPORT_DIR, { recursive: true });
+        await fs.promises.writeFile(exportFilePath(exportJob), archive);
+        exportJob.status = 'ready';
+        exportJob.fileName = exportFileName(exportJob.requestedAt);
+        exportJob.size = archive.length;
+        exportJob.completedAt = new Date();
+        await exportJob.save();
+
+        const user = await User.findById(exportJob.userId).select('name email');
+        try {
+            await sendEmail(user.email, 'dataExportReady', {
+                name: user.name,
+                downloadUrl: `${APP_BASE_URL}/settings/export?id=${exportJob._id}`,
+                expiresInHours: DATA_EXPORT_TTL_HOURS,
+            });
+        } catch (mailError) {
+            console.error('Failed to send data export email:', mailError);
+        }
+    } catch (err) {
+        console.error('Error building data export:', err);
+        exportJob.status = 'failed';
+        exportJob.error = err.message;
+        exportJob.completedAt = new Date();
+        await exportJob.save();
+    }
+}
+app.locals.processDataExport = processDataExport;
+
+async function deleteDataExports(userId) {
+    const exportJobs = await DataExport.find({ userId }).select('_id');
+    for (const exportJob of exportJobs) {
+        await fs.promises.rm(exportFilePath(exportJob), { force: true });
+    }
+    await DataExport.deleteMany({ userId });
+}
+
+// Files outlive their TTL-deleted records, so sweep anything without a matching export
+async function cleanupExpiredExports() {
+    let files;
+    try {
+        files = await fs.promises.readdir(DATA_EXPORT_DIR);
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+    const ids = files.filter(file => file.endsWith('.tar.gz')).map(file => file.slice(0, -'.tar.gz'.length));
+    const live = await DataExport.find({ _id: { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) }, expiresAt: { $gt: new Date() } }).select('_id');
+    const liveIds = new Set(live.map(exportJob => String(exportJob._id)));
+    for (const id of ids) {
+        if (!liveIds.has(id)) await fs.promises.rm(path.join(DATA_EXPORT_DIR, `${id}.tar.gz`), { force: true });
+    }
+}
+
+function serializeDataExport(exportJob) {
+    return {
+        id: exportJob._id,
+        status: exportJob.status,
+        requestedAt: exportJob.requestedAt,
+        completedAt: exportJob.completedAt,
+        expiresAt: exportJob.expiresAt,
+        size: exportJob.size,
+        ...(exportJob.status === 'ready' && { downloadUrl: `/api/user/export/${exportJob._id}/download` }),
+        ...(exportJob.error && { error: exportJob.error }),
+    };
+}
+
+app.get('/api/user/export', authMiddleware, async (req, res) => {
+    try {
+        const recordCount = await countExportRecords(req.user.userId);
+
+        if (recordCount <= DATA_EXPORT_SYNC_MAX_RECORDS && req.query.async !== 'true') {
+            const archive = await buildExportArchive(req.user.userId);
+            if (!archive) return res.status(404).json({ error: 'User not found' });
+
+            res.set('Content-Type', 'application/gzip');
+            res.set('Content-Disposition', `attachment; filename="${exportFileName()}"`);
+            return res.send(archive);
+        }
+
+        // Nothing resumes an interrupted export, so it is failed here and a new one queued below
+        await DataExport.updateMany(
+            {
+                userId: req.user.userId,
+                status: { $in: ['pending', 'processing'] },
+                requestedAt: { $lt: new Date(Date.now() - DATA_EXPORT_STALE_MINUTES * 60 * 1000) },
+            },
+            { $set: { status: 'failed', error: 'Export was interrupted', completedAt: new Date() } }
+        );
+
+        // Reuse an export that is still being built instead of queueing duplicates
+        let exportJob = await DataExport.findOne({ userId: req.user.userId, status: { $in: ['pending', 'processing'] } });
+        if (!exportJob) {
+            exportJob = await DataExport.create({
+                userId: req.user.userId,
+                expiresAt: new Date(Date.now() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000),
+            });
+            setImmediate(() => {
+                processDataExport(exportJob._id).catch(err => console.error('Error processing data export:', err));
+            });
+        }
+
+        res.status(202).json({
+            message: "Your export is being prepared. We'll email you when it's ready.",
+            export: serializeDataExport(exportJob)
+        });
+    } catch (error) {
+        console.error('Error in GET /api/user/export:', error);
+        res.status(500).json({ error: 'Server error exporting data' });
+    }
+});
+
+app.get('/api/user/export/:id', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+        const exportJob = await DataExport.findOne({ _id: req.params.id, userId: req.user.userId });
+        if (!exportJob) return res.status(404).json({ error: 'Export not found' });
+
+        res.json({ export: serializeDataExport(exportJob) });
+    } catch (error) {
+        console.error('Error in GET /api/user/export/:id:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/user/export/:id/download', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+        const exportJob = await DataExport.findOne({ _id: req.params.id, userId: req.user.userId });
+        if (!exportJob) return res.status(404).json({ error: 'Export not found' });
+        if (exportJob.expiresAt <= new Date()) return res.status(410).json({ error: 'This export has expired' });
+        if (exportJob.status !== 'ready') {
+            return res.status(409).json({ error: 'Export is not ready yet', export: serializeDataExport(exportJob) });
+        }
+
+        res.download(exportFilePath(exportJob), exportJob.fileName, (err) => {
+            if (err && !res.headersSent) res.status(410).json({ error: 'This export is no longer available' });
+        });
+    } catch (error) {
+        console.error('Error in GET /api/user/export/:id/download:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- Career Topic Classifier ---
+// Chat messages are scored against weighted terms: career words and phrases add to the score,
+// off-topic ones subtract from it. Messages scoring at least TOPIC_SCORE_THRESHOLD are answered.
+// Scores just below it (within TOPIC_BORDERLINE_MARGIN) can be passed to the AI model for a
+// second opinion when TOPIC_LLM_CHECK is on. Terms are seeded from data/topic-terms.json the
+// first time the collection is empty and curated by admins afterwards.
+const TOPIC_TERMS_SEED_FILE = process.env.TOPIC_TERMS_SEED_FILE || path.join(__dirname, 'data', 'topic-terms.json');
+const TOPIC_SAMPLES_FILE = process.env.TOPIC_SAMPLES_FILE || path.join(__dirname, 'data', 'topic-samples.json');
+const TOPIC_INDEX_TTL_SECONDS = parseInt(process.env.TOPIC_INDEX_TTL_SECONDS, 10) || 300;
+const TOPIC_SCORE_THRESHOLD = Number.isFinite(parseFloat(process.env.TOPIC_SCORE_THRESHOLD)) ? parseFloat(process.env.TOPIC_SCORE_THRESHOLD) : 2;
+const TOPIC_BORDERLINE_MARGIN = Number.isFinite(parseFloat(process.env.TOPIC_BORDERLINE_MARGIN)) ? parseFloat(process.env.TOPIC_BORDERLINE_MARGIN) : 1;
+const TOPIC_LLM_CHECK = process.env.TOPIC_LLM_CHECK === 'true';
+const TOPIC_REJECTION_LOG_DAYS = parseInt(process.env.TOPIC_REJECTION_LOG_DAYS, 10) || 30;
+// Follow-ups like "tell me more" borrow this share of the previous user message's score
+const TOPIC_CONTEXT_WEIGHT = 0.5;
+
+// Lowercase words separated by single spaces and padded with one on each side, so that
+// terms can be matched as whole words: "Cover-letter help?" becomes " cover letter help "
+function normalizeTopicText(value) {
+    return ` ${String(value).toLowerCase().replace(/[^\p{L}\p{N}+#]+/gu, ' ').trim()} `;
+}
+
+function normalizeTopicTerm(value) {
+    const term = String(value).trim();
+    const isPrefix = term.endsWith('*');
+    const words = normalizeTopicText(isPrefix ? term.slice(0, -1) : term).trim();
+    return words && isPrefix ? `${words}*` : words;
+}
+
+function topicTermMatches(normalizedText, term) {
+    return term.endsWith('*')
+        ? normalizedText.includes(` ${term.slice(0, -1)}`)
+        : normalizedText.includes(` ${term} `);
+}
+
+async function seedTopicTerms() {
+    if (await TopicTerm.estimatedDocumentCount() > 0) return 0;
+    let seed;
+    try {
+        seed = JSON.parse(await fs.promises.readFile(TOPIC_TERMS_SEED_FILE, 'utf8'));
+    } catch (err) {
+        console.error(`[Topic] Could not read ${TOPIC_TERMS_SEED_FILE}: ${err.message}`);
+        return 0;
+    }
+    const docs = seed.map(({ term, weight }) => ({ term: normalizeTopicTerm(term), weight, source: 'seed' }));
+    try {
+        await TopicTerm.insertMany(docs, { ordered: false });
+    } catch (err) {
+        // Another instance seeding at the same time produces duplicate-key errors; the data is there either way
+        if (err.code !== 11000 && !err.writeErrors) throw err;
+    }
+    console.log(`[Topic] Seeded ${docs.length} topic terms from ${TOPIC_TERMS_SEED_FILE}`);
+    return docs.length;
+}
+
+let topicTerms = null;
+let topicTermsLoadedAt = 0;
+
+async function getTopicTerms() {
+    if (topicTerms && Date.now() - topicTermsLoadedAt < TOPIC_INDEX_TTL_SECONDS * 1000) return topicTerms;
+
+    await seedTopicTerms();
+    topicTerms = await TopicTerm.find().select('term weight').lean();
+    topicTermsLoadedAt = Date.now();
+    return topicTerms;
+}
+
+function invalidateTopicTerms() {
+    topicTerms = null;
+}
+
+// Every term found in the text counts once, so "job" and "job search" both add their weight
+function scoreTopicText(text, terms) {
+    const normalized = normalizeTopicText(text);
+    const matches = terms
+        .filter(({ term }) => topicTermMatches(normalized, term))
+        .map(({ term, weight }) => ({ term, weight }));
+    return { score: matches.reduce((total, { weight }) => total + weight, 0), matches };
+}
+
+// Asks the AI model whether a borderline message is on topic; null when it gives no usable answer
+async function askTopicSecondOpinion(message, meter) {
+    try {
+        const { text } = await generateContentWithFallback({
+            prompt: `Careerion only answers questions about careers, jobs, education and professional development. Is the following message about one of those topics? Answer with only "yes" or "no".\n\nMessage: ${message}`,
+            temperature: 0,
+        }, { meter });
+        if (/^\W*yes\b/i.test(text)) return true;
+        if (/^\W*no\b/i.test(text)) return false;
+        console.warn(`[Topic] Unexpected second opinion: ${text.slice(0, 100)}`);
+    } catch (error) {
+        console.warn(`[Topic] Second opinion failed: ${error.message}`);
+    }
+    return null;
+}
+
+// Returns { careerRelated, score, matches, borderline, secondOpinion }. history ([{ role, text }],
+// oldest first) lets short follow-ups inherit part of the previous user message's score.
+// When the second opinion fails, the score decides; meter attributes its usage.
+async function classifyCareerTopic(message, { history = [], terms, threshold = TOPIC_SCORE_THRESHOLD, secondOpinion = TOPIC_LLM_CHECK, meter } = {}) {
+    if (!message || typeof message !== 'string') {
+        return { careerRelated: false, score: 0, matches: [], borderline: false, secondOpinion: null };
+    }
+    terms = terms || await getTopicTerms();
+
+    const { score: messageScore, matches } = scoreTopicText(message, terms);
+    const previous = [...history].reverse().find(turn => turn.role === 'user');
+    const contextScore = previous ? Math.max(0, scoreTopicText(previous.text, terms).score) * TOPIC_CONTEXT_WEIGHT : 0;
+    const score = messageScore + contextScore;
+
+    const careerRelated = score >= threshold;
+    const result = {
+        careerRelated,
+        score,
+        matches,
+        borderline: !careerRelated && score >= threshold - TOPIC_BORDERLINE_MARGIN,
+        secondOpinion: null,
+    };
+    if (result.borderline && secondOpinion) {
+        result.secondOpinion = await askTopicSecondOpinion(message, meter);
+        if (result.secondOpinion !== null) result.careerRelated = result.secondOpinion;
+    }
+    return result;
+}
+
+// Kept for TOPIC_REJECTION_LOG_DAYS so admins can spot missing terms
+async function logRejectedQuery(message, topic, userId) {
+    if (typeof message !== 'string' || !message.trim()) return;
+    try {
+        await RejectedQuery.create({
+            userId: userId || undefined,
+            text: message.slice(0, 500),
+            score: topic.score,
+            matchedTerms: topic.matches.map(({ term }) => term),
+            secondOpinion: topic.secondOpinion,
+            expiresAt: new Date(Date.now() + TOPIC_REJECTION_LOG_DAYS * 24 * 60 * 60 * 1000),
+        });
+    } catch (error) {
+        console.error('[Topic] Could not log rejected query:', error.message);
+    }
+}
+
+// Validates admin input for creating (all fields) or updating (any field) a topic term
+function validateTopicTermInput(body, isUpdate = false) {
+    const { term, weight } = body || {};
+    if (!isUpdate && term === undefined) return { error: 'term is required' };
+    if (!isUpdate && weight === undefined) return { error: 'weight is required' };
+
+    let normalized;
+    if (term !== undefined) {
+        normalized = typeof term === 'string' ? normalizeTopicTerm(term) : '';
+        if (!normalized || normalized.length > 60) return { error: 'term must be a word or phrase of at most 60 characters' };
+    }
+    if (weight !== undefined && (typeof weight !== 'number' || !Number.isFinite(weight) || weight === 0 || Math.abs(weight) > 10)) {
+        return { error: 'weight must be a non-zero number between -10 and 10' };
+    }
+    return { value: { term: normalized, weight } };
+}
+
+// Labelled samples: [{ "text": "...", "careerRelated": true }]
+async function loadTopicSamples(filePath = TOPIC_SAMPLES_FILE) {
+    const samples = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    if (!Array.isArray(samples) || samples.some(sample => typeof sample?.text !== 'string' || typeof sample.careerRelated !== 'boolean')) {
+        throw new Error('samples must be a list of { text, careerRelated } objects');
+    }
+    return samples;
+}
+
+// Precision and recall of the classifier, with career-related as the positive class
+async function evaluateTopicClassifier(samples, { threshold = TOPIC_SCORE_THRESHOLD, secondOpinion = false, meter } = {}) {
+    const terms = await getTopicTerms();
+    const counts = { truePositives: 0, falsePositives: 0, trueNegatives: 0, falseNegatives: 0 };
+    const misclassified = [];
+
+    for (const sample of samples) {
+        const topic = await classifyCareerTopic(sample.text, { terms, threshold, secondOpinion, meter });
+        if (sample.careerRelated) counts[topic.careerRelated ? 'truePositives' : 'falseNegatives']++;
+        else counts[topic.careerRelated ? 'falsePositives' : 'trueNegatives']++;
+        if (topic.careerRelated !== sample.careerRelated) {
+            misclassified.push({
+                text: sample.text,
+                expected: sample.careerRelated,
+                score: topic.score,
+                matchedTerms: topic.matches.map(({ term }) => term),
+                secondOpinion: topic.secondOpinion,
+            });
+        }
+    }
+
+    const ratio = (numerator, denominator) => denominator === 0 ? null : Math.round(numerator / denominator * 1000) / 1000;
+    return {
+        samples: samples.length,
+        threshold,
+        ...counts,
+        precision: ratio(counts.truePositives, counts.truePositives + counts.falsePositives),
+        recall: ratio(counts.truePositives, counts.truePositives + counts.falseNegatives),
+        accuracy: ratio(counts.truePositives + counts.trueNegatives, samples.length),
+        misclassified,
+    };
+}
+
+// --- Enhanced career response generator with comprehensive knowledge base ---
+function generateEnhancedCareerPrompt(message, userProfile = null) {
+    const currentYear = new Date().getFullYear();
+    const history = describeProfileHistory(userProfile || {});
+    
+    const basePrompt = `You are Careerion AI, an expert career guidance assistant with comprehensive knowledge across all industries, career paths, and professional development strategies. You have access to current job market data, industry trends, and best practices as of ${currentYear}.
+
+## Your Core Expertise Areas:
+
+### 🎯 Career Exploration & Planning
+- Career assessment and personality-career matching
+- Industry analysis and job market forecasting
+- Career path mapping and milestone planning
+- Skills gap analysis and development roadmaps
+- Career pivot and transition strategies
+
+### 💼 Job Search & Application Strategy
+- Modern resume optimization (ATS-friendly formats)
+- Cover letter personalization techniques
+- LinkedIn profile optimization
+- Interview preparation (behavioral, technical, case studies)
+- Salary research and negotiation tactics
+- Job search automation and tracking systems
+
+### 📈 Professional Development
+- Skills assessment using industry frameworks
+- Certification and training program recommendations
+- Leadership development pathways
+- Personal branding and thought leadership
+- Professional networking strategies
+- Mentorship and coaching guidance
+
+### 🏢 Industry-Specific Guidance
+- Technology: Software development, data science, cybersecurity, AI/ML
+- Healthcare: Clinical roles, healthcare administration, telemedicine
+- Finance: Banking, investment, fintech, accounting
+- Marketing: Digital marketing, content strategy, brand management
+- Education: Teaching, administration, educational technology
+- Engineering: Civil, mechanical, electrical, software engineering
+- Creative: Design, writing, media production, arts management
+- Business: Consulting, project management, operations, strategy
+
+### 💰 Compensation & Benefits
+- Salary benchmarking by role, location, and experience
+- Benefits package evaluation and negotiation
+- Equity compensation understanding
+- Freelance and contract rate setting
+- Career ROI analysis for education and certifications
+
+### 🌐 Modern Work Trends
+- Remote work best practices and opportunities
+- Hybrid work arrangements and productivity
+- Gig economy and freelancing strategies
+- Entrepreneurship and startup guidance
+- Work-life balance and career sustainability
+- Diversity, equity, and inclusion in the workplace
+
+## Response Guidelines:
+1. **COMPREHENSIVE**: Provide detailed, multi-faceted responses that cover all relevant aspects
+2. **ACTIONABLE**: Include specific steps, timelines, and measurable goals
+3. **CURRENT**: Reference ${currentYear} job market trends, salary data, and industry developments
+4. **PERSONALIZED**: Tailor advice based on user's background, goals, and constraints
+5. **RESOURCEFUL**: Suggest specific tools, platforms, courses, and resources
+6. **REALISTIC**: Provide honest assessments of challenges and realistic timelines
+7. **CLEAN FORMATTING**: Use simple formatting - **bold** for emphasis, bullet points with -, and clear paragraphs. Avoid excessive markdown.
+
+${userProfile ? `## User Profile Analysis:
+**Educational Background**: ${userProfile.educationLevel || 'Not specified'} in ${userProfile.fieldOfStudy || 'Not specified'} from ${userProfile.institution || 'Not specified'}
+**Career Stage**: ${userProfile.currentStatus || 'Not specified'}
+**Experience Level**: ${userProfile.workExperience || 'Not specified'}${history.yearsOfExperience !== null ? ` (${history.yearsOfExperience} years in total)` : ''}
+${history.experience.length > 0 ? `**Work History**:\n${history.experience.map(line => `- ${line}`).join('\n')}\n` : ''}${history.education.length > 0 ? `**Education History**:\n${history.education.map(line => `- ${line}`).join('\n')}\n` : ''}**Technical Skills**: ${Array.isArray(userProfile.technicalSkills) && userProfile.technicalSkills.length > 0 ? userProfile.technicalSkills.join(', ') : 'Not specified'}
+**Soft Skills**: ${Array.isArray(userProfile.softSkills) && userProfile.softSkills.length > 0 ? userProfile.softSkills.join(', ') : 'Not specified'}
+**All Skills**: ${Array.isArray(userProfile.skills) && userProfile.skills.length > 0 ? userProfile.skills.join(', ') : 'Not specified'}
+**Interests**: ${Array.isArray(userProfile.interests) && userProfile.interests.length > 0 ? userProfile.interests.join(', ') : 'Not specified'}
+**Career Objectives**: ${userProfile.careerGoals || 'Not specified'}
+**Work Environment Preference**: ${userProfile.preferredWorkEnvironment || 'Not specified'}
+**Location Flexibility**: ${userProfile.preferredWorkLocation || 'Not specified'} (Willing to relocate: ${userProfile.willingToRelocate ? 'Yes' : 'No'})
+**Compensation Expectations**: ${userProfile.salaryExpectations || 'Not specified'}
+
+**Personalization Instructions**: Use this profile to provide highly targeted recommendations that align with the user's background, goals, and preferences. Reference their specific skills and interests when suggesting career paths or development opportunities.` : ''}
+
+## User Question: "${message}"
+
+## Required Response Structure:
+Provide a comprehensive response that includes:
+1. **Direct Answer**: Address the specific question asked
+2. **Detailed Analysis**: Break down the topic with in-depth explanations
+3. **Actionable Steps**: Provide a clear roadmap with specific actions
+4. **Resources & Tools**: Suggest relevant platforms, courses, books, or tools
+5. **Timeline & Milestones**: Include realistic timeframes for achieving goals
+6. **Potential Challenges**: Identify obstacles and how to overcome them
+7. **Success Metrics**: Define how to measure progress and success
+
+Make your response detailed, practical, and immediately useful for career advancement.
+
+**IMPORTANT FORMATTING RULES:**
+- Use **bold text** for key points and section headers
+- Use simple bullet points with - for lists
+- Write in clear, readable paragraphs
+- Avoid complex markdown formatting
+- Keep the response clean and professional`;
+
+    return basePrompt;
+}
+
+// --- AI Usage ---
+// The signed-in user's quota and how much of it is used; requests only count successful calls
+app.get('/api/user/ai-usage', authMiddleware, async (req, res) => {
+    try {
+        const { nextDay, nextMonth } = aiQuotaPeriods();
+        res.json({
+            quota: getAiQuota(req.user.role),
+            usage: await getAiUsageTotals(req.user.userId),
+            resets: { daily: nextDay, monthly: nextMonth },
+        });
+    } catch (error) {
+        console.error('Error in GET /api/user/ai-usage:', error);
+        res.status(500).json({ error: 'Server error fetching AI usage' });
+    }
+});
+
+// --- Enhanced Career Recommendations Route ---
+app.post('/api/career-recommendations', authMiddleware, enforceAiQuota, async (req, res) => {
+    try {
+        const aiConfigurationError = aiProvider.configurationError();
+        if (aiConfigurationError) return res.status(500).json({ error: aiConfigurationError });
+
+        const { query, category } = req.body || {};
+        
+        if (!query) {
+            return res.status(400).json({ error: 'Query is required for career recommendations' });
+        }
+
+        // Get user profile for personalized recommendations
+        const user = await User.findById(req.user.userId).select('profile name email');
+        const userProfile = user?.profile;
+        const history = describeProfileHistory(userProfile || {});
+
+        console.log(`[Career Recommendations] Processing query for user: ${user?.email}`);
+
+        // Enhanced prompt for comprehensive career recommendations
+        const enhancedPrompt = `You are Careerion AI, providing comprehensive career recommendations. 
+
+User Profile:
+- Name: ${user?.name || 'User'}
+- Education: ${userProfile?.educationLevel || 'Not specified'} in ${userProfile?.fieldOfStudy || 'Not specified'}
+- Current Status: ${userProfile?.currentStatus || 'Not specified'}
+- Experience: ${userProfile?.workExperience || 'Not specified'}${history.yearsOfExperience !== null ? ` (${history.yearsOfExperience} years in total)` : ''}
+${history.experience.length > 0 ? `- Work History: ${history.experience.join('; ')}\n` : ''}${history.education.length > 0 ? `- Education History: ${history.education.join('; ')}\n` : ''}- Technical Skills: ${Array.isArray(userProfile?.technicalSkills) ? userProfile.technicalSkills.join(', ') : 'Not specified'}
+- Soft Skills: ${Array.isArray(userProfile?.softSkills) ? userProfile.softSkills.join(', ') : 'Not specified'}
+- Interests: ${Array.isArray(userProfile?.interests) ? userProfile.interests.join(', ') : 'Not specified'}
+- Career Goals: ${userProfile?.careerGoals || 'Not specified'}
+- Work Environment Preference: ${userProfile?.preferredWorkEnvironment || 'Not specified'}
+- Location Preference: ${userProfile?.preferredWorkLocation || 'Not specified'}
+- Salary Expectations: ${userProfile?.salaryExpectations || 'Not specified'}
+
+Query Category: ${category || 'General Career Guidance'}
+User Question: "${query}"
+
+Provide an extremely comprehensive response (minimum 800 words) that includes:
+
+1. **Personalized Analysis** (based on their profile)
+2. **Detailed Recommendations** (specific to their situation)
+3. **Step-by-Step Action Plan** (with timelines)
+4. **Skill Development Roadmap** (specific skills to learn)
+5. **Industry Insights** (current trends and opportunities)
+6. **Networking Strategies** (specific to their field)
+7. **Resource Recommendations** (courses, certifications, books, platforms)
+8. **Salary and Compensation Guidance** (market rates and negotiation tips)
+9. **Potential Career Paths** (multiple options with pros/cons)
+10. **Success Metrics and Milestones** (how to track progress)
+
+Make this response extremely detailed, actionable, and valuable for their career development.`;
+
+        const details = {
+            userProfile: userProfile ? 'Used for personalization' : 'No profile available',
+            category: category || 'General Career Guidance'
+        };
+
+        // The prompt carries the query, category and profile, so any change to them is a cache miss
+        const cacheRequest = {
+            endpoint: 'careerRecommendations',
+            request: enhancedPrompt,
+            profile: userProfile,
+            query,
+            userId: req.user.userId,
+            meter: { userId: req.user.userId, endpoint: 'careerRecommendations' },
+        };
+
+        if (wantsEventStream(req)) {
+            return streamAiResponse(res, {
+                label: 'career recommendations',
+                generate: (onChunk, signal) => generateCachedContent({ ...cacheRequest, onChunk, signal }),
+                finish: (result) => ({ modelUsed: result.modelUsed, cached: result.cached, ...details }),
+                describeError: () => 'Failed to generate career recommendations',
+            });
+        }
+
+        const result = await generateCachedContent(cacheRequest);
+        const response = result.text;
+
+        res.json({ 
+            response,
+            modelUsed: result.modelUsed,
+            cached: result.cached,
+            ...details
+        });
+
+    } catch (error) {
+        console.error('Error in /api/career-recommendations:', error);
+        res.status(500).json({ error: 'Failed to generate career recommendations' });
+    }
+});
+
+// --- AI Chat Route (Enhanced) ---
+const CHAT_OFF_TOPIC_RESPONSE = `I'm Careerion AI, your dedicated career guidance assistant! I'm here to provide comprehensive advice on:
+
+🎯 **Career Exploration & Planning**
+- Discovering career paths that match your interests and skills
+- Industry insights and job market trends
 - Career goal setting and strategic planning
 
-💼 **Job Search & Applications**
-- Resume and cover letter optimization
-- Interview preparation and techniques
-- Job search strategies and networking tips
+💼 **Job Search & Applications**
+- Resume and cover letter optimization
+- Interview preparation and techniques
+- Job search strategies and networking tips
+
+📈 **Professional Development**
+- Skills assessment and development recommendations
+- Certification and training programs
+- Leadership and management guidance
+
+💰 **Career Advancement**
+- Salary negotiation strategies
+- Promotion and advancement tactics
+- Career transition and pivot guidance
+
+🎓 **Education & Training**
+- Educational pathway recommendations
+- Professional certifications and courses
+- Skill-building resources and programs
+
+Whether you're just starting your career, looking to make a change, or aiming for advancement, I'm here to provide detailed, actionable guidance tailored to your unique situation.
+
+What specific aspect of your career journey would you like to explore today?`;
+
+// Helper to extract first JSON object/array from text
+function extractJsonSnippet(text) {
+    if (!text || typeof text !== 'string') return null;
+    // Strip fenced code blocks if present
+    let cleaned = text.replace(/```json[\s\S]*?```/gi, (m) => m.replace(/```json|```/gi, ''))
+                      .replace(/```[\s\S]*?```/g, (m) => m.replace(/```/g, ''))
+                      .trim();
+    // Find first [{ or { then match until last ]} plausibly
+    const startIdx = cleaned.search(/[\[{]/);
+    if (startIdx === -1) return null;
+    cleaned = cleaned.slice(startIdx);
+    // Try progressively to parse by trimming to last closing brace/bracket
+    for (let i = cleaned.length; i > 0; i--) {
+        const candidate = cleaned.slice(0, i).trim();
+        try {
+            const parsed = JSON.parse(candidate);
+            return parsed;
+        } catch (_) { /* keep shrinking */ }
+    }
+    return null;
+}
+
+// Get user profile for personalized recommendations
+async function loadChatProfile(userId) {
+    if (!userId) {
+        console.log('[AI] No authenticated user, using generic recommendations');
+        return null;
+    }
+    try {
+        const user = await User.findById(userId).select('profile profileComplete');
+        const userProfile = user?.profile;
+
+        if (userProfile) {
+            console.log(`[AI] Using user profile for personalization:`, {
+                complete: user.profileComplete,
+                education: userProfile.educationLevel,
+                field: userProfile.fieldOfStudy,
+                status: userProfile.currentStatus,
+                skillsCount: userProfile.skills?.length || 0,
+                interestsCount: userProfile.interests?.length || 0
+            });
+        } else {
+            console.log('[AI] No user profile found, using generic recommendations');
+        }
+        return userProfile || null;
+    } catch (error) {
+        console.log('Could not fetch user profile for personalization:', error.message);
+        return null;
+    }
+}
+
+// Generates one chat turn. history ([{ role: 'user' | 'model', text }], oldest first) goes through
+// the provider's chat call, falling back to a single generate call without it.
+// With onChunk the reply is streamed (signal cancels it). Returns { text, modelUsed, json, profileUsed, cached }
+// (json is only parsed when expectJson is set). endpoint names the caller in the usage records.
+async function generateChatReply({ message, history = [], systemPrompt, expectJson, userId, endpoint = 'chat', onChunk, signal }) {
+    const meter = { userId, endpoint };
+
+    // JSON requests come from the app itself, so only free-text messages are classified
+    if (!expectJson) {
+        const topic = await classifyCareerTopic(message, { history, meter: { userId, endpoint: 'topicCheck' } });
+        if (!topic.careerRelated) {
+            await logRejectedQuery(message, topic, userId);
+            if (onChunk) onChunk(CHAT_OFF_TOPIC_RESPONSE);
+            return { text: CHAT_OFF_TOPIC_RESPONSE, modelUsed: aiProvider.primaryModel, profileUsed: false, cached: false };
+        }
+    }
+
+    console.log(`[AI] Using ${aiProvider.name} model: ${aiProvider.primaryModel}`);
+    const userProfile = await loadChatProfile(userId);
+
+    // Generate enhanced career-focused prompt
+    let fullPrompt = generateEnhancedCareerPrompt(message, userProfile);
+    if (systemPrompt) {
+        fullPrompt = `${fullPrompt}\n\nAdditional Context: ${systemPrompt}`;
+    }
+    if (expectJson) {
+        fullPrompt = `You are a strict JSON generator for career recommendations. Reply with ONLY valid minified JSON matching the request. No prose, no markdown, no code fences.\n\n${fullPrompt}`;
+    }
+
+    const withJson = (result) => {
+        let json = null;
+        if (expectJson) {
+            json = extractJsonSnippet(result.text);
+            if (!json) {
+                console.warn(`[AI] Failed to parse JSON from model response: ${result.text}`);
+            }
+        }
+        return { text: result.text, modelUsed: result.modelUsed, json, profileUsed: !!userProfile, cached: !!result.cached };
+    };
+
+    if (history.length === 0) {
+        // Single messages can be answered from the cache. JSON replies aren't cached, so one that
+        // failed to parse isn't served again.
+        return withJson(await generateCachedContent({
+            endpoint: expectJson ? null : 'chat',
+            request: fullPrompt,
+            profile: userProfile,
+            query: message,
+            userId,
+            onChunk,
+            signal,
+            meter,
+        }));
+    }
+
+    if (onChunk) {
+        if (history[0].role === 'user') {
+            try {
+                return withJson(await streamContentWithFallback({ prompt: fullPrompt, history, onChunk, signal, meter }));
+            } catch (error) {
+                if (signal?.aborted || error.afterOutput) throw error;
+                console.warn('[AI] Chat history failed with all models, falling back to generateContentStream');
+            }
+        }
+        return withJson(await streamContentWithFallback({ prompt: fullPrompt, onChunk, signal, meter }));
+    }
+
+    // Ensure the first message is from user (Gemini requirement)
+    if (history[0].role !== 'user') {
+        console.warn('[AI] First message in history is not from user, using generateContent instead');
+        return withJson(await generateContentWithFallback(fullPrompt, { meter }));
+    }
+
+    // Try chat history with fallback models
+    const modelsToTry = aiModelsToTry();
+    const startedAt = Date.now();
+    let attempts = 0;
+    let lastError = null;
+    for (const modelName of modelsToTry) {
+        attempts += 1;
+        try {
+            console.log(`[AI] Attempting chat history with model: ${modelName}`);
+            const result = await aiProvider.chat({ history, prompt: fullPrompt }, { model: modelName });
+            await recordAiCall(meter, { model: modelName, attempts, usage: result.usage, startedAt });
+            return withJson({ text: result.text, modelUsed: modelName });
+        } catch (error) {
+            console.log(`[AI] Chat history failed with ${modelName}: ${error.message}`);
+            lastError = error;
+            if (error.status === 503 || error.status === 429) {
+                continue; // Try next model
+            }
+            break; // For other errors, fall back to generateContent
+        }
+    }
+    await recordAiCall(meter, { model: modelsToTry[attempts - 1], attempts, startedAt, error: lastError });
+
+    // If chat history failed, fall back to generateContent
+    console.warn('[AI] Chat history failed with all models, falling back to generateContent');
+    return withJson(await generateContentWithFallback(fullPrompt, { meter }));
+}
+
+// Provide more specific error messages
+function describeChatError(error) {
+    if (error.message?.includes('API_KEY')) {
+        return 'Invalid API key. Please check your Gemini API key configuration.';
+    } else if (error.message?.includes('quota') || error.status === 429) {
+        return 'API quota exceeded. Please try again later.';
+    } else if (error.message?.includes('overloaded') || error.status === 503) {
+        return 'AI service is temporarily overloaded. Please try again in a few moments.';
+    } else if (error.message?.includes('model')) {
+        return 'AI model configuration issue. Please try again.';
+    } else if (error.message?.includes('All models failed')) {
+        return 'All AI models are currently unavailable. Please try again later.';
+    }
+    return 'Failed to get response from AI. Please try again in a moment.';
+}
+
+// --- Guest Chat Sessions ---
+// Visitors who aren't signed in get a smaller chat allowance. Their first message opens a guest
+// session whose token is returned in the X-Guest-Session header (and as guest.sessionId); sending
+// the header again keeps counting against that session until it expires after
+// GUEST_CHAT_WINDOW_HOURS. Guest messages are also capped per IP, so dropping the header doesn't
+// reset the allowance. GUEST_CHAT_LIMIT=0 requires signing in.
+const GUEST_CHAT_LIMIT = process.env.GUEST_CHAT_LIMIT !== undefined ? parseInt(process.env.GUEST_CHAT_LIMIT, 10) || 0 : 10;
+const GUEST_CHAT_IP_LIMIT = parseInt(process.env.GUEST_CHAT_IP_LIMIT, 10) || 30;
+const GUEST_CHAT_WINDOW_HOURS = parseInt(process.env.GUEST_CHAT_WINDOW_HOURS, 10) || 24;
+
+function sendGuestQuotaExceeded(res, { error, code, resetsAt }) {
+    const retryAfter = secondsUntil(resetsAt);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error, code, retryAfter, signInRequired: true });
+}
+
+// Counts the message against the guest session (opening one if needed) and sets req.guest
+// to { sessionId, limit, remaining, resetsAt }. Signed-in users pass straight through.
+async function guestChatQuota(req, res, next) {
+    if (req.user) return next();
+    if (GUEST_CHAT_LIMIT <= 0) {
+        return res.status(401).json({ error: 'Please sign in to use the chat', code: 'SIGN_IN_REQUIRED' });
+    }
+
+    try {
+        const now = new Date();
+        const [ipUsage] = await GuestSession.aggregate([
+            { $match: { ip: req.ip, expiresAt: { $gt: now } } },
+            { $group: { _id: null, messages: { $sum: '$messages' }, resetsAt: { $min: '$expiresAt' } } }
+        ]);
+        if (ipUsage && ipUsage.messages >= GUEST_CHAT_IP_LIMIT) {
+            return sendGuestQuotaExceeded(res, {
+                error: 'The guest chat limit for your network has been reached. Sign in to keep chatting.',
+                code: 'GUEST_IP_QUOTA_EXCEEDED',
+                resetsAt: ipUsage.resetsAt,
+            });
+        }
+
+        let sessionId = req.get('X-Guest-Session');
+        let session = sessionId
+            ? await GuestSession.findOne({ tokenHash: hashToken(sessionId), expiresAt: { $gt: now } })
+            : null;
+        if (!session) {
+            sessionId = crypto.randomBytes(24).toString('base64url');
+            session = await GuestSession.create({
+                tokenHash: hashToken(sessionId),
+                ip: req.ip,
+                expiresAt: new Date(now.getTime() + GUEST_CHAT_WINDOW_HOURS * 60 * 60 * 1000),
+            });
+        }
+        res.set('X-Guest-Session', sessionId);
+
+        // Conditional increment, so concurrent requests can't go over the limit
+        const counted = await GuestSession.findOneAndUpdate(
+            { _id: session._id, messages: { $lt: GUEST_CHAT_LIMIT } },
+            { $inc: { messages: 1 }, $set: { lastMessageAt: now } },
+            { new: true }
+        );
+        if (!counted) {
+            return sendGuestQuotaExceeded(res, {
+                error: `Guests can send ${GUEST_CHAT_LIMIT} messages. Sign in to keep chatting.`,
+                code: 'GUEST_QUOTA_EXCEEDED',
+                resetsAt: session.expiresAt,
+            });
+        }
+
+        req.guest = {
+            sessionId,
+            limit: GUEST_CHAT_LIMIT,
+            remaining: GUEST_CHAT_LIMIT - counted.messages,
+            resetsAt: counted.expiresAt,
+        };
+        next();
+    } catch (error) {
+        console.error('Error in guestChatQuota:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+const CHAT_MESSAGE_MAX_LENGTH = parseInt(process.env.CHAT_MESSAGE_MAX_LENGTH, 10) || 8000;
+
+function validateChatMessage(message) {
+    if (typeof message !== 'string' || !message.trim()) return 'Message is required';
+    if (message.length > CHAT_MESSAGE_MAX_LENGTH) return `Message must be at most ${CHAT_MESSAGE_MAX_LENGTH} characters`;
+    return null;
+}
+
+// Runs ahead of the quotas so a rejected message doesn't use up the guest allowance
+function requireChatMessage(req, res, next) {
+    const messageError = validateChatMessage(req.body?.message);
+    if (messageError) return res.status(400).json({ error: messageError });
+    next();
+}
+
+// Stateless chat: the client sends the whole history with each message. Signed-in users get
+// answers personalized with their profile (the response's userProfile says whether it was used);
+// guests are limited by guestChatQuota. Signed-in clients can use /api/conversations instead
+// to keep threads on the server.
+app.post('/api/chat', optionalAuth, requireVerifiedEmail('chat'), requireChatMessage, guestChatQuota, enforceAiQuota, async (req, res) => {
+    try {
+        const aiConfigurationError = aiProvider.configurationError();
+        if (aiConfigurationError) return res.status(500).json({ error: aiConfigurationError });
+        
+        const { history, message, systemPrompt, expectJson } = req.body || {};
+        console.log('Received chat request:', { message, systemPrompt, expectJson });
+
+        // Filter and validate chat history
+        const validHistory = (Array.isArray(history) ? history : [])
+            .filter(msg => msg && msg.sender && msg.text) // Remove invalid messages
+            .map(msg => ({ role: msg.sender === 'user' ? 'user' : 'model', text: msg.text }));
+
+        const chatRequest = { message, history: validHistory, systemPrompt, expectJson, userId: req.user?.userId };
+        const replyDetails = (reply) => ({
+            modelUsed: reply.modelUsed,
+            json: reply.json,
+            cached: reply.cached,
+            userProfile: reply.profileUsed ? 'Used for personalization' : 'No profile available',
+            ...(req.guest && { guest: req.guest }),
+        });
+
+        if (wantsEventStream(req)) {
+            return streamAiResponse(res, {
+                label: 'chat',
+                generate: (onChunk, signal) => generateChatReply({ ...chatRequest, onChunk, signal }),
+                finish: replyDetails,
+                describeError: describeChatError,
+            });
+        }
+
+        const reply = await generateChatReply(chatRequest);
+        res.json({ response: reply.text, ...replyDetails(reply) });
+    } catch (error) {
+        console.error(`Error in /api/chat:`, error);
+        res.status(500).json({ error: describeChatError(error) });
+    }
+});
+
+// --- Saved Conversations ---
+// How many of the latest messages are sent to the model as context
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 40;
+const CONVERSATION_TITLE_MAX_LENGTH = 100;
+
+// First line of the opening message, cut at a word boundary
+function titleFromMessage(message) {
+    const line = message.trim().split('\n')[0].replace(/\s+/g, ' ');
+    if (line.length <= 60) return line;
+    const cut = line.slice(0, 60);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 30 ? cut.lastIndexOf(' ') : 60)}…`;
+}
+
+function validateConversationTitle(title) {
+    if (typeof title !== 'string' || !title.trim()) return 'Title is required';
+    if (title.trim().length > CONVERSATION_TITLE_MAX_LENGTH) return `Title must be at most ${CONVERSATION_TITLE_MAX_LENGTH} characters`;
+    return null;
+}
+
+function serializeConversation(conversation) {
+    return {
+        id: conversation._id,
+        title: conversation.title,
+        messageCount: conversation.messageCount,
+        lastMessageAt: conversation.lastMessageAt || null,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+    };
+}
+
+function serializeMessage(message) {
+    return {
+        id: message._id,
+        role: message.role,
+        text: message.text,
+        ...(message.modelUsed && { modelUsed: message.modelUsed }),
+        createdAt: message.createdAt,
+    };
+}
+
+async function findOwnConversation(req) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return Conversation.findOne({ _id: req.params.id, userId: req.user.userId });
+}
+
+// Latest CHAT_HISTORY_LIMIT messages, oldest first, trimmed so the history starts with a user turn
+async function loadConversationHistory(conversationId) {
+    const messages = await Message.find({ conversationId }).sort({ createdAt: -1, _id: -1 }).limit(CHAT_HISTORY_LIMIT).lean();
+    messages.reverse();
+    while (messages.length > 0 && messages[0].role !== 'user') messages.shift();
+    return messages.map(message => ({ role: message.role, text: message.text }));
+}
+
+app.post('/api/conversations', authMiddleware, requireVerifiedEmail('chat'), async (req, res) => {
+    try {
+        const { title } = req.body || {};
+        if (title !== undefined) {
+            const titleError = validateConversationTitle(title);
+            if (titleError) return res.status(400).json({ error: titleError });
+        }
+
+        const conversation = await Conversation.create({
+            userId: req.user.userId,
+            ...(title !== undefined && { title: title.trim(), titleIsCustom: true }),
+        });
+        res.status(201).json({ conversation: serializeConversation(conversation) });
+    } catch (error) {
+        console.error('Error creating conversation:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/conversations', authMiddleware, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const query = { userId: req.user.userId };
+
+        const [conversations, total] = await Promise.all([
+            Conversation.find(query).sort({ updatedAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit),
+            Conversation.countDocuments(query),
+        ]);
+
+        res.json({
+            conversations: conversations.map(serializeConversation),
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Error listing conversations:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.get('/api/conversations/:id', authMiddleware, async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+        const messages = await Message.find({ conversationId: conversation._id }).sort({ createdAt: 1, _id: 1 });
+        res.json({ conversation: serializeConversation(conversation), messages: messages.map(serializeMessage) });
+    } catch (error) {
+        console.error('Error fetching conversation:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.patch('/api/conversations/:id', authMiddleware, async (req, res) => {
+    try {
+        const titleError = validateConversationTitle(req.body?.title);
+        if (titleError) return res.status(400).json({ error: titleError });
+
+        const conversation = await findOwnConversation(req);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+        conversation.title = req.body.title.trim();
+        conversation.titleIsCustom = true;
+        conversation.updatedAt = new Date();
+        await conversation.save();
+
+        res.json({ message: 'Conversation renamed', conversation: serializeConversation(conversation) });
+    } catch (error) {
+        console.error('Error renaming conversation:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+app.delete('/api/conversations/:id', authMiddleware, async (req, res) => {
+    try {
+        const conversation = await findOwnConversation(req);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+        await Message.deleteMany({ conversationId: conversation._id });
+        await conversation.deleteOne();
+
+        res.json({ message: 'Conversation deleted' });
+    } catch (error) {
+        console.error('Error deleting conversation:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Sends a message in a saved conversation; the server supplies the history to the model.
+// Both turns are stored only once the model has replied, so a failed request leaves no orphan message.
+app.post('/api/conversations/:id/messages', authMiddleware, requireVerifiedEmail('chat'), enforceAiQuota, async (req, res) => {
+    try {
+        const { message, systemPrompt } = req.body || {};
+        const messageError = validateChatMessage(message);
+        if (messageError) return res.status(400).json({ error: messageError });
+
+        const conversation = await findOwnConversation(req);
+        if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+
+        const aiConfigurationError = aiProvider.configurationError();
+        if (aiConfigurationError) return res.status(500).json({ error: aiConfigurationError });
+
+        const history = await loadConversationHistory(conversation._id);
+        const chatRequest = { message, history, systemPrompt, userId: req.user.userId, endpoint: 'conversation' };
+
+        // Stores both turns once the model has replied
+        const saveTurn = async (reply) => {
+            const sentAt = new Date();
+            const [userMessage, modelMessage] = await Message.insertMany([
+                { conversationId: conversation._id, userId: req.user.userId, role: 'user', text: message, createdAt: sentAt },
+                { conversationId: conversation._id, userId: req.user.userId, role: 'model', text: reply.text, modelUsed: reply.modelUsed, createdAt: new Date(sentAt.getTime() + 1) },
+            ]);
+
+            // Atomic updates, so concurrent sends neither lose a count nor both title the conversation:
+            // only the turn that still finds it empty (and not renamed) sets the title
+            const touched = { $inc: { messageCount: 2 }, $max: { lastMessageAt: modelMessage.createdAt, updatedAt: modelMessage.createdAt } };
+            const updated = await Conversation.findOneAndUpdate(
+                { _id: conversation._id, messageCount: 0, titleIsCustom: false },
+                { ...touched, $set: { title: titleFromMessage(message) } },
+                { new: true }
+            ) || await Conversation.findOneAndUpdate({ _id: conversation._id }, touched, { new: true });
+
+            return {
+                conversation: serializeConversation(updated || conversation),
+                message: serializeMessage(userMessage),
+                reply: serializeMessage(modelMessage),
+                modelUsed: reply.modelUsed
+            };
+        };
+
+        // A cancelled stream saves nothing
+        if (wantsEventStream(req)) {
+            return streamAiResponse(res, {
+                label: 'conversation message',
+                generate: (onChunk, signal) => generateChatReply({ ...chatRequest, onChunk, signal }),
+                finish: saveTurn,
+                describeError: describeChatError,
+            });
+        }
+
+        const reply = await generateChatReply(chatRequest);
+        const saved = await saveTurn(reply);
+        res.status(201).json({ ...saved, response: reply.text });
+    } catch (error) {
+        console.error('Error in POST /api/conversations/:id/messages:', error);
+        res.status(500).json({ error: describeChatError(error) });
+    }
+});
+
+// --- Job Applications ---
+app.post('/api/jobs/:id/apply', authMiddleware, requireVerifiedEmail('applications'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const job = await Job.findById(req.params.id);
+        if (!job || job.status !== 'active') {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const existingApplication = await Application.findOne({ jobId: job._id, userId: req.user.userId });
+        if (existingApplication) {
+            return res.status(400).json({ error: 'You have already applied to this job' });
+        }
+
+        const application = await Application.create({ jobId: job._id, userId: req.user.userId });
+        res.status(201).json({ message: 'Application submitted successfully', application });
+    } catch (error) {
+        console.error('Error applying to job:', error);
+        res.status(500).json({ error: 'Server error submitting application.' });
+    }
+});
+
+// --- Admin Panel API Routes ---
+
+// Admin Dashboard Stats
+app.get('/api/admin/stats', requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
+    try {
+        const totalUsers = await User.countDocuments();
+        const totalJobs = await Job.countDocuments();
+        const totalCompanies = await Company.countDocuments();
+        const totalApplications = await Application.countDocuments();
+        
+        // Additional stats
+        const activeUsers = await User.countDocuments({ isActive: true });
+        const adminUsers = await User.countDocuments({ role: { $in: ROLES.filter(isAdministrativeRole) } });
+        const recentUsers = await User.countDocuments({ 
+            createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } 
+        });
+        const profileCompleteness = await getProfileCompletenessStats();
+        
+        res.json({ 
+            totalUsers, 
+            totalJobs, 
+            totalCompanies, 
+            totalApplications,
+            activeUsers,
+            adminUsers,
+            recentUsers,
+            profileCompleteness
+        });
+    } catch (error) {
+        console.error('Error fetching admin stats:', error);
+        res.status(500).json({ error: 'Server error fetching stats.' });
+    }
+});
+
+// Onboarding funnel over regular users, aggregated from the completeness stored at profile save
+const COMPLETENESS_BUCKETS = { 0: '0-24', 25: '25-49', 50: '50-74', 75: '75-99', 100: '100' };
+
+async function getProfileCompletenessStats() {
+    // Users who never saved a profile have nothing stored and count as an empty profile
+    const empty = storedCompleteness({});
+    const [result] = await User.aggregate([
+        { $match: { role: 'user' } },
+        {
+            $project: {
+                score: { $ifNull: ['$completeness.score', empty.score] },
+                sections: { $ifNull: ['$completeness.sections', { $literal: empty.sections }] },
+                missing: { $ifNull: ['$completeness.missing', { $literal: empty.missing }] },
+            },
+        },
+        {
+            $facet: {
+                summary: [{
+                    $group: {
+                        _id: null,
+                        users: { $sum: 1 },
+                        averageScore: { $avg: '$score' },
+                        ...Object.fromEntries(PROFILE_COMPLETENESS_SECTIONS.map(section => [section.name, { $avg: `$sections.${section.name}` }])),
+                    },
+                }],
+                distribution: [{ $bucket: { groupBy: '$score', boundaries: [0, 25, 50, 75, 100, 101] } }],
+                missingFields: [
+                    { $unwind: '$missing' },
+                    { $group: { _id: '$missing', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: 5 },
+                ],
+            },
+        },
+    ]);
+
+    const summary = result.summary[0] || { users: 0 };
+    const distribution = Object.fromEntries(Object.values(COMPLETENESS_BUCKETS).map(label => [label, 0]));
+    for (const bucket of result.distribution) distribution[COMPLETENESS_BUCKETS[bucket._id]] = bucket.count;
+
+    return {
+        users: summary.users,
+        averageScore: Math.round(summary.averageScore || 0),
+        distribution,
+        sectionAverages: Object.fromEntries(PROFILE_COMPLETENESS_SECTIONS.map(section => [section.name, Math.round(summary[section.name] || 0)])),
+        topMissingFields: result.missingFields.map(({ _id, count }) => ({ field: _id, count })),
+    };
+}
+
+// Get available roles and their permissions (for role pickers in the admin panel)
+app.get('/api/admin/roles', requirePermission(PERMISSIONS.USERS_READ), (req, res) => {
+    res.json({
+        roles: ROLES.map(role => ({ role, permissions: getPermissions(role) })),
+        permissions: Object.values(PERMISSIONS)
+    });
+});
+
+// User Management
+app.get('/api/admin/users', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, search = '', role = '' } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        
+        let query = {};
+        if (search) {
+            query.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { email: { $regex: search, $options: 'i' } }
+            ];
+        }
+        if (role && role !== 'all') {
+            query.role = role;
+        }
+        
+        const users = await User.find(query)
+            .select('-password')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+            
+        const total = await User.countDocuments(query);
+        
+        res.json({
+            users,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({ error: 'Server error fetching users.' });
+    }
+});
+
+// Get single user
+app.get('/api/admin/users/:id', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id)
+            .select('-password')
+            .populate('suspension.suspendedBy', 'name email');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user);
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({ error: 'Server error fetching user.' });
+    }
+});
 
-📈 **Professional Development**
-- Skills assessment and development recommendations
-- Certification and training programs
-- Leadership and management guidance
+// Create new admin user
+app.post('/api/admin/users', requirePermission(PERMISSIONS.USERS_WRITE), async (req, res) => {
+    try {
+        const { name, email, password, role = 'user' } = req.body;
+        
+        if (!name || !email || !password) {
+            return res.status(400).json({ error: 'Name, email, and password are required' });
+        }
+        
+        // Check if user already exists
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({ error: 'User with this email already exists' });
+        }
+        
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+        // Creating anything other than a regular user is a role assignment
+        if (role !== 'user' && !hasPermission(req.user.role, PERMISSIONS.ROLES_ASSIGN)) {
+            return res.status(403).json({ error: 'You do not have permission to create users with this role' });
+        }
+        // Granting an administrative role needs the same permission as managing one
+        if (!canManageUser(req.user.role, role)) {
+            return res.status(403).json({ error: 'You do not have permission to assign admin roles' });
+        }
+        
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const newUser = new User({
+            name,
+            email,
+            password: hashedPassword,
+            role,
+            isActive: true
+        });
+        
+        await newUser.save();
 
-💰 **Career Advancement**
-- Salary negotiation strategies
-- Promotion and advancement tactics
-- Career transition and pivot guidance
+        try {
+            await sendVerificationEmail(newUser);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError);
+        }
+        
+        // Return user without password
+        const userResponse = newUser.toObject();
+        delete userResponse.password;
+        
+        res.status(201).json({
+            message: 'User created successfully',
+            user: userResponse
+        });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({ error: 'Server error creating user.' });
+    }
+});
+
+// Update user
+app.put('/api/admin/users/:id', requirePermission(PERMISSIONS.USERS_WRITE), async (req, res) => {
+    try {
+        const { name, email, role, isActive, suspensionReason, suspendedUntil } = req.body;
+        const userId = req.params.id;
+        
+        const targetUser = await User.findById(userId);
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (!canManageUser(req.user.role, targetUser.role)) {
+            return res.status(403).json({ error: 'You do not have permission to modify admin users' });
+        }
+        if (role && !ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+        
+        const updateData = {};
+        if (name) updateData.name = name;
+        const emailChanged = Boolean(email) && email !== targetUser.email;
+        if (emailChanged) {
+            const existingUser = await User.findOne({ email });
+            if (existingUser) {
+                return res.status(400).json({ error: 'User with this email already exists' });
+            }
+            // A new address has to be verified again
+            updateData.email = email;
+            updateData.emailVerified = false;
+            updateData.emailVerifiedAt = null;
+        }
+        if (role && hasPermission(req.user.role, PERMISSIONS.ROLES_ASSIGN)) {
+            if (!canManageUser(req.user.role, role)) {
+                return res.status(403).json({ error: 'You do not have permission to assign admin roles' });
+            }
+            updateData.role = role;
+        }
+        const suspending = isActive === false && targetUser.isActive !== false;
+        if (suspending) {
+            if (userId === req.user.userId) {
+                return res.status(400).json({ error: 'Cannot suspend your own account' });
+            }
+            const { suspension, error } = buildSuspension({ reason: suspensionReason, suspendedUntil }, req.user.userId);
+            if (error) return res.status(400).json({ error });
+            updateData.isActive = false;
+            updateData.suspension = suspension;
+        } else if (isActive === true) {
+            updateData.isActive = true;
+            updateData.$unset = { suspension: 1 };
+        }
+        updateData.updatedAt = new Date();
+        
+        const updatedUser = await User.findByIdAndUpdate(
+            userId,
+            updateData,
+            { new: true }
+        ).select('-password');
+
+        if (suspending) await revokeAllSessions(userId, 'account_suspended');
+
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(updatedUser);
+            } catch (mailError) {
+                console.error('Failed to send verification email:', mailError);
+            }
+        }
+        
+        res.json({
+            message: 'User updated successfully',
+            user: updatedUser
+        });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Server error updating user.' });
+    }
+});
+
+// Suspend user (optionally until a given date)
+app.post('/api/admin/users/:id/suspend', requirePermission(PERMISSIONS.USERS_WRITE), async (req, res) => {
+    try {
+        const { reason, suspendedUntil } = req.body || {};
+        const userId = req.params.id;
+
+        if (userId === req.user.userId) {
+            return res.status(400).json({ error: 'Cannot suspend your own account' });
+        }
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ error: 'A suspension reason is required' });
+        }
+
+        const targetUser = await User.findById(userId);
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req.user.role, targetUser.role)) {
+            return res.status(403).json({ error: 'You do not have permission to suspend admin users' });
+        }
+
+        const { suspension, error } = buildSuspension({ reason, suspendedUntil }, req.user.userId);
+        if (error) return res.status(400).json({ error });
+
+        const updatedUser = await User.findByIdAndUpdate(
+            userId,
+            { isActive: false, suspension, updatedAt: new Date() },
+            { new: true }
+        ).select('-password').populate('suspension.suspendedBy', 'name email');
+
+        await revokeAllSessions(userId, 'account_suspended');
+
+        res.json({ message: 'User suspended successfully', user: updatedUser });
+    } catch (error) {
+        console.error('Error suspending user:', error);
+        res.status(500).json({ error: 'Server error suspending user.' });
+    }
+});
+
+// Lift a suspension
+app.post('/api/admin/users/:id/reactivate', requirePermission(PERMISSIONS.USERS_WRITE), async (req, res) => {
+    try {
+        const targetUser = await User.findById(req.params.id);
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req.user.role, targetUser.role)) {
+            return res.status(403).json({ error: 'You do not have permission to reactivate admin users' });
+        }
+
+        const updatedUser = await User.findByIdAndUpdate(
+            req.params.id,
+            { isActive: true, $unset: { suspension: 1 }, updatedAt: new Date() },
+            { new: true }
+        ).select('-password');
+
+        res.json({ message: 'User reactivated successfully', user: updatedUser });
+    } catch (error) {
+        console.error('Error reactivating user:', error);
+        res.status(500).json({ error: 'Server error reactivating user.' });
+    }
+});
+
+// Reset a user's two-factor enrollment (lost authenticator and recovery codes)
+app.delete('/api/admin/users/:id/two-factor', requirePermission(PERMISSIONS.SECURITY_MANAGE), async (req, res) => {
+    try {
+        const targetUser = await User.findById(req.params.id);
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req.user.role, targetUser.role)) {
+            return res.status(403).json({ error: 'You do not have permission to reset two-factor for admin users' });
+        }
+
+        await User.updateOne({ _id: targetUser._id }, { $set: { twoFactor: { enabled: false }, updatedAt: new Date() } });
+        await revokeAllSessions(targetUser._id, 'two_factor_reset');
+
+        console.log(`[Auth] Two-factor reset for ${targetUser.email} by ${req.user.email}`);
+        res.json({ message: 'Two-factor authentication reset. The user must enroll again.' });
+    } catch (error) {
+        console.error('Error resetting two-factor:', error);
+        res.status(500).json({ error: 'Server error resetting two-factor.' });
+    }
+});
+
+// Login lockouts and throttled IPs
+app.get('/api/admin/lockouts', requirePermission(PERMISSIONS.SECURITY_MANAGE), async (req, res) => {
+    try {
+        const now = new Date();
+        const records = await loginAttemptStore.list();
+        const lockouts = records
+            .filter(record => (req.query.all === 'true')
+                || (record.lockedUntil && new Date(record.lockedUntil) > now)
+                || (record.nextAttemptAt && new Date(record.nextAttemptAt) > now))
+            .map(record => ({
+                type: record.type,
+                value: record.value,
+                failures: record.failures,
+                firstFailureAt: record.firstFailureAt,
+                lastFailureAt: record.lastFailureAt,
+                nextAttemptAt: record.nextAttemptAt || null,
+                lockedUntil: record.lockedUntil || null,
+                locked: Boolean(record.lockedUntil && new Date(record.lockedUntil) > now),
+            }));
+
+        res.json({ lockouts });
+    } catch (error) {
+        console.error('Error fetching lockouts:', error);
+        res.status(500).json({ error: 'Server error fetching lockouts.' });
+    }
+});
+
+app.delete('/api/admin/lockouts/:type/:value', requirePermission(PERMISSIONS.SECURITY_MANAGE), async (req, res) => {
+    try {
+        const { type, value } = req.params;
+        if (!['account', 'user', 'ip'].includes(type)) {
+            return res.status(400).json({ error: 'Lockout type must be "account", "user" or "ip"' });
+        }
+
+        const cleared = await loginAttemptStore.reset(loginAttemptKey(type, value));
+        if (!cleared) return res.status(404).json({ error: 'Lockout not found' });
+
+        console.log(`[Auth] ${type} lockout for ${value} cleared by ${req.user.email}`);
+        res.json({ message: 'Lockout cleared successfully' });
+    } catch (error) {
+        console.error('Error clearing lockout:', error);
+        res.status(500).json({ error: 'Server error clearing lockout.' });
+    }
+});
+
+// Delete user
+app.delete('/api/admin/users/:id', requirePermission(PERMISSIONS.USERS_DELETE), async (req, res) => {
+    try {
+        const userId = req.params.id;
+        
+        // Prevent self-deletion
+        if (userId === req.user.userId) {
+            return res.status(400).json({ error: 'Cannot delete your own account' });
+        }
+        
+        const targetUser = await User.findById(userId);
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (!canManageUser(req.user.role, targetUser.role)) {
+            return res.status(403).json({ error: 'You do not have permission to delete admin users' });
+        }
+        
+        await deleteUserData(userId);
+        
+        res.json({ message: 'User deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ error: 'Server error deleting user.' });
+    }
+});
+
+// Skills Taxonomy Management
+app.get('/api/admin/skills', requirePermission(PERMISSIONS.SKILLS_MANAGE), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, search = '', category = '', type = '' } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        let query = {};
+        if (search) query.keys = { $regex: normalizeSkillKey(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+        if (category) query.category = category;
+        if (type) query.type = type;
+
+        const skills = await Skill.find(query)
+            .sort({ name: 1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Skill.countDocuments(query);
+
+        res.json({
+            skills,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching skills:', error);
+        res.status(500).json({ error: 'Server error fetching skills.' });
+    }
+});
+
+// Skills users have entered that the taxonomy doesn't know yet, most common first
+app.get('/api/admin/skills/unmatched', requirePermission(PERMISSIONS.SKILLS_MANAGE), async (req, res) => {
+    try {
+        const { byKey } = await getSkillIndex();
+        const counts = await User.aggregate([
+            { $unwind: '$profile.skills' },
+            { $group: { _id: '$profile.skills', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 1000 }
+        ]);
+        const unmatched = counts
+            .filter(({ _id }) => typeof _id === 'string' && !byKey.has(normalizeSkillKey(_id)))
+            .slice(0, Math.min(parseInt(req.query.limit, 10) || 50, 200))
+            .map(({ _id, count }) => ({ skill: _id, users: count }));
+
+        res.json({ unmatched });
+    } catch (error) {
+        console.error('Error fetching unmatched skills:', error);
+        res.status(500).json({ error: 'Server error fetching unmatched skills.' });
+    }
+});
+
+app.post('/api/admin/skills', requirePermission(PERMISSIONS.SKILLS_MANAGE), async (req, res) => {
+    try {
+        const { value, error } = validateSkillInput(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const keys = skillKeys(value.name, value.synonyms);
+        const conflict = await Skill.findOne({ keys: { $in: keys } });
+        if (conflict) {
+            return res.status(409).json({ error: `Name or synonym already belongs to "${conflict.name}"` });
+        }
 
-🎓 **Education & Training**
-- Educational pathway recommendations
-- Professional certifications and courses
-- Skill-building resources and programs
+        const skill = await Skill.create({ ...value, keys, source: 'admin' });
+        invalidateSkillIndex();
 
-Whether you're just starting your career, looking to make a change, or aiming for advancement, I'm here to provide detailed, actionable guidance tailored to your unique situation.
+        res.status(201).json({ message: 'Skill created successfully', skill });
+    } catch (error) {
+        console.error('Error creating skill:', error);
+        res.status(500).json({ error: 'Server error creating skill.' });
+    }
+});
 
-What specific aspect of your career journey would you like to explore today?`,
-                modelUsed: PRIMARY_MODEL 
-            });
+app.put('/api/admin/skills/:id', requirePermission(PERMISSIONS.SKILLS_MANAGE), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Skill not found' });
         }
+        const skill = await Skill.findById(req.params.id);
+        if (!skill) return res.status(404).json({ error: 'Skill not found' });
 
-        console.log(`[AI] Using model: ${PRIMARY_MODEL}`);
-        const model = genAI.getGenerativeModel({ model: PRIMARY_MODEL });
+        const { value, error } = validateSkillInput({ synonyms: skill.synonyms, related: skill.related, ...req.body }, skill._id);
+        if (error) return res.status(400).json({ error });
 
-        // Get user profile for personalized recommendations
-        let userProfile = null;
-        if (req.user && req.user.userId) {
-            try {
-                const user = await User.findById(req.user.userId).select('profile profileComplete');
-                userProfile = user?.profile;
-                
-                if (userProfile) {
-                    console.log(`[AI] Using user profile for personalization:`, {
-                        complete: user.profileComplete,
-                        education: userProfile.educationLevel,
-                        field: userProfile.fieldOfStudy,
-                        status: userProfile.currentStatus,
-                        skillsCount: userProfile.skills?.length || 0,
-                        interestsCount: userProfile.interests?.length || 0
-                    });
-                } else {
-                    console.log('[AI] No user profile found, using generic recommendations');
-                }
-            } catch (error) {
-                console.log('Could not fetch user profile for personalization:', error.message);
-            }
-        } else {
-            console.log('[AI] No authenticated user, using generic recommendations');
+        const name = value.name || skill.name;
+        const keys = skillKeys(name, value.synonyms);
+        const conflict = await Skill.findOne({ _id: { $ne: skill._id }, keys: { $in: keys } });
+        if (conflict) {
+            return res.status(409).json({ error: `Name or synonym already belongs to "${conflict.name}"` });
         }
 
-        // Generate enhanced career-focused prompt
-        let fullPrompt = message;
-        if (systemPrompt) {
-            fullPrompt = `${generateEnhancedCareerPrompt(message, userProfile)}\n\nAdditional Context: ${systemPrompt}`;
-        } else {
-            fullPrompt = generateEnhancedCareerPrompt(message, userProfile);
+        skill.name = name;
+        skill.synonyms = value.synonyms;
+        skill.related = value.related;
+        if (value.category !== undefined) skill.category = value.category;
+        if (value.type !== undefined) skill.type = value.type;
+        skill.keys = keys;
+        skill.updatedAt = new Date();
+        await skill.save();
+        invalidateSkillIndex();
+
+        res.json({ message: 'Skill updated successfully', skill });
+    } catch (error) {
+        console.error('Error updating skill:', error);
+        res.status(500).json({ error: 'Server error updating skill.' });
+    }
+});
+
+app.delete('/api/admin/skills/:id', requirePermission(PERMISSIONS.SKILLS_MANAGE), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Skill not found' });
         }
-        
-        if (expectJson) {
-            fullPrompt = `You are a strict JSON generator for career recommendations. Reply with ONLY valid minified JSON matching the request. No prose, no markdown, no code fences.\n\n${fullPrompt}`;
-        }
-
-        // For chat with history, use the chat session
-        if (Array.isArray(history) && history.length > 0) {
-            // Filter and validate chat history
-            const validHistory = history
-                .filter(msg => msg && msg.sender && msg.text) // Remove invalid messages
-                .map(msg => ({
-                    role: msg.sender === 'user' ? 'user' : 'model',
-                    parts: [{ text: msg.text }]
-                }));
-            
-            // Ensure the first message is from user (Gemini requirement)
-            if (validHistory.length > 0 && validHistory[0].role !== 'user') {
-                console.warn('[AI] First message in history is not from user, using generateContent instead');
-                // Fall back to generateContent if history doesn't start with user
-                const result = await generateContentWithFallback(fullPrompt);
-                const text = result.text;
-                
-                let json = null;
-                if (expectJson) {
-                    json = extractJsonSnippet(text);
-                    if (!json) {
-                        console.warn(`[AI] Failed to parse JSON from model response: ${text}`);
-                    }
-                }
+        const skill = await Skill.findByIdAndDelete(req.params.id);
+        if (!skill) return res.status(404).json({ error: 'Skill not found' });
+        invalidateSkillIndex();
 
-                return res.json({ response: text, modelUsed: result.modelUsed, json });
-            }
-            
-            // Try chat history with fallback models
-            const modelsToTry = [PRIMARY_MODEL, ...FALLBACK_MODELS.filter(m => m !== PRIMARY_MODEL)];
-            let chatSuccess = false;
-            let chatResult = null;
-            
-            for (const modelName of modelsToTry) {
-                try {
-                    console.log(`[AI] Attempting chat history with model: ${modelName}`);
-                    const model = genAI.getGenerativeModel({ model: modelName });
-                    const chat = model.startChat({ history: validHistory });
-                    const result = await chat.sendMessage(fullPrompt);
-                    const text = result.response.text();
-                    
-                    chatResult = { text, modelUsed: modelName };
-                    chatSuccess = true;
-                    break;
-                } catch (error) {
-                    console.log(`[AI] Chat history failed with ${modelName}: ${error.message}`);
-                    if (error.status === 503 || error.status === 429) {
-                        continue; // Try next model
-                    }
-                    break; // For other errors, fall back to generateContent
-                }
-            }
-            
-            if (chatSuccess) {
-                let json = null;
-                if (expectJson) {
-                    json = extractJsonSnippet(chatResult.text);
-                    if (!json) {
-                        console.warn(`[AI] Failed to parse JSON from model response: ${chatResult.text}`);
-                    }
-                }
+        res.json({ message: 'Skill deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting skill:', error);
+        res.status(500).json({ error: 'Server error deleting skill.' });
+    }
+});
 
-                return res.json({ response: chatResult.text, modelUsed: chatResult.modelUsed, json });
-            }
-            
-            // If chat history failed, fall back to generateContent
-            console.warn('[AI] Chat history failed with all models, falling back to generateContent');
-            const result = await generateContentWithFallback(fullPrompt);
-            const text = result.text;
-            
-            let json = null;
-            if (expectJson) {
-                json = extractJsonSnippet(text);
-                if (!json) {
-                    console.warn(`[AI] Failed to parse JSON from model response: ${text}`);
-                }
-            }
+// Chat Topic Classifier Management
+app.get('/api/admin/topic-terms', requirePermission(PERMISSIONS.TOPICS_MANAGE), async (req, res) => {
+    try {
+        const { page = 1, limit = 50, search = '', polarity = '' } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
 
-            return res.json({ response: text, modelUsed: result.modelUsed, json });
-        } else {
-            // For single message, use generateContent
-            const result = await generateContentWithFallback(fullPrompt);
-            const text = result.text;
-            
-            let json = null;
-            if (expectJson) {
-                json = extractJsonSnippet(text);
-                if (!json) {
-                    console.warn(`[AI] Failed to parse JSON from model response: ${text}`);
-                }
+        await seedTopicTerms();
+        let query = {};
+        if (search) query.term = { $regex: normalizeTopicTerm(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+        if (polarity === 'positive') query.weight = { $gt: 0 };
+        if (polarity === 'negative') query.weight = { $lt: 0 };
+
+        const terms = await TopicTerm.find(query)
+            .sort({ weight: -1, term: 1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await TopicTerm.countDocuments(query);
+
+        res.json({
+            terms,
+            threshold: TOPIC_SCORE_THRESHOLD,
+            borderlineMargin: TOPIC_BORDERLINE_MARGIN,
+            secondOpinion: TOPIC_LLM_CHECK,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
             }
+        });
+    } catch (error) {
+        console.error('Error fetching topic terms:', error);
+        res.status(500).json({ error: 'Server error fetching topic terms.' });
+    }
+});
+
+app.post('/api/admin/topic-terms', requirePermission(PERMISSIONS.TOPICS_MANAGE), async (req, res) => {
+    try {
+        const { value, error } = validateTopicTermInput(req.body);
+        if (error) return res.status(400).json({ error });
 
-            return res.json({ response: text, modelUsed: result.modelUsed, json });
+        // Seed first, otherwise the first admin term would stop the defaults from ever loading
+        await seedTopicTerms();
+        if (await TopicTerm.exists({ term: value.term })) {
+            return res.status(409).json({ error: `"${value.term}" is already in the term list` });
         }
 
+        const term = await TopicTerm.create({ ...value, source: 'admin' });
+        invalidateTopicTerms();
+
+        res.status(201).json({ message: 'Topic term created successfully', term });
     } catch (error) {
-        console.error(`Error in /api/chat:`, error);
-        
-        // Provide more specific error messages
-        let errorMessage = 'Failed to get response from AI. Please try again in a moment.';
-        if (error.message?.includes('API_KEY')) {
-            errorMessage = 'Invalid API key. Please check your Gemini API key configuration.';
-        } else if (error.message?.includes('quota') || error.status === 429) {
-            errorMessage = 'API quota exceeded. Please try again later.';
-        } else if (error.message?.includes('overloaded') || error.status === 503) {
-            errorMessage = 'AI service is temporarily overloaded. Please try again in a few moments.';
-        } else if (error.message?.includes('model')) {
-            errorMessage = 'AI model configuration issue. Please try again.';
-        } else if (error.message?.includes('All models failed')) {
-            errorMessage = 'All AI models are currently unavailable. Please try again later.';
-        }
-        
-        res.status(500).json({ error: errorMessage });
+        console.error('Error creating topic term:', error);
+        res.status(500).json({ error: 'Server error creating topic term.' });
     }
 });
 
+app.put('/api/admin/topic-terms/:id', requirePermission(PERMISSIONS.TOPICS_MANAGE), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Topic term not found' });
+        }
+        const term = await TopicTerm.findById(req.params.id);
+        if (!term) return res.status(404).json({ error: 'Topic term not found' });
 
-// --- Admin Panel API Routes ---
+        const { value, error } = validateTopicTermInput(req.body, true);
+        if (error) return res.status(400).json({ error });
 
-// Admin Dashboard Stats
-app.get('/api/admin/stats', adminMiddleware, async (req, res) => {
+        if (value.term !== undefined && value.term !== term.term && await TopicTerm.exists({ term: value.term })) {
+            return res.status(409).json({ error: `"${value.term}" is already in the term list` });
+        }
+
+        if (value.term !== undefined) term.term = value.term;
+        if (value.weight !== undefined) term.weight = value.weight;
+        term.updatedAt = new Date();
+        await term.save();
+        invalidateTopicTerms();
+
+        res.json({ message: 'Topic term updated successfully', term });
+    } catch (error) {
+        console.error('Error updating topic term:', error);
+        res.status(500).json({ error: 'Server error updating topic term.' });
+    }
+});
+
+app.delete('/api/admin/topic-terms/:id', requirePermission(PERMISSIONS.TOPICS_MANAGE), async (req, res) => {
     try {
-        const totalUsers = await User.countDocuments();
-        const totalJobs = await Job.countDocuments();
-        const totalCompanies = await Company.countDocuments();
-        const totalApplications = await Application.countDocuments();
-        
-        // Additional stats
-        const activeUsers = await User.countDocuments({ isActive: true });
-        const adminUsers = await User.countDocuments({ role: { $in: ['admin', 'superadmin'] } });
-        const recentUsers = await User.countDocuments({ 
-            createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } 
-        });
-        
-        res.json({ 
-            totalUsers, 
-            totalJobs, 
-            totalCompanies, 
-            totalApplications,
-            activeUsers,
-            adminUsers,
-            recentUsers
-        });
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Topic term not found' });
+        }
+        const term = await TopicTerm.findByIdAndDelete(req.params.id);
+        if (!term) return res.status(404).json({ error: 'Topic term not found' });
+        invalidateTopicTerms();
+
+        res.json({ message: 'Topic term deleted successfully' });
     } catch (error) {
-        console.error('Error fetching admin stats:', error);
-        res.status(500).json({ error: 'Server error fetching stats.' });
+        console.error('Error deleting topic term:', error);
+        res.status(500).json({ error: 'Server error deleting topic term.' });
     }
 });
 
-// User Management
-app.get('/api/admin/users', adminMiddleware, async (req, res) => {
+// Messages the classifier turned away, newest first
+app.get('/api/admin/topic-classifier/rejections', requirePermission(PERMISSIONS.TOPICS_MANAGE), async (req, res) => {
     try {
-        const { page = 1, limit = 10, search = '', role = '' } = req.query;
+        const { page = 1, limit = 50 } = req.query;
         const skip = (parseInt(page) - 1) * parseInt(limit);
-        
-        let query = {};
-        if (search) {
-            query.$or = [
-                { name: { $regex: search, $options: 'i' } },
-                { email: { $regex: search, $options: 'i' } }
-            ];
-        }
-        if (role && role !== 'all') {
-            query.role = role;
-        }
-        
-        const users = await User.find(query)
-            .select('-password')
+
+        const rejections = await RejectedQuery.find()
+            .select('-__v -expiresAt')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit));
-            
-        const total = await User.countDocuments(query);
-        
+
+        const total = await RejectedQuery.countDocuments();
+
         res.json({
-            users,
+            rejections,
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -1026,142 +7038,181 @@ app.get('/api/admin/users', adminMiddleware, async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Error fetching users:', error);
-        res.status(500).json({ error: 'Server error fetching users.' });
+        console.error('Error fetching rejected queries:', error);
+        res.status(500).json({ error: 'Server error fetching rejected queries.' });
     }
 });
 
-// Get single user
-app.get('/api/admin/users/:id', adminMiddleware, async (req, res) => {
+// Scores the labelled samples in TOPIC_SAMPLES_FILE. ?threshold= tries a different threshold,
+// ?secondOpinion=true includes the AI check for borderline samples (one model call each).
+app.get('/api/admin/topic-classifier/evaluate', requirePermission(PERMISSIONS.TOPICS_MANAGE), async (req, res) => {
     try {
-        const user = await User.findById(req.params.id).select('-password');
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : TOPIC_SCORE_THRESHOLD;
+        if (!Number.isFinite(threshold)) return res.status(400).json({ error: 'threshold must be a number' });
+
+        const secondOpinion = req.query.secondOpinion === 'true';
+        if (secondOpinion) {
+            const aiConfigurationError = aiProvider.configurationError();
+            if (aiConfigurationError) return res.status(500).json({ error: aiConfigurationError });
         }
-        res.json(user);
+
+        let samples;
+        try {
+            samples = await loadTopicSamples();
+        } catch (err) {
+            console.error(`[Topic] Could not read ${TOPIC_SAMPLES_FILE}: ${err.message}`);
+            return res.status(500).json({ error: 'Could not read the labelled sample file.' });
+        }
+
+        res.json(await evaluateTopicClassifier(samples, { threshold, secondOpinion, meter: { userId: req.user.userId, endpoint: 'topicEvaluation' } }));
     } catch (error) {
-        console.error('Error fetching user:', error);
-        res.status(500).json({ error: 'Server error fetching user.' });
+        console.error('Error evaluating topic classifier:', error);
+        res.status(500).json({ error: 'Server error evaluating topic classifier.' });
     }
 });
 
-// Create new admin user
-app.post('/api/admin/users', adminMiddleware, async (req, res) => {
+// AI Response Cache
+app.get('/api/admin/ai-cache', requirePermission(PERMISSIONS.AI_MANAGE), async (req, res) => {
     try {
-        const { name, email, password, role = 'user' } = req.body;
-        
-        if (!name || !email || !password) {
-            return res.status(400).json({ error: 'Name, email, and password are required' });
-        }
-        
-        // Check if user already exists
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.status(400).json({ error: 'User with this email already exists' });
-        }
-        
-        // Only superadmin can create admin users
-        if (role === 'admin' || role === 'superadmin') {
-            if (req.user.role !== 'superadmin') {
-                return res.status(403).json({ error: 'Only superadmin can create admin users' });
+        const { page = 1, limit = 50, endpoint = '' } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const { entries, total } = aiCacheStore
+            ? await aiCacheStore.list({ endpoint, skip, limit: parseInt(limit) })
+            : { entries: [], total: 0 };
+
+        res.json({
+            store: aiCacheStore ? aiCacheStore.name : 'off',
+            ttlSeconds: AI_CACHE_TTL_SECONDS,
+            // Answers can be long; GET /api/admin/ai-cache/:key returns the full text
+            entries: entries.map(({ text, ...entry }) => ({ ...entry, preview: text.slice(0, 200) })),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
             }
-        }
-        
-        const hashedPassword = await bcrypt.hash(password, 10);
-        const newUser = new User({
-            name,
-            email,
-            password: hashedPassword,
-            role,
-            isActive: true
-        });
-        
-        await newUser.save();
-        
-        // Return user without password
-        const userResponse = newUser.toObject();
-        delete userResponse.password;
-        
-        res.status(201).json({
-            message: 'User created successfully',
-            user: userResponse
         });
     } catch (error) {
-        console.error('Error creating user:', error);
-        res.status(500).json({ error: 'Server error creating user.' });
+        console.error('Error fetching AI cache entries:', error);
+        res.status(500).json({ error: 'Server error fetching AI cache entries.' });
     }
 });
 
-// Update user
-app.put('/api/admin/users/:id', adminMiddleware, async (req, res) => {
+app.get('/api/admin/ai-cache/:key', requirePermission(PERMISSIONS.AI_MANAGE), async (req, res) => {
     try {
-        const { name, email, role, isActive } = req.body;
-        const userId = req.params.id;
-        
-        // Only superadmin can modify admin users
-        const targetUser = await User.findById(userId);
-        if (!targetUser) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-        
-        if ((targetUser.role === 'admin' || targetUser.role === 'superadmin') && req.user.role !== 'superadmin') {
-            return res.status(403).json({ error: 'Only superadmin can modify admin users' });
-        }
-        
-        const updateData = {};
-        if (name) updateData.name = name;
-        if (email) updateData.email = email;
-        if (role && req.user.role === 'superadmin') updateData.role = role;
-        if (typeof isActive === 'boolean') updateData.isActive = isActive;
-        updateData.updatedAt = new Date();
-        
-        const updatedUser = await User.findByIdAndUpdate(
-            userId,
-            updateData,
-            { new: true }
-        ).select('-password');
-        
-        res.json({
-            message: 'User updated successfully',
-            user: updatedUser
-        });
+        const entry = aiCacheStore ? await aiCacheStore.peek(req.params.key) : null;
+        if (!entry) return res.status(404).json({ error: 'Cache entry not found' });
+        res.json({ entry });
     } catch (error) {
-        console.error('Error updating user:', error);
-        res.status(500).json({ error: 'Server error updating user.' });
+        console.error('Error fetching AI cache entry:', error);
+        res.status(500).json({ error: 'Server error fetching AI cache entry.' });
     }
 });
 
-// Delete user
-app.delete('/api/admin/users/:id', adminMiddleware, async (req, res) => {
+app.delete('/api/admin/ai-cache/:key', requirePermission(PERMISSIONS.AI_MANAGE), async (req, res) => {
     try {
-        const userId = req.params.id;
-        
-        // Prevent self-deletion
-        if (userId === req.user.userId) {
-            return res.status(400).json({ error: 'Cannot delete your own account' });
+        const removed = aiCacheStore ? await aiCacheStore.remove(req.params.key) : false;
+        if (!removed) return res.status(404).json({ error: 'Cache entry not found' });
+        res.json({ message: 'Cache entry deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting AI cache entry:', error);
+        res.status(500).json({ error: 'Server error deleting AI cache entry.' });
+    }
+});
+
+// Purges every entry, or only those of ?endpoint= and/or ?userId=
+app.delete('/api/admin/ai-cache', requirePermission(PERMISSIONS.AI_MANAGE), async (req, res) => {
+    try {
+        const { endpoint, userId } = req.query;
+        if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ error: 'Invalid userId' });
         }
-        
-        // Only superadmin can delete admin users
-        const targetUser = await User.findById(userId);
-        if (!targetUser) {
-            return res.status(404).json({ error: 'User not found' });
+        const deleted = aiCacheStore ? await aiCacheStore.purge({ endpoint, userId }) : 0;
+        console.log(`[AI Cache] ${req.user.email} purged ${deleted} entries${endpoint ? ` for ${endpoint}` : ''}${userId ? ` of user ${userId}` : ''}`);
+        res.json({ message: 'Cache purged successfully', deleted });
+    } catch (error) {
+        console.error('Error purging AI cache:', error);
+        res.status(500).json({ error: 'Server error purging AI cache.' });
+    }
+});
+
+// AI Usage Reports
+const AI_USAGE_GROUPS = {
+    user: '$userId',
+    model: '$model',
+    endpoint: '$endpoint',
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+};
+
+// Aggregates usage records from ?from= to ?to= (ISO dates, default the last 30 days)
+// by ?groupBy=user|model|endpoint|day. cost is in USD and 0 for models missing from AI_PRICES_FILE.
+app.get('/api/admin/ai-usage', requirePermission(PERMISSIONS.AI_MANAGE), async (req, res) => {
+    try {
+        const { groupBy = 'user', from, to, limit = 100 } = req.query;
+        if (!AI_USAGE_GROUPS[groupBy]) {
+            return res.status(400).json({ error: `groupBy must be one of: ${Object.keys(AI_USAGE_GROUPS).join(', ')}` });
         }
-        
-        if ((targetUser.role === 'admin' || targetUser.role === 'superadmin') && req.user.role !== 'superadmin') {
-            return res.status(403).json({ error: 'Only superadmin can delete admin users' });
+        const end = to ? new Date(to) : new Date();
+        const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (isNaN(start) || isNaN(end)) return res.status(400).json({ error: 'from and to must be valid dates' });
+        const maxRows = Math.min(parseInt(limit) || 100, 500);
+
+        const isSuccess = { $eq: ['$status', 'success'] };
+        const totalsStage = {
+            requests: { $sum: { $cond: [isSuccess, 1, 0] } },
+            failures: { $sum: { $cond: [isSuccess, 0, 1] } },
+            fallbacks: { $sum: { $cond: ['$fallback', 1, 0] } },
+            attempts: { $sum: '$attempts' },
+            promptTokens: { $sum: '$promptTokens' },
+            responseTokens: { $sum: '$responseTokens' },
+            totalTokens: { $sum: '$totalTokens' },
+            cost: { $sum: '$cost' },
+            avgLatencyMs: { $avg: '$latencyMs' },
+        };
+        const match = { $match: { createdAt: { $gte: start, $lte: end } } };
+
+        const rows = await AiUsage.aggregate([
+            match,
+            { $group: { _id: AI_USAGE_GROUPS[groupBy], ...totalsStage } },
+            { $sort: groupBy === 'day' ? { _id: 1 } : { totalTokens: -1 } },
+            { $limit: maxRows },
+        ]);
+        const [totals] = await AiUsage.aggregate([match, { $group: { _id: null, ...totalsStage } }]);
+
+        let users = new Map();
+        if (groupBy === 'user') {
+            const found = await User.find({ _id: { $in: rows.map(row => row._id).filter(Boolean) } }).select('name email');
+            users = new Map(found.map(user => [String(user._id), user]));
         }
-        
-        await User.findByIdAndDelete(userId);
-        
-        res.json({ message: 'User deleted successfully' });
+
+        const format = ({ _id, cost, avgLatencyMs, ...row }) => ({
+            ...row,
+            cost: Math.round((cost || 0) * 1e6) / 1e6,
+            avgLatencyMs: Math.round(avgLatencyMs || 0),
+        });
+
+        res.json({
+            groupBy,
+            from: start,
+            to: end,
+            rows: rows.map(row => {
+                const key = groupBy === 'user'
+                    // Calls from guests and deleted accounts have no user
+                    ? { userId: row._id, name: users.get(String(row._id))?.name || null, email: users.get(String(row._id))?.email || null }
+                    : { [groupBy]: row._id };
+                return { ...key, ...format(row) };
+            }),
+            totals: totals ? format(totals) : null,
+        });
     } catch (error) {
-        console.error('Error deleting user:', error);
-        res.status(500).json({ error: 'Server error deleting user.' });
+        console.error('Error building AI usage report:', error);
+        res.status(500).json({ error: 'Server error building AI usage report.' });
     }
 });
 
 // Job Management
-app.get('/api/admin/jobs', adminMiddleware, async (req, res) => {
+app.get('/api/admin/jobs', requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
     try {
         const jobs = await Job.find().sort({ createdAt: -1 });
         res.json(jobs);
@@ -1171,7 +7222,7 @@ app.get('/api/admin/jobs', adminMiddleware, async (req, res) => {
     }
 });
 
-app.post('/api/admin/jobs', adminMiddleware, async (req, res) => {
+app.post('/api/admin/jobs', requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
     try {
         const { title, company, location, status = 'active' } = req.body;
         
@@ -1194,7 +7245,7 @@ app.post('/api/admin/jobs', adminMiddleware, async (req, res) => {
     }
 });
 
-app.put('/api/admin/jobs/:id', adminMiddleware, async (req, res) => {
+app.put('/api/admin/jobs/:id', requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
     try {
         const { title, company, location, status } = req.body;
         const jobId = req.params.id;
@@ -1218,7 +7269,7 @@ app.put('/api/admin/jobs/:id', adminMiddleware, async (req, res) => {
     }
 });
 
-app.delete('/api/admin/jobs/:id', adminMiddleware, async (req, res) => {
+app.delete('/api/admin/jobs/:id', requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res) => {
     try {
         const deletedJob = await Job.findByIdAndDelete(req.params.id);
         
@@ -1234,7 +7285,7 @@ app.delete('/api/admin/jobs/:id', adminMiddleware, async (req, res) => {
 });
 
 // Company Management
-app.get('/api/admin/companies', adminMiddleware, async (req, res) => {
+app.get('/api/admin/companies', requirePermission(PERMISSIONS.COMPANIES_MANAGE), async (req, res) => {
     try {
         const companies = await Company.find().sort({ createdAt: -1 });
         res.json(companies);
@@ -1244,7 +7295,7 @@ app.get('/api/admin/companies', adminMiddleware, async (req, res) => {
     }
 });
 
-app.post('/api/admin/companies', adminMiddleware, async (req, res) => {
+app.post('/api/admin/companies', requirePermission(PERMISSIONS.COMPANIES_MANAGE), async (req, res) => {
     try {
         const { name, industry, size = 'medium', status = 'active' } = req.body;
         
@@ -1267,7 +7318,7 @@ app.post('/api/admin/companies', adminMiddleware, async (req, res) => {
     }
 });
 
-app.put('/api/admin/companies/:id', adminMiddleware, async (req, res) => {
+app.put('/api/admin/companies/:id', requirePermission(PERMISSIONS.COMPANIES_MANAGE), async (req, res) => {
     try {
         const { name, industry, size, status } = req.body;
         const companyId = req.params.id;
@@ -1291,7 +7342,7 @@ app.put('/api/admin/companies/:id', adminMiddleware, async (req, res) => {
     }
 });
 
-app.delete('/api/admin/companies/:id', adminMiddleware, async (req, res) => {
+app.delete('/api/admin/companies/:id', requirePermission(PERMISSIONS.COMPANIES_MANAGE), async (req, res) => {
     try {
         const deletedCompany = await Company.findByIdAndDelete(req.params.id);
         
@@ -1307,7 +7358,7 @@ app.delete('/api/admin/companies/:id', adminMiddleware, async (req, res) => {
 });
 
 // Application Management
-app.get('/api/admin/applications', adminMiddleware, async (req, res) => {
+app.get('/api/admin/applications', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
     try {
         const applications = await Application.find()
             .populate('jobId', 'title company')
@@ -1320,7 +7371,7 @@ app.get('/api/admin/applications', adminMiddleware, async (req, res) => {
     }
 });
 
-app.put('/api/admin/applications/:id', adminMiddleware, async (req, res) => {
+app.put('/api/admin/applications/:id', requirePermission(PERMISSIONS.APPLICATIONS_REVIEW), async (req, res) => {
     try {
         const { status } = req.body;
         const applicationId = req.params.id;
@@ -1347,7 +7398,7 @@ app.put('/api/admin/applications/:id', adminMiddleware, async (req, res) => {
 });
 
 // Add sample data for testing (development only)
-app.post('/api/admin/sample-data', adminMiddleware, async (req, res) => {
+app.post('/api/admin/sample-data', requirePermission(PERMISSIONS.SYSTEM_SEED), async (req, res) => {
     try {
         // Check if we already have sample data
         const existingUsers = await User.countDocuments({ email: { $regex: 'sample' } });
@@ -1419,7 +7470,7 @@ app.post('/api/admin/sample-data', adminMiddleware, async (req, res) => {
             }
         ];
 
-        await User.insertMany(sampleUsers);
+        await User.insertMany(sampleUsers.map(user => ({ ...user, completeness: storedCompleteness(user.profile) })));
 
         // Create sample companies
         const sampleCompanies = [
@@ -1470,7 +7521,8 @@ async function createAdminUser() {
                 email: superAdminEmail,
                 password: superAdminPassword,
                 role: 'superadmin',
-                isActive: true
+                isActive: true,
+                emailVerified: true
             });
             console.log('✅ Super Admin user created successfully!');
             console.log('📧 Email: superadmin@careerion.com');
@@ -1487,7 +7539,8 @@ async function createAdminUser() {
                 email: adminEmail,
                 password: adminPassword,
                 role: 'admin',
-                isActive: true
+                isActive: true,
+                emailVerified: true
             });
             console.log('✅ Admin user created successfully!');
             console.log('📧 Email: admin@careerion.com');
@@ -1500,6 +7553,9 @@ async function createAdminUser() {
         }
         
         console.log('⚠️  Please change default passwords after first login!');
+        if (TWO_FACTOR_REQUIRED_ROLES.length > 0) {
+            console.log(`🔐 Two-factor authentication is required for: ${TWO_FACTOR_REQUIRED_ROLES.join(', ')} (enroll via /api/auth/2fa/setup)`);
+        }
         console.log('🌐 Admin Panel URL: http://localhost:3000 (when running)');
         
     } catch (error) {
@@ -1547,6 +7603,28 @@ async function createSampleData() {
     }
 }
 
+// --- Connect to your MongoDB Database ---
+// Only when run directly; tests require the app and connect to their own database
+function connectAndStart() {
+    const mongoUri = process.env.MONGO_URI;
+    if (!mongoUri || typeof mongoUri !== 'string' || !mongoUri.trim()) {
+        console.error('[Config] MONGO_URI is missing in environment. Create Backend/.env with MONGO_URI=mongodb://localhost:27017/careerion (or your Atlas URI).');
+        process.exit(1);
+    }
+
+    mongoose
+        .connect(mongoUri)
+        .then(async () => {
+            console.log('MongoDB connected successfully.');
+            await migrateLegacyAccounts();
+            startServer();
+        })
+        .catch((err) => {
+            console.error('MongoDB connection error:', err);
+            process.exit(1);
+        });
+}
+
 // --- Start the server (after DB is ready) ---
 function startServer() {
     app.listen(port, () => {
@@ -1555,5 +7633,16 @@ function startServer() {
         console.log('Auth endpoints available at: http://localhost:5001/api/auth/*');
         createAdminUser(); // Create admin user first
         createSampleData();
+        seedSkillTaxonomy().catch(err => console.error('Error seeding skills taxonomy:', err));
+        setInterval(() => {
+            purgeScheduledDeletions().catch(err => console.error('Error purging deleted accounts:', err));
+            cleanupExpiredExports().catch(err => console.error('Error cleaning up data exports:', err));
+        }, ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
     });
 }
+
+if (require.main === module) {
+    connectAndStart();
+}
+
+module.exports = app;
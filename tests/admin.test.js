@@ -2,6 +2,18 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 
+// Admin routes require 2FA: enroll the account and return the upgraded token
+const enrollTwoFactor = async (token) => {
+    const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+    const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateTotp(setup.body.secret) });
+    return enable.body.token;
+};
+
 describe('Admin API Tests', () => {
     let adminToken;
     let superAdminToken;
@@ -29,7 +41,7 @@ describe('Admin API Tests', () => {
                 email: 'superadmin@test.com',
                 password: 'password123'
             });
-        superAdminToken = superAdminLogin.body.token;
+        superAdminToken = await enrollTwoFactor(superAdminLogin.body.token);
 
         // Create admin user
         const adminRes = await request(app)
@@ -47,7 +59,7 @@ describe('Admin API Tests', () => {
                 email: 'admin@test.com',
                 password: 'password123'
             });
-        adminToken = adminLogin.body.token;
+        adminToken = await enrollTwoFactor(adminLogin.body.token);
 
         // Create regular user
         const userRes = await request(app)
@@ -72,6 +84,29 @@ describe('Admin API Tests', () => {
             expect(response.body).toHaveProperty('totalJobs');
             expect(response.body).toHaveProperty('totalCompanies');
             expect(response.body).toHaveProperty('totalApplications');
+            expect(response.body.profileCompleteness).toHaveProperty('averageScore');
+            expect(response.body.profileCompleteness).toHaveProperty('distribution');
+        });
+
+        test('should aggregate the completeness stored at profile save', async () => {
+            const saved = await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ skills: ['SQL'], careerGoals: 'Analyst' });
+            await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Empty Profile', email: 'empty@test.com', password: 'password123' });
+
+            const response = await request(app)
+                .get('/api/admin/stats')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            const stats = response.body.profileCompleteness;
+            expect(stats.users).toBe(2);
+            expect(stats.averageScore).toBe(Math.round(saved.body.completeness.score / 2));
+            expect(stats.distribution['0-24']).toBe(2);
+            expect(stats.sectionAverages.goals).toBe(25);
+            expect(stats.topMissingFields[0]).toEqual({ field: 'careerGoals', count: 2 });
         });
 
         test('should fail for regular user', async () => {
@@ -88,6 +123,28 @@ describe('Admin API Tests', () => {
 
             expect(response.status).toBe(401);
         });
+
+        test('should require admins to enroll in two-factor authentication', async () => {
+            const signup = await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Admin Without 2FA',
+                    email: 'no2fa@test.com',
+                    password: 'password123'
+                });
+            const User = mongoose.model('User');
+            await User.findByIdAndUpdate(signup.body.user._id, { role: 'admin' });
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'no2fa@test.com', password: 'password123' });
+
+            const response = await request(app)
+                .get('/api/admin/stats')
+                .set('Authorization', `Bearer ${login.body.token}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body).toHaveProperty('code', 'TWO_FACTOR_ENROLLMENT_REQUIRED');
+        });
     });
 
     describe('GET /api/admin/users', () => {
@@ -99,6 +156,7 @@ describe('Admin API Tests', () => {
             expect(response.status).toBe(200);
             expect(response.body).toHaveProperty('users');
             expect(Array.isArray(response.body.users)).toBe(true);
+            expect(response.body.users[0]).toHaveProperty('avatar');
         });
 
         test('should support pagination', async () => {
@@ -228,6 +286,441 @@ describe('Admin API Tests', () => {
         });
     });
 
+    describe('User suspension', () => {
+        let suspendedToken;
+        let suspendedUserId;
+
+        beforeAll(async () => {
+            const signup = await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Suspended User',
+                    email: 'suspended@test.com',
+                    password: 'password123'
+                });
+            suspendedToken = signup.body.token;
+            suspendedUserId = signup.body.user._id;
+        });
+
+        test('should require a reason', async () => {
+            const response = await request(app)
+                .post(`/api/admin/users/${suspendedUserId}/suspend`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({});
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should record the suspension on the user', async () => {
+            const response = await request(app)
+                .post(`/api/admin/users/${suspendedUserId}/suspend`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ reason: 'Spamming other users' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.user).toHaveProperty('isActive', false);
+            expect(response.body.user.suspension).toHaveProperty('reason', 'Spamming other users');
+            expect(response.body.user.suspension.suspendedBy).toHaveProperty('email', 'admin@test.com');
+        });
+
+        test('should reject existing tokens and new logins with the reason', async () => {
+            const me = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${suspendedToken}`);
+            expect(me.status).toBe(403);
+            expect(me.body).toHaveProperty('code', 'ACCOUNT_SUSPENDED');
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'suspended@test.com', password: 'password123' });
+            expect(login.status).toBe(403);
+            expect(login.body).toHaveProperty('code', 'ACCOUNT_SUSPENDED');
+            expect(login.body).toHaveProperty('reason', 'Spamming other users');
+        });
+
+        test('should allow login again after reactivation', async () => {
+            const reactivate = await request(app)
+                .post(`/api/admin/users/${suspendedUserId}/reactivate`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(reactivate.status).toBe(200);
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'suspended@test.com', password: 'password123' });
+            expect(login.status).toBe(200);
+        });
+
+        test('should lift expired suspensions automatically', async () => {
+            const User = mongoose.model('User');
+            await User.findByIdAndUpdate(suspendedUserId, {
+                isActive: false,
+                suspension: { reason: 'Cooling off', suspendedAt: new Date(), expiresAt: new Date(Date.now() - 1000) }
+            });
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'suspended@test.com', password: 'password123' });
+            expect(login.status).toBe(200);
+        });
+    });
+
+    describe('Login lockouts', () => {
+        beforeAll(async () => {
+            await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Lockout User',
+                    email: 'lockout@test.com',
+                    password: 'password123'
+                });
+            for (let i = 0; i < 3; i++) {
+                await request(app)
+                    .post('/api/auth/login')
+                    .send({ email: 'lockout@test.com', password: 'wrongpassword' });
+            }
+        });
+
+        test('should list throttled accounts', async () => {
+            const response = await request(app)
+                .get('/api/admin/lockouts')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.lockouts).toEqual(
+                expect.arrayContaining([expect.objectContaining({ type: 'account', value: 'lockout@test.com' })])
+            );
+        });
+
+        test('should clear an account lockout', async () => {
+            const response = await request(app)
+                .delete('/api/admin/lockouts/account/lockout@test.com')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(response.status).toBe(200);
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'lockout@test.com', password: 'password123' });
+            expect(login.status).toBe(200);
+        });
+
+        test('should fail for regular user', async () => {
+            const response = await request(app)
+                .get('/api/admin/lockouts')
+                .set('Authorization', `Bearer ${userToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('Role permissions', () => {
+        let recruiterToken;
+        let counselorToken;
+
+        beforeAll(async () => {
+            const User = mongoose.model('User');
+            const recruiter = await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Recruiter', email: 'recruiter@test.com', password: 'password123' });
+            await User.findByIdAndUpdate(recruiter.body.user._id, { role: 'recruiter' });
+            recruiterToken = await enrollTwoFactor((await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'recruiter@test.com', password: 'password123' })).body.token);
+
+            const counselor = await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Counselor', email: 'counselor@test.com', password: 'password123' });
+            await User.findByIdAndUpdate(counselor.body.user._id, { role: 'counselor' });
+            counselorToken = await enrollTwoFactor((await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'counselor@test.com', password: 'password123' })).body.token);
+        });
+
+        test('should require two-factor authentication for every role with admin permissions', async () => {
+            const User = mongoose.model('User');
+            const signup = await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Recruiter Without 2FA', email: 'recruiter-no2fa@test.com', password: 'password123' });
+            await User.findByIdAndUpdate(signup.body.user._id, { role: 'recruiter' });
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'recruiter-no2fa@test.com', password: 'password123' });
+
+            const response = await request(app)
+                .get('/api/admin/jobs')
+                .set('Authorization', `Bearer ${login.body.token}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body).toHaveProperty('code', 'TWO_FACTOR_ENROLLMENT_REQUIRED');
+        });
+
+        test('should let recruiters manage jobs but not users', async () => {
+            const jobs = await request(app)
+                .get('/api/admin/jobs')
+                .set('Authorization', `Bearer ${recruiterToken}`);
+            expect(jobs.status).toBe(200);
+
+            const users = await request(app)
+                .get('/api/admin/users')
+                .set('Authorization', `Bearer ${recruiterToken}`);
+            expect(users.status).toBe(403);
+            expect(users.body).toHaveProperty('code', 'PERMISSION_DENIED');
+        });
+
+        test('should let counselors read users but not modify them', async () => {
+            const users = await request(app)
+                .get('/api/admin/users')
+                .set('Authorization', `Bearer ${counselorToken}`);
+            expect(users.status).toBe(200);
+
+            const update = await request(app)
+                .put(`/api/admin/users/${testUserId}`)
+                .set('Authorization', `Bearer ${counselorToken}`)
+                .send({ name: 'Counselor Edit' });
+            expect(update.status).toBe(403);
+        });
+
+        test('should apply role changes without a new token', async () => {
+            const User = mongoose.model('User');
+            await User.findOneAndUpdate({ email: 'recruiter@test.com' }, { role: 'user' });
+
+            const response = await request(app)
+                .get('/api/admin/jobs')
+                .set('Authorization', `Bearer ${recruiterToken}`);
+            expect(response.status).toBe(403);
+        });
+
+        test('should list roles and expose permissions on /me', async () => {
+            const roles = await request(app)
+                .get('/api/admin/roles')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(roles.status).toBe(200);
+            expect(roles.body.roles.map(r => r.role)).toEqual(expect.arrayContaining(['user', 'recruiter', 'counselor', 'admin', 'superadmin']));
+
+            const me = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${counselorToken}`);
+            expect(me.body.permissions).toEqual(expect.arrayContaining(['users:read', 'stats:read']));
+        });
+
+        test('should reject unknown roles', async () => {
+            const response = await request(app)
+                .post('/api/admin/users')
+                .set('Authorization', `Bearer ${superAdminToken}`)
+                .send({ name: 'Ghost', email: 'ghost@test.com', password: 'password123', role: 'wizard' });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should not let roles:assign grant admin roles without users:manage-admins', async () => {
+            const User = mongoose.model('User');
+            const lead = await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Team Lead', email: 'lead@test.com', password: 'password123' });
+            await User.findByIdAndUpdate(lead.body.user._id, { role: 'team-lead' });
+            const leadToken = await enrollTwoFactor((await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'lead@test.com', password: 'password123' })).body.token);
+            const member = await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Team Member', email: 'member@test.com', password: 'password123' });
+
+            const promote = await request(app)
+                .put(`/api/admin/users/${member.body.user._id}`)
+                .set('Authorization', `Bearer ${leadToken}`)
+                .send({ role: 'admin' });
+            expect(promote.status).toBe(403);
+            expect((await User.findById(member.body.user._id)).role).toBe('user');
+
+            const create = await request(app)
+                .post('/api/admin/users')
+                .set('Authorization', `Bearer ${leadToken}`)
+                .send({ name: 'New Admin', email: 'new-admin@test.com', password: 'password123', role: 'superadmin' });
+            expect(create.status).toBe(403);
+
+            const assign = await request(app)
+                .put(`/api/admin/users/${member.body.user._id}`)
+                .set('Authorization', `Bearer ${leadToken}`)
+                .send({ role: 'recruiter' });
+            expect(assign.status).toBe(200);
+        });
+    });
+
+    describe('Skills taxonomy management', () => {
+        test('should add a skill that autocomplete and normalization pick up', async () => {
+            const created = await request(app)
+                .post('/api/admin/skills')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Zig', synonyms: ['ziglang'], category: 'Programming Languages', type: 'technical' });
+            expect(created.status).toBe(201);
+
+            const search = await request(app).get('/api/skills?q=ziglang');
+            expect(search.body.skills[0]).toHaveProperty('name', 'Zig');
+        });
+
+        test('should reject synonyms that belong to another skill', async () => {
+            await request(app).get('/api/skills?q=js');
+
+            const response = await request(app)
+                .post('/api/admin/skills')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'JavaScript Essentials', synonyms: ['js'] });
+
+            expect(response.status).toBe(409);
+        });
+
+        test('should fail for regular user', async () => {
+            const response = await request(app)
+                .post('/api/admin/skills')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ name: 'Zig' });
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('Topic classifier management', () => {
+        test('should add a term that lets matching chat messages through', async () => {
+            const created = await request(app)
+                .post('/api/admin/topic-terms')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ term: 'Sommelier', weight: 3 });
+            expect(created.status).toBe(201);
+            expect(created.body.term).toMatchObject({ term: 'sommelier', weight: 3, source: 'admin' });
+
+            const chat = await request(app)
+                .post('/api/chat')
+                .send({ message: 'Is sommelier a good choice?', history: [] });
+            expect(chat.body.response).toContain('Mock AI response');
+
+            const list = await request(app)
+                .get('/api/admin/topic-terms?polarity=negative')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(list.status).toBe(200);
+            expect(list.body.terms.length).toBeGreaterThan(0);
+            expect(list.body.terms.every(term => term.weight < 0)).toBe(true);
+        });
+
+        test('should reject duplicate terms and invalid weights', async () => {
+            const duplicate = await request(app)
+                .post('/api/admin/topic-terms')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ term: 'Career*', weight: 1 });
+            expect(duplicate.status).toBe(409);
+
+            const invalid = await request(app)
+                .post('/api/admin/topic-terms')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ term: 'astrology', weight: 0 });
+            expect(invalid.status).toBe(400);
+        });
+
+        test('should list rejected queries', async () => {
+            await request(app).post('/api/chat').send({ message: 'Recipe for pasta', history: [] });
+
+            const response = await request(app)
+                .get('/api/admin/topic-classifier/rejections')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.rejections[0]).toMatchObject({ text: 'Recipe for pasta' });
+            expect(response.body.rejections[0].score).toBeLessThan(0);
+        });
+
+        test('should report precision and recall against the labelled samples', async () => {
+            const response = await request(app)
+                .get('/api/admin/topic-classifier/evaluate?threshold=2')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.samples).toBeGreaterThan(0);
+            expect(response.body.precision).toBeGreaterThanOrEqual(0.9);
+            expect(response.body.recall).toBeGreaterThanOrEqual(0.9);
+            expect(Array.isArray(response.body.misclassified)).toBe(true);
+        });
+
+        test('should fail for regular user', async () => {
+            const response = await request(app)
+                .get('/api/admin/topic-terms')
+                .set('Authorization', `Bearer ${userToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('AI response cache management', () => {
+        test('should list, inspect and purge cached answers', async () => {
+            app.locals.setAiCacheStore('mongo');
+            await request(app).post('/api/chat').send({ message: 'How do I write a cover letter?' });
+
+            const list = await request(app)
+                .get('/api/admin/ai-cache?endpoint=chat')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(list.status).toBe(200);
+            expect(list.body.store).toBe('mongo');
+            expect(list.body.entries).toHaveLength(1);
+            expect(list.body.entries[0]).toMatchObject({ endpoint: 'chat', query: 'How do I write a cover letter?' });
+            expect(list.body.entries[0]).not.toHaveProperty('text');
+
+            const entry = await request(app)
+                .get(`/api/admin/ai-cache/${list.body.entries[0].key}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(entry.body.entry.text).toContain('Mock AI response');
+
+            const purge = await request(app)
+                .delete('/api/admin/ai-cache?endpoint=chat')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(purge.body.deleted).toBe(1);
+        });
+
+        test('should fail for regular user', async () => {
+            const response = await request(app)
+                .delete('/api/admin/ai-cache')
+                .set('Authorization', `Bearer ${userToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('AI usage reports', () => {
+        test('should aggregate usage by model and day', async () => {
+            const expiresAt = new Date(Date.now() + 60000);
+            await mongoose.model('AiUsage').insertMany([
+                { userId: testUserId, endpoint: 'chat', provider: 'mock', model: 'model-a', promptTokens: 10, responseTokens: 20, totalTokens: 30, cost: 0.5, latencyMs: 100, expiresAt },
+                { userId: testUserId, endpoint: 'chat', provider: 'mock', model: 'model-a', promptTokens: 5, responseTokens: 5, totalTokens: 10, cost: 0.25, latencyMs: 300, expiresAt },
+                { endpoint: 'chat', provider: 'mock', model: 'model-b', status: 'error', attempts: 2, fallback: true, expiresAt },
+            ]);
+
+            const byModel = await request(app)
+                .get('/api/admin/ai-usage?groupBy=model')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(byModel.status).toBe(200);
+            expect(byModel.body.rows[0]).toMatchObject({ model: 'model-a', requests: 2, failures: 0, totalTokens: 40, cost: 0.75, avgLatencyMs: 200 });
+            expect(byModel.body.rows[1]).toMatchObject({ model: 'model-b', requests: 0, failures: 1, fallbacks: 1 });
+            expect(byModel.body.totals).toMatchObject({ requests: 2, failures: 1, totalTokens: 40 });
+
+            const byDay = await request(app)
+                .get('/api/admin/ai-usage?groupBy=day')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(byDay.body.rows).toEqual([expect.objectContaining({ day: new Date().toISOString().slice(0, 10), requests: 2 })]);
+        });
+
+        test('should reject an unknown grouping', async () => {
+            const response = await request(app)
+                .get('/api/admin/ai-usage?groupBy=country')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should fail for regular user', async () => {
+            const response = await request(app)
+                .get('/api/admin/ai-usage')
+                .set('Authorization', `Bearer ${userToken}`);
+
+            expect(response.status).toBe(403);
+        });
+    });
+
     describe('DELETE /api/admin/users/:id', () => {
         test('should delete user as admin', async () => {
             // Create user to delete
@@ -2,24 +2,10 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-
-// Mock app setup
-let app;
-let server;
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
 describe('Authentication API Tests', () => {
-    beforeAll(async () => {
-        // Setup test database connection
-        const mongoUri = process.env.MONGO_URI_TEST || 'mongodb://localhost:27017/careerion_test';
-        await mongoose.connect(mongoUri);
-    });
-
-    afterAll(async () => {
-        // Cleanup
-        await mongoose.connection.dropDatabase();
-        await mongoose.connection.close();
-    });
-
     describe('POST /api/auth/signup', () => {
         test('should create a new user with valid data', async () => {
             const response = await request(app)
@@ -217,6 +203,27 @@ describe('Authentication API Tests', () => {
     });
 
     describe('POST /api/auth/google', () => {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+        const signGoogleIdToken = (claims = {}, options = {}) => jwt.sign(
+            { sub: 'google-user-1', email: 'googler@example.com', email_verified: true, name: 'Google User', ...claims },
+            privateKey,
+            {
+                algorithm: 'RS256',
+                keyid: 'test-key',
+                audience: process.env.GOOGLE_CLIENT_ID,
+                issuer: 'https://accounts.google.com',
+                expiresIn: '5m',
+                ...options
+            }
+        );
+
+        beforeAll(() => {
+            app.locals.setGoogleSigningKeys({
+                keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' }]
+            });
+        });
+
         test('should handle Google OAuth login', async () => {
             // Mock Google token verification
             const mockGoogleToken = 'mock-google-token';
@@ -240,5 +247,669 @@ describe('Authentication API Tests', () => {
             expect(response.status).toBe(400);
             expect(response.body.error).toContain('token is required');
         });
+
+        test('should create a Google-linked user from a valid ID token', async () => {
+            const response = await request(app)
+                .post('/api/auth/google')
+                .send({ credential: signGoogleIdToken() });
+
+            expect(response.status).toBe(200);
+            expect(response.body.user).toHaveProperty('providers', ['google']);
+            expect(jwt.decode(response.body.token)).toHaveProperty('role', 'user');
+
+            const User = mongoose.model('User');
+            const user = await User.findOne({ email: 'googler@example.com' });
+            expect(user.googleId).toBe('google-user-1');
+        });
+
+        test('should reject tokens for another audience', async () => {
+            const response = await request(app)
+                .post('/api/auth/google')
+                .send({ credential: signGoogleIdToken({}, { audience: 'someone-elses-client' }) });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should require explicit linking for existing password accounts', async () => {
+            const signup = await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Link Test',
+                    email: 'link@example.com',
+                    password: 'password123'
+                });
+            const credential = signGoogleIdToken({ sub: 'google-user-2', email: 'link@example.com' });
+
+            const blocked = await request(app)
+                .post('/api/auth/google')
+                .send({ credential });
+            expect(blocked.status).toBe(409);
+            expect(blocked.body).toHaveProperty('code', 'GOOGLE_LINK_REQUIRED');
+
+            const link = await request(app)
+                .post('/api/auth/google/link')
+                .set('Authorization', `Bearer ${signup.body.token}`)
+                .send({ credential });
+            expect(link.status).toBe(200);
+            expect(link.body.providers).toEqual(expect.arrayContaining(['password', 'google']));
+
+            const login = await request(app)
+                .post('/api/auth/google')
+                .send({ credential });
+            expect(login.status).toBe(200);
+
+            const unlink = await request(app)
+                .delete('/api/auth/google/link')
+                .set('Authorization', `Bearer ${signup.body.token}`);
+            expect(unlink.status).toBe(200);
+            expect(unlink.body.providers).toEqual(['password']);
+        });
+
+        test('should link legacy Google accounts on a verified Google sign-in', async () => {
+            // Stored the way the old Google sign-in created accounts: a random password and no providers
+            const User = mongoose.model('User');
+            await User.collection.insertOne({
+                name: 'Legacy Googler',
+                email: 'legacy-googler@example.com',
+                password: await bcrypt.hash('random-unknown-password', 10),
+                role: 'user',
+                createdAt: new Date(),
+            });
+            await app.locals.migrateLegacyAccounts();
+
+            const unverified = await request(app)
+                .post('/api/auth/google')
+                .send({ credential: signGoogleIdToken({ sub: 'google-legacy', email: 'legacy-googler@example.com', email_verified: false }) });
+            expect(unverified.status).toBe(409);
+
+            const response = await request(app)
+                .post('/api/auth/google')
+                .send({ credential: signGoogleIdToken({ sub: 'google-legacy', email: 'legacy-googler@example.com' }) });
+            expect(response.status).toBe(200);
+            expect(response.body.user.providers).toEqual(['password', 'google']);
+            expect((await User.findOne({ email: 'legacy-googler@example.com' })).googleId).toBe('google-legacy');
+        });
+
+        test('should require fresh Google sign-in for sensitive changes to Google-only accounts', async () => {
+            const login = await request(app)
+                .post('/api/auth/google')
+                .send({ credential: signGoogleIdToken() });
+            const token = login.body.token;
+
+            const blocked = await request(app)
+                .post('/api/auth/change-email')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ newEmail: 'attacker@example.com' });
+            expect(blocked.status).toBe(401);
+            expect(blocked.body).toHaveProperty('code', 'REAUTH_REQUIRED');
+
+            const stale = await request(app)
+                .delete('/api/auth/account')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ credential: signGoogleIdToken({ iat: Math.floor(Date.now() / 1000) - 3600 }, { expiresIn: '2h' }) });
+            expect(stale.status).toBe(401);
+
+            const fresh = await request(app)
+                .delete('/api/auth/account')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ credential: signGoogleIdToken() });
+            expect(fresh.status).toBe(200);
+        });
+    });
+
+    describe('Password reset', () => {
+        const getResetToken = () => {
+            const email = app.locals.mailOutbox.filter(m => m.template === 'passwordReset').pop();
+            return new URL(email.data.resetUrl).searchParams.get('token');
+        };
+
+        beforeEach(async () => {
+            app.locals.mailOutbox.length = 0;
+            await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Reset Test',
+                    email: 'reset@example.com',
+                    password: 'password123'
+                });
+        });
+
+        test('should respond generically for unknown emails', async () => {
+            const response = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'nobody@example.com' });
+
+            expect(response.status).toBe(200);
+            expect(app.locals.mailOutbox.filter(m => m.template === 'passwordReset')).toHaveLength(0);
+        });
+
+        test('should store only a hashed, expiring token', async () => {
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'reset@example.com' });
+
+            const User = mongoose.model('User');
+            const user = await User.findOne({ email: 'reset@example.com' });
+            const token = getResetToken();
+
+            expect(user.passwordResetToken).toBeDefined();
+            expect(user.passwordResetToken).not.toBe(token);
+            expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        test('should reset the password once and reject reuse of the token', async () => {
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'reset@example.com' });
+            const token = getResetToken();
+
+            const first = await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'newpassword123' });
+            expect(first.status).toBe(200);
+
+            const second = await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'anotherpassword123' });
+            expect(second.status).toBe(400);
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'reset@example.com', password: 'newpassword123' });
+            expect(login.status).toBe(200);
+        });
+
+        test('should invalidate tokens issued before the reset', async () => {
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'reset@example.com', password: 'password123' });
+
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'reset@example.com' });
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token: getResetToken(), password: 'newpassword123' });
+
+            const response = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${login.body.token}`);
+            expect(response.status).toBe(401);
+
+            const refresh = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: login.body.refreshToken });
+            expect(refresh.status).toBe(401);
+        });
+    });
+
+    describe('Email verification', () => {
+        const getVerificationToken = (email) => {
+            const message = app.locals.mailOutbox.filter(m => m.template === 'emailVerification' && m.to === email).pop();
+            return new URL(message.data.verifyUrl).searchParams.get('token');
+        };
+
+        test('should create unverified accounts and send a verification email', async () => {
+            const response = await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Verify Test',
+                    email: 'verify@example.com',
+                    password: 'password123'
+                });
+
+            expect(response.status).toBe(201);
+            expect(response.body.user).toHaveProperty('emailVerified', false);
+            expect(getVerificationToken('verify@example.com')).toBeTruthy();
+        });
+
+        test('should verify the email with the emailed token', async () => {
+            await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Verify Test',
+                    email: 'verify2@example.com',
+                    password: 'password123'
+                });
+
+            const response = await request(app)
+                .post('/api/auth/verify-email')
+                .send({ token: getVerificationToken('verify2@example.com') });
+
+            expect(response.status).toBe(200);
+            const User = mongoose.model('User');
+            const user = await User.findOne({ email: 'verify2@example.com' });
+            expect(user.emailVerified).toBe(true);
+        });
+
+        test('should reject tampered verification tokens', async () => {
+            const response = await request(app)
+                .post('/api/auth/verify-email')
+                .send({ token: 'not-a-real-token' });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should treat accounts created before verification existed as verified', async () => {
+            const User = mongoose.model('User');
+            await User.collection.insertOne({
+                name: 'Early User',
+                email: 'early@example.com',
+                password: await bcrypt.hash('password123', 10),
+                role: 'user',
+                createdAt: new Date(),
+            });
+            await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'New User', email: 'new-unverified@example.com', password: 'password123' });
+
+            await app.locals.migrateLegacyAccounts();
+
+            expect((await User.findOne({ email: 'early@example.com' })).emailVerified).toBe(true);
+            expect((await User.findOne({ email: 'new-unverified@example.com' })).emailVerified).toBe(false);
+        });
+
+        test('should not send a second email inside the resend window', async () => {
+            const signup = await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Resend Test',
+                    email: 'resend@example.com',
+                    password: 'password123'
+                });
+
+            const response = await request(app)
+                .post('/api/auth/verify-email/resend')
+                .set('Authorization', `Bearer ${signup.body.token}`);
+
+            expect(response.status).toBe(429);
+        });
+    });
+
+    describe('Refresh tokens and logout', () => {
+        let tokens;
+
+        beforeEach(async () => {
+            const response = await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Session Test',
+                    email: 'session@example.com',
+                    password: 'password123'
+                });
+            tokens = response.body;
+        });
+
+        test('should return an access token and a refresh token', () => {
+            expect(tokens).toHaveProperty('token');
+            expect(tokens).toHaveProperty('refreshToken');
+        });
+
+        test('should rotate the refresh token', async () => {
+            const response = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('token');
+            expect(response.body.refreshToken).not.toBe(tokens.refreshToken);
+        });
+
+        test('should revoke the whole session when a rotated token is reused', async () => {
+            const rotated = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken });
+
+            const reuse = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: tokens.refreshToken });
+            expect(reuse.status).toBe(401);
+
+            const afterReuse = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: rotated.body.refreshToken });
+            expect(afterReuse.status).toBe(401);
+
+            const me = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${rotated.body.token}`);
+            expect(me.status).toBe(401);
+        });
+
+        test('should reject the access token after logout', async () => {
+            const logout = await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${tokens.token}`)
+                .send({ refreshToken: tokens.refreshToken });
+            expect(logout.status).toBe(200);
+
+            const me = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${tokens.token}`);
+            expect(me.status).toBe(401);
+        });
+
+        test('should list active sessions for the user', async () => {
+            const response = await request(app)
+                .get('/api/auth/sessions')
+                .set('Authorization', `Bearer ${tokens.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.sessions).toHaveLength(1);
+            expect(response.body.sessions[0]).toHaveProperty('current', true);
+        });
+    });
+
+    describe('Brute-force protection', () => {
+        beforeEach(async () => {
+            await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Brute Force Test',
+                    email: 'bruteforce@example.com',
+                    password: 'password123'
+                });
+        });
+
+        test('should slow down repeated failed logins for an account', async () => {
+            for (let i = 0; i < 3; i++) {
+                const attempt = await request(app)
+                    .post('/api/auth/login')
+                    .send({ email: 'bruteforce@example.com', password: 'wrongpassword' });
+                expect(attempt.status).toBe(401);
+            }
+
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'bruteforce@example.com', password: 'password123' });
+
+            expect(response.status).toBe(429);
+            expect(response.body).toHaveProperty('code', 'LOGIN_THROTTLED');
+            expect(response.headers).toHaveProperty('retry-after');
+        });
+
+        test('should reset the counter after a successful login', async () => {
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'bruteforce2@example.com', password: 'wrongpassword' });
+
+            await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: 'Brute Force Test',
+                    email: 'bruteforce2@example.com',
+                    password: 'password123'
+                });
+
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'bruteforce2@example.com', password: 'password123' });
+            expect(response.status).toBe(200);
+        });
+
+        test('should reject non-string credentials instead of querying with them', async () => {
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: ['bruteforce@example.com', 'other@example.com'], password: 'wrongpassword' });
+            expect(login.status).toBe(400);
+
+            const reset = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: { $ne: null } });
+            expect(reset.status).toBe(400);
+        });
+    });
+
+    describe('Two-factor authentication', () => {
+        let recoveryCodes;
+        let token;
+
+        beforeEach(async () => {
+            const signup = await request(app)
+                .post('/api/auth/signup')
+                .send({
+                    name: '2FA Test',
+                    email: 'twofactor@example.com',
+                    password: 'password123'
+                });
+            token = signup.body.token;
+
+            const setup = await request(app)
+                .post('/api/auth/2fa/setup')
+                .set('Authorization', `Bearer ${token}`);
+            expect(setup.body.otpauthUri).toContain('otpauth://totp/');
+
+            const enable = await request(app)
+                .post('/api/auth/2fa/enable')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ code: generateTotp(setup.body.secret) });
+            expect(enable.status).toBe(200);
+            recoveryCodes = enable.body.recoveryCodes;
+            token = enable.body.token;
+        });
+
+        test('should return a challenge instead of tokens after the password step', async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'twofactor@example.com', password: 'password123' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('twoFactorRequired', true);
+            expect(response.body).toHaveProperty('challengeToken');
+            expect(response.body).not.toHaveProperty('token');
+        });
+
+        test('should reject an invalid code', async () => {
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'twofactor@example.com', password: 'password123' });
+
+            const response = await request(app)
+                .post('/api/auth/2fa/verify')
+                .send({ challengeToken: login.body.challengeToken, code: '000000' });
+
+            expect(response.status).toBe(401);
+        });
+
+        test('should accept each recovery code once', async () => {
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'twofactor@example.com', password: 'password123' });
+
+            const first = await request(app)
+                .post('/api/auth/2fa/verify')
+                .send({ challengeToken: login.body.challengeToken, recoveryCode: recoveryCodes[0] });
+            expect(first.status).toBe(200);
+            expect(first.body).toHaveProperty('token');
+            expect(jwt.decode(first.body.token)).toHaveProperty('mfa', true);
+
+            const reuse = await request(app)
+                .post('/api/auth/2fa/verify')
+                .send({ challengeToken: login.body.challengeToken, recoveryCode: recoveryCodes[0] });
+            expect(reuse.status).toBe(401);
+        });
+
+        test('should keep counting bad codes when the password is entered again', async () => {
+            const login = () => request(app)
+                .post('/api/auth/login')
+                .send({ email: 'twofactor@example.com', password: 'password123' });
+
+            let response;
+            for (let i = 0; i < 4; i++) {
+                const { body } = await login();
+                expect(body).toHaveProperty('challengeToken');
+                response = await request(app)
+                    .post('/api/auth/2fa/verify')
+                    .send({ challengeToken: body.challengeToken, code: '000000' });
+            }
+
+            expect(response.status).toBe(429);
+            expect(response.body).toHaveProperty('code', 'LOGIN_THROTTLED');
+        });
+
+        test('should throttle codes guessed by a signed-in user', async () => {
+            for (let i = 0; i < 3; i++) {
+                const attempt = await request(app)
+                    .post('/api/auth/2fa/disable')
+                    .set('Authorization', `Bearer ${token}`)
+                    .send({ code: '000000' });
+                expect(attempt.status).toBe(400);
+            }
+
+            const response = await request(app)
+                .post('/api/auth/2fa/recovery-codes')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ code: '000000' });
+
+            expect(response.status).toBe(429);
+            expect(response.body).toHaveProperty('code', 'LOGIN_THROTTLED');
+        });
+
+        test('should not expose two-factor secrets', async () => {
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'twofactor@example.com', password: 'password123' });
+            const verify = await request(app)
+                .post('/api/auth/2fa/verify')
+                .send({ challengeToken: login.body.challengeToken, recoveryCode: recoveryCodes[1] });
+
+            const me = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${verify.body.token}`);
+
+            expect(me.body.twoFactor).toEqual(expect.objectContaining({ enabled: true }));
+            expect(me.body.twoFactor).not.toHaveProperty('secret');
+            expect(me.body.twoFactor).not.toHaveProperty('recoveryCodes');
+        });
+    });
+
+    describe('Account settings', () => {
+        const signup = (email) => request(app)
+            .post('/api/auth/signup')
+            .send({ name: 'Settings Test', email, password: 'password123' });
+
+        test('should require the current password to change it', async () => {
+            const user = await signup('settings-password@example.com');
+
+            const response = await request(app)
+                .post('/api/auth/change-password')
+                .set('Authorization', `Bearer ${user.body.token}`)
+                .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword123' });
+
+            expect(response.status).toBe(401);
+        });
+
+        test('should reject a non-string password with 400', async () => {
+            const user = await signup('settings-password-type@example.com');
+
+            const response = await request(app)
+                .post('/api/auth/change-password')
+                .set('Authorization', `Bearer ${user.body.token}`)
+                .send({ currentPassword: ['password123'], newPassword: { length: 10 } });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should change the password and sign out other sessions', async () => {
+            const user = await signup('settings-password2@example.com');
+
+            const response = await request(app)
+                .post('/api/auth/change-password')
+                .set('Authorization', `Bearer ${user.body.token}`)
+                .send({ currentPassword: 'password123', newPassword: 'newpassword123' });
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('token');
+
+            const refresh = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: user.body.refreshToken });
+            expect(refresh.status).toBe(401);
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'settings-password2@example.com', password: 'newpassword123' });
+            expect(login.status).toBe(200);
+        });
+
+        test('should only switch the email once the new address confirms it', async () => {
+            const user = await signup('settings-email@example.com');
+
+            const response = await request(app)
+                .post('/api/auth/change-email')
+                .set('Authorization', `Bearer ${user.body.token}`)
+                .send({ newEmail: 'settings-email-new@example.com', password: 'password123' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.user).toMatchObject({ email: 'settings-email@example.com', pendingEmail: 'settings-email-new@example.com' });
+            expect(app.locals.mailOutbox.some(m => m.template === 'emailChangeRequested' && m.to === 'settings-email@example.com')).toBe(true);
+
+            const link = app.locals.mailOutbox.filter(m => m.template === 'emailChangeVerification' && m.to === 'settings-email-new@example.com').pop();
+            const confirm = await request(app)
+                .post('/api/auth/verify-email')
+                .send({ token: new URL(link.data.verifyUrl).searchParams.get('token') });
+            expect(confirm.status).toBe(200);
+            expect(confirm.body).toMatchObject({ email: 'settings-email-new@example.com', emailVerified: true });
+            expect(app.locals.mailOutbox.some(m => m.template === 'emailChanged' && m.to === 'settings-email@example.com')).toBe(true);
+
+            const refresh = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: user.body.refreshToken });
+            expect(refresh.status).toBe(401);
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'settings-email-new@example.com', password: 'password123' });
+            expect(login.status).toBe(200);
+        });
+
+        test('should reject an email that is already taken', async () => {
+            const user = await signup('settings-email2@example.com');
+
+            const response = await request(app)
+                .post('/api/auth/change-email')
+                .set('Authorization', `Bearer ${user.body.token}`)
+                .send({ newEmail: 'settings-password@example.com', password: 'password123' });
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should schedule deletion and allow it to be cancelled', async () => {
+            const user = await signup('settings-delete@example.com');
+
+            const response = await request(app)
+                .delete('/api/auth/account')
+                .set('Authorization', `Bearer ${user.body.token}`)
+                .send({ password: 'password123' });
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveProperty('deletionScheduledFor');
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'settings-delete@example.com', password: 'password123' });
+            expect(login.body).toHaveProperty('deletionScheduledFor');
+
+            const cancel = await request(app)
+                .post('/api/auth/account/cancel-deletion')
+                .set('Authorization', `Bearer ${login.body.token}`);
+            expect(cancel.status).toBe(200);
+        });
+
+        test('should purge the account and its applications after the grace period', async () => {
+            const user = await signup('settings-purge@example.com');
+            const User = mongoose.model('User');
+            const Application = mongoose.model('Application');
+            await Application.create({ jobId: new mongoose.Types.ObjectId(), userId: user.body.user._id });
+
+            await request(app)
+                .delete('/api/auth/account')
+                .set('Authorization', `Bearer ${user.body.token}`)
+                .send({ password: 'password123' });
+
+            const later = new Date(Date.now() + 15 * 24 * 60 * 60 * 1000);
+            await app.locals.purgeScheduledDeletions(later);
+
+            expect(await User.findById(user.body.user._id)).toBeNull();
+            expect(await Application.countDocuments({ userId: user.body.user._id })).toBe(0);
+        });
     });
 });
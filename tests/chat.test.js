@@ -103,6 +103,7 @@ describe('AI Chat API Tests', () => {
             // This test assumes GEMINI_API_KEY is not set
             const originalKey = process.env.GEMINI_API_KEY;
             delete process.env.GEMINI_API_KEY;
+            app.locals.setAiProvider('gemini');
 
             const response = await request(app)
                 .post('/api/chat')
@@ -118,6 +119,385 @@ describe('AI Chat API Tests', () => {
         });
     });
 
+    describe('Streaming responses', () => {
+        // Parses an SSE body into [{ event, data }]
+        const parseEvents = (body) => body.trim().split('\n\n')
+            .filter(block => !block.startsWith(':'))
+            .map(block => {
+                const event = block.match(/^event: (.*)$/m)[1];
+                const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+                return { event, data };
+            });
+
+        test('should stream chunks followed by a done event', async () => {
+            const response = await request(app)
+                .post('/api/chat')
+                .set('Accept', 'text/event-stream')
+                .send({ message: 'What career path should I choose?' })
+                .buffer(true)
+                .parse((res, callback) => {
+                    let body = '';
+                    res.on('data', chunk => { body += chunk; });
+                    res.on('end', () => callback(null, body));
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+            const events = parseEvents(response.body);
+            expect(events.filter(e => e.event === 'chunk').length).toBeGreaterThan(0);
+            expect(events[events.length - 1]).toMatchObject({ event: 'done', data: { modelUsed: expect.any(String) } });
+        });
+
+        test('should stream the redirect for non-career queries', async () => {
+            const response = await request(app)
+                .post('/api/chat?stream=true')
+                .send({ message: 'What is the weather today?' })
+                .buffer(true)
+                .parse((res, callback) => {
+                    let body = '';
+                    res.on('data', chunk => { body += chunk; });
+                    res.on('end', () => callback(null, body));
+                });
+
+            const events = parseEvents(response.body);
+            expect(events.map(e => e.event)).toEqual(['chunk', 'done']);
+            expect(events[0].data.text).toContain('career');
+        });
+    });
+
+    describe('Conversations', () => {
+        const signup = async (email) => {
+            const response = await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Conversation User', email, password: 'password123' });
+            return response.body.token;
+        };
+        const send = (token, id, message) => request(app)
+            .post(`/api/conversations/${id}/messages`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ message });
+
+        test('should create, rename, list and delete conversations', async () => {
+            const token = await signup('conversations@example.com');
+
+            const created = await request(app)
+                .post('/api/conversations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({});
+            expect(created.status).toBe(201);
+            expect(created.body.conversation).toMatchObject({ title: 'New conversation', messageCount: 0 });
+            const { id } = created.body.conversation;
+
+            const renamed = await request(app)
+                .patch(`/api/conversations/${id}`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ title: 'Job search' });
+            expect(renamed.status).toBe(200);
+            expect(renamed.body.conversation).toHaveProperty('title', 'Job search');
+
+            const list = await request(app)
+                .get('/api/conversations')
+                .set('Authorization', `Bearer ${token}`);
+            expect(list.body.conversations.map(c => c.id)).toEqual([id]);
+            expect(list.body.pagination).toHaveProperty('total', 1);
+
+            const removed = await request(app)
+                .delete(`/api/conversations/${id}`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(removed.status).toBe(200);
+
+            const missing = await request(app)
+                .get(`/api/conversations/${id}`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(missing.status).toBe(404);
+        });
+
+        test('should store both turns and title the conversation from the first message', async () => {
+            const token = await signup('conversation-messages@example.com');
+            const created = await request(app)
+                .post('/api/conversations')
+                .set('Authorization', `Bearer ${token}`);
+            const { id } = created.body.conversation;
+
+            const response = await send(token, id, 'What is the weather today?');
+            expect(response.status).toBe(201);
+            expect(response.body.reply).toHaveProperty('role', 'model');
+            expect(response.body.conversation).toMatchObject({ title: 'What is the weather today?', messageCount: 2 });
+
+            await send(token, id, 'Tell me a joke');
+            const thread = await request(app)
+                .get(`/api/conversations/${id}`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(thread.body.messages.map(m => m.role)).toEqual(['user', 'model', 'user', 'model']);
+            expect(thread.body.messages[2]).toHaveProperty('text', 'Tell me a joke');
+        });
+
+        test('should count concurrent messages and title from only one of them', async () => {
+            const token = await signup('conversation-concurrent@example.com');
+            const created = await request(app)
+                .post('/api/conversations')
+                .set('Authorization', `Bearer ${token}`);
+            const { id } = created.body.conversation;
+
+            await Promise.all([send(token, id, 'First question'), send(token, id, 'Second question')]);
+
+            const thread = await request(app)
+                .get(`/api/conversations/${id}`)
+                .set('Authorization', `Bearer ${token}`);
+            expect(thread.body.conversation.messageCount).toBe(4);
+            expect(['First question', 'Second question']).toContain(thread.body.conversation.title);
+        });
+
+        test('should not expose other users\' conversations', async () => {
+            const owner = await signup('conversation-owner@example.com');
+            const other = await signup('conversation-other@example.com');
+            const created = await request(app)
+                .post('/api/conversations')
+                .set('Authorization', `Bearer ${owner}`)
+                .send({ title: 'Private' });
+
+            const response = await send(other, created.body.conversation.id, 'What is the weather today?');
+            expect(response.status).toBe(404);
+        });
+
+        test('should reject empty messages and require authentication', async () => {
+            const token = await signup('conversation-empty@example.com');
+            const created = await request(app)
+                .post('/api/conversations')
+                .set('Authorization', `Bearer ${token}`);
+
+            const empty = await send(token, created.body.conversation.id, '   ');
+            expect(empty.status).toBe(400);
+
+            const anonymous = await request(app).get('/api/conversations');
+            expect(anonymous.status).toBe(401);
+        });
+    });
+
+    describe('AI providers', () => {
+        test('should fall back to the next model when the primary is overloaded', async () => {
+            const provider = app.locals.createMockAiProvider([
+                { model: 'mock-model', error: { status: 503, message: 'overloaded' } },
+                { reply: 'Fallback answer about careers' }
+            ]);
+            app.locals.setAiProvider(provider);
+
+            const response = await request(app)
+                .post('/api/chat')
+                .send({ message: 'What career path should I choose?' });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ response: 'Fallback answer about careers', modelUsed: 'mock-fallback' });
+            expect(provider.calls.map(c => c.model)).toEqual(['mock-model', 'mock-fallback']);
+        });
+
+        test('should send the client history to the provider', async () => {
+            const provider = app.locals.createMockAiProvider();
+            app.locals.setAiProvider(provider);
+
+            await request(app)
+                .post('/api/chat')
+                .send({
+                    message: 'Tell me more about that career',
+                    history: [
+                        { sender: 'user', text: 'What skills do I need for software engineering?' },
+                        { sender: 'ai', text: 'You need programming skills, problem-solving...' }
+                    ]
+                });
+
+            expect(provider.calls[0].history).toEqual([
+                { role: 'user', text: 'What skills do I need for software engineering?' },
+                { role: 'model', text: 'You need programming skills, problem-solving...' }
+            ]);
+        });
+
+        test('should report the active provider in the health check', async () => {
+            const response = await request(app).get('/api/health');
+
+            expect(response.body).toMatchObject({ aiProvider: 'mock', aiConfigured: true });
+        });
+    });
+
+    describe('Signed-in and guest chat', () => {
+        const signup = async (email) => {
+            const response = await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Personalized User', email, password: 'password123' });
+            return response.body.token;
+        };
+
+        test('should personalize answers for signed-in users', async () => {
+            const token = await signup('personalized@example.com');
+            await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ fieldOfStudy: 'Marine Biology', careerGoals: 'Work in ocean conservation' });
+            const provider = app.locals.createMockAiProvider();
+            app.locals.setAiProvider(provider);
+
+            const response = await request(app)
+                .post('/api/chat')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ message: 'What career path should I choose?' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.userProfile).toBe('Used for personalization');
+            expect(response.body).not.toHaveProperty('guest');
+            expect(provider.calls[0].prompt).toContain('Marine Biology');
+        });
+
+        test('should reject an invalid token instead of treating the caller as a guest', async () => {
+            const response = await request(app)
+                .post('/api/chat')
+                .set('Authorization', 'Bearer not-a-token')
+                .send({ message: 'What career path should I choose?' });
+
+            expect(response.status).toBe(401);
+        });
+
+        test('should count guest messages against the guest session', async () => {
+            const first = await request(app)
+                .post('/api/chat')
+                .send({ message: 'What career path should I choose?' });
+
+            expect(first.status).toBe(200);
+            expect(first.body.userProfile).toBe('No profile available');
+            expect(first.body.guest).toMatchObject({ limit: 10, remaining: 9 });
+            expect(first.headers['x-guest-session']).toBe(first.body.guest.sessionId);
+
+            const second = await request(app)
+                .post('/api/chat')
+                .set('X-Guest-Session', first.body.guest.sessionId)
+                .send({ message: 'How do I prepare for an interview?' });
+
+            expect(second.body.guest).toMatchObject({ sessionId: first.body.guest.sessionId, remaining: 8 });
+        });
+
+        test('should not count rejected messages against the guest session', async () => {
+            const first = await request(app)
+                .post('/api/chat')
+                .send({ message: 'What career path should I choose?' });
+            const sessionId = first.body.guest.sessionId;
+
+            const empty = await request(app)
+                .post('/api/chat')
+                .set('X-Guest-Session', sessionId)
+                .send({ message: '   ' });
+            expect(empty.status).toBe(400);
+
+            const next = await request(app)
+                .post('/api/chat')
+                .set('X-Guest-Session', sessionId)
+                .send({ message: 'How do I prepare for an interview?' });
+            expect(next.body.guest).toMatchObject({ remaining: 8 });
+        });
+
+        test('should stop guests at the quota', async () => {
+            const first = await request(app)
+                .post('/api/chat')
+                .send({ message: 'What career path should I choose?' });
+            const sessionId = first.body.guest.sessionId;
+            for (let i = 1; i < first.body.guest.limit; i++) {
+                await request(app).post('/api/chat').set('X-Guest-Session', sessionId).send({ message: 'Interview tips' });
+            }
+
+            const response = await request(app)
+                .post('/api/chat')
+                .set('X-Guest-Session', sessionId)
+                .send({ message: 'Interview tips' });
+
+            expect(response.status).toBe(429);
+            expect(response.body).toMatchObject({ code: 'GUEST_QUOTA_EXCEEDED', signInRequired: true });
+            expect(response.headers['retry-after']).toBeDefined();
+        });
+    });
+
+    describe('Response cache', () => {
+        test('should answer a repeated question from the cache', async () => {
+            app.locals.setAiCacheStore('memory');
+            const provider = app.locals.createMockAiProvider();
+            app.locals.setAiProvider(provider);
+
+            const first = await request(app).post('/api/chat').send({ message: 'How do I prepare for a job interview?' });
+            const second = await request(app).post('/api/chat').send({ message: 'How do I prepare for a job interview?' });
+
+            expect(first.body.cached).toBe(false);
+            expect(second.body).toMatchObject({ cached: true, response: first.body.response, modelUsed: first.body.modelUsed });
+            expect(provider.calls).toHaveLength(1);
+        });
+
+        test('should key career recommendations by category and profile', async () => {
+            app.locals.setAiCacheStore('mongo');
+            const signup = await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Cache User', email: 'cache@example.com', password: 'password123' });
+            const token = signup.body.token;
+            const recommend = (category) => request(app)
+                .post('/api/career-recommendations')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ query: 'What should I learn next?', category });
+
+            expect((await recommend('skills')).body.cached).toBe(false);
+            expect((await recommend('skills')).body.cached).toBe(true);
+            expect((await recommend('salary')).body.cached).toBe(false);
+
+            await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ careerGoals: 'Lead a data team' });
+            expect((await recommend('skills')).body.cached).toBe(false);
+        });
+    });
+
+    describe('Usage metering and quotas', () => {
+        const signup = async (email) => {
+            const response = await request(app)
+                .post('/api/auth/signup')
+                .send({ name: 'Metered User', email, password: 'password123' });
+            return { token: response.body.token, userId: response.body.user._id };
+        };
+
+        test('should record each AI call with its tokens', async () => {
+            const { token, userId } = await signup('metered@example.com');
+
+            const response = await request(app)
+                .post('/api/chat')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ message: 'How do I prepare for a job interview?' });
+
+            const records = await mongoose.model('AiUsage').find({ userId });
+            expect(records).toHaveLength(1);
+            expect(records[0]).toMatchObject({ endpoint: 'chat', model: response.body.modelUsed, status: 'success', attempts: 1 });
+            expect(records[0].promptTokens).toBeGreaterThan(0);
+            expect(records[0].totalTokens).toBe(records[0].promptTokens + records[0].responseTokens);
+
+            const usage = await request(app)
+                .get('/api/user/ai-usage')
+                .set('Authorization', `Bearer ${token}`);
+            expect(usage.body.usage).toMatchObject({ dailyRequests: 1, monthlyRequests: 1, dailyTokens: records[0].totalTokens });
+            expect(usage.body.quota.dailyRequests).toBe(100);
+        });
+
+        test('should reject calls over the daily quota', async () => {
+            const { token, userId } = await signup('over-quota@example.com');
+            await mongoose.model('AiUsage').insertMany(Array.from({ length: 100 }, () => ({
+                userId, endpoint: 'chat', provider: 'mock', model: 'mock', status: 'success', expiresAt: new Date(Date.now() + 60000),
+            })));
+            const provider = app.locals.createMockAiProvider();
+            app.locals.setAiProvider(provider);
+
+            const response = await request(app)
+                .post('/api/chat')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ message: 'How do I prepare for a job interview?' });
+
+            expect(response.status).toBe(429);
+            expect(response.body).toMatchObject({ code: 'AI_QUOTA_EXCEEDED', limit: 'dailyRequests', quota: 100 });
+            expect(response.headers['retry-after']).toBeDefined();
+            expect(provider.calls).toHaveLength(0);
+        });
+    });
+
     describe('POST /api/career-recommendations', () => {
         beforeEach(async () => {
             // Update user profile
@@ -236,5 +616,33 @@ describe('AI Chat API Tests', () => {
                 expect(response.body.response).toContain('career');
             }
         });
+
+        test('should not let everyday how-to questions through and log them', async () => {
+            const response = await request(app)
+                .post('/api/chat')
+                .send({ message: 'How do I cook pasta?', history: [] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.response).not.toContain('Mock AI response');
+
+            const logged = await mongoose.model('RejectedQuery').findOne({ text: 'How do I cook pasta?' });
+            expect(logged).not.toBeNull();
+            expect(logged.matchedTerms).toEqual(expect.arrayContaining(['cook', 'pasta']));
+        });
+
+        test('should answer follow-ups in a career conversation', async () => {
+            const response = await request(app)
+                .post('/api/chat')
+                .send({
+                    message: 'Tell me more about that',
+                    history: [
+                        { sender: 'user', text: 'What career path should I choose?' },
+                        { sender: 'ai', text: 'Consider software engineering...' }
+                    ]
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.body.response).toContain('Mock AI response');
+        });
     });
 });
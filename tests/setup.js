@@ -4,23 +4,45 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 
 let mongoServer;
 
+// Tokens from generateToken must verify against the app's secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+// Google ID tokens in tests are signed with keys injected via app.locals.setGoogleSigningKeys
+process.env.GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || 'test-google-client-id';
+// Failed-login counters live in memory so they don't depend on collection cleanup
+process.env.LOGIN_ATTEMPT_STORE = 'memory';
+// Uploaded resumes are kept in memory instead of on disk
+process.env.RESUME_STORAGE = 'memory';
+// AI calls get deterministic replies from the mock provider; tests script it with app.locals.setAiProvider
+process.env.AI_PROVIDER = 'mock';
+// Cached answers would hide provider calls from other tests; cache tests switch a store on
+process.env.AI_CACHE_STORE = 'off';
+// Adds a custom role (see role-permissions.json) for the permission tests
+process.env.ROLE_PERMISSIONS_FILE = require('path').join(__dirname, 'role-permissions.json');
+
+// The app is shared by every suite; it doesn't connect or listen when required
+global.app = require('../server');
+
 // Setup before all tests
 beforeAll(async () => {
-    // Create in-memory MongoDB instance
-    mongoServer = await MongoMemoryServer.create();
-    const mongoUri = mongoServer.getUri();
+    // Use MONGO_URI_TEST when a test database is provided, otherwise an in-memory instance
+    let mongoUri = process.env.MONGO_URI_TEST;
+    if (!mongoUri) {
+        mongoServer = await MongoMemoryServer.create();
+        mongoUri = mongoServer.getUri();
+    }
     
-    // Connect to the in-memory database
-    await mongoose.connect(mongoUri, {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
-    });
+    // Connect to the test database
+    await mongoose.connect(mongoUri);
     
     console.log('Test database connected');
 });
 
 // Cleanup after each test
 afterEach(async () => {
+    // Undo any provider or cache store a test scripted or switched to
+    app.locals.setAiProvider('mock');
+    app.locals.setAiCacheStore('off');
+
     // Clear all collections
     const collections = mongoose.connection.collections;
     for (const key in collections) {
@@ -58,15 +80,44 @@ global.createTestUser = async (overrides = {}) => {
     return await User.create(defaultUser);
 };
 
-global.generateToken = (userId, email, role = 'user') => {
+// Access tokens must reference a live session, so one is created for the token
+global.generateToken = async (userId, email, role = 'user') => {
     const jwt = require('jsonwebtoken');
+    const Session = mongoose.model('Session');
+    const session = await Session.create({
+        userId,
+        refreshTokenHash: 'test-refresh-token',
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
     return jwt.sign(
-        { userId, email, role },
+        { userId, email, role, sid: session._id },
         process.env.JWT_SECRET || 'test-secret',
-        { expiresIn: '7d' }
+        { expiresIn: '15m' }
     );
 };
 
+// Current TOTP code for a base32 secret returned by /api/auth/2fa/setup
+global.generateTotp = (secret, timestamp = Date.now()) => {
+    const crypto = require('crypto');
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of secret.toUpperCase()) {
+        value = (value << 5) | alphabet.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(timestamp / 1000 / 30)));
+    const hmac = crypto.createHmac('sha1', Buffer.from(bytes)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
 // Suppress console logs during tests (optional)
 if (process.env.SUPPRESS_LOGS === 'true') {
     global.console = {
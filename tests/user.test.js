@@ -0,0 +1,793 @@
+// Backend User Data Tests
+const request = require('supertest');
+const mongoose = require('mongoose');
+const zlib = require('zlib');
+const sharp = require('sharp');
+
+describe('User API Tests', () => {
+    const signup = async (email) => {
+        const response = await request(app)
+            .post('/api/auth/signup')
+            .send({ name: 'Data Test User', email, password: 'password123' });
+        return response.body;
+    };
+
+    describe('PATCH /api/user/profile', () => {
+        test('should only change the fields that are sent', async () => {
+            const user = await signup('patch@example.com');
+            await request(app)
+                .post('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ educationLevel: "Bachelor's Degree", fieldOfStudy: 'Computer Science', skills: 'JavaScript, Python' });
+
+            const response = await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ careerGoals: 'Lead a platform team' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.profile).toHaveProperty('careerGoals', 'Lead a platform team');
+            expect(response.body.profile).toHaveProperty('fieldOfStudy', 'Computer Science');
+            expect(response.body.profile.skills).toEqual(['JavaScript', 'Python']);
+        });
+
+        test('should reject invalid values per field', async () => {
+            const user = await signup('patch-invalid@example.com');
+
+            const response = await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ yearOfCompletion: 'soon', willingToRelocate: 'maybe', favouriteColour: 'blue' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details.map(d => d.field)).toEqual(
+                expect.arrayContaining(['yearOfCompletion', 'willingToRelocate', 'favouriteColour'])
+            );
+        });
+
+        test('should accept the fields and values older clients send', async () => {
+            const user = await signup('patch-legacy@example.com');
+
+            const response = await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({
+                    educationLevel: "bachelor's degree",
+                    currentStatus: 'Looking for my first job',
+                    technicalSkills: 'JavaScript, SQL',
+                    softSkills: ['Leadership'],
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.body.profile).toMatchObject({
+                educationLevel: "Bachelor's Degree",
+                currentStatus: 'Looking for my first job',
+                skills: ['JavaScript', 'SQL', 'Leadership'],
+            });
+            expect(response.body.profile).not.toHaveProperty('technicalSkills');
+        });
+
+        test('should clear fields set to null', async () => {
+            const user = await signup('patch-clear@example.com');
+            await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ salaryExpectations: '80k' });
+
+            const response = await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ salaryExpectations: null });
+
+            expect(response.status).toBe(200);
+            expect(response.body.profile).not.toHaveProperty('salaryExpectations');
+        });
+    });
+
+    describe('Skills taxonomy', () => {
+        test('should normalize skill synonyms to canonical names', async () => {
+            const user = await signup('skills@example.com');
+
+            const response = await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ skills: ['JS', 'javascript', 'Java Script', 'reactjs', 'Team player', 'Underwater Welding'] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.profile.skills).toEqual(['JavaScript', 'React', 'Teamwork', 'Underwater Welding']);
+        });
+
+        test('should group profile skills by type', async () => {
+            const user = await signup('skill-groups@example.com');
+            await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ skills: 'python, communication, beekeeping' });
+
+            const response = await request(app)
+                .get('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.body.skillGroups).toEqual({
+                technical: ['Python'],
+                soft: ['Communication'],
+                other: ['beekeeping']
+            });
+        });
+
+        test('should autocomplete skills by name and synonym', async () => {
+            const byName = await request(app).get('/api/skills?q=pyth');
+            expect(byName.status).toBe(200);
+            expect(byName.body.skills[0]).toHaveProperty('name', 'Python');
+
+            const bySynonym = await request(app).get('/api/skills?q=k8s');
+            expect(bySynonym.body.skills[0]).toHaveProperty('name', 'Kubernetes');
+            expect(bySynonym.body.skills[0].related).toContain('Docker');
+        });
+    });
+
+    describe('Profile completeness', () => {
+        test('should score an empty profile as zero with suggestions', async () => {
+            const user = await signup('completeness-empty@example.com');
+
+            const response = await request(app)
+                .get('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.completeness.score).toBe(0);
+            expect(response.body.completeness.missing[0]).toHaveProperty('suggestion');
+        });
+
+        test('should weight sections and give partial credit for weak fields', async () => {
+            const user = await signup('completeness@example.com');
+
+            const response = await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ skills: ['SQL'], careerGoals: 'Analyst' });
+
+            const { completeness } = response.body;
+            expect(completeness.sections).toEqual(expect.arrayContaining([
+                { name: 'skills', weight: 25, score: 25 },
+                { name: 'goals', weight: 20, score: 50 }
+            ]));
+            expect(completeness.score).toBe(16);
+            expect(completeness.missing).toEqual(expect.arrayContaining([
+                expect.objectContaining({ field: 'skills', status: 'weak' })
+            ]));
+        });
+    });
+
+    describe('Profile revisions', () => {
+        test('should record a diff for each change', async () => {
+            const user = await signup('revisions@example.com');
+            await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ careerGoals: 'First goal' });
+            await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ careerGoals: 'Second goal' });
+
+            const response = await request(app)
+                .get('/api/user/profile/revisions')
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.revisions).toHaveLength(2);
+            expect(response.body.revisions[0].changes).toEqual([
+                { field: 'careerGoals', from: 'First goal', to: 'Second goal' }
+            ]);
+        });
+
+        test('should roll back to a previous revision', async () => {
+            const user = await signup('rollback@example.com');
+            const first = await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ careerGoals: 'Original goal', institution: 'State University' });
+            await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ careerGoals: 'Changed goal' });
+
+            const response = await request(app)
+                .post(`/api/user/profile/revisions/${first.body.revision.id}/rollback`)
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.profile).toHaveProperty('careerGoals', 'Original goal');
+            expect(response.body.revision).toHaveProperty('source', 'rollback');
+        });
+
+        test("should not expose another user's revisions", async () => {
+            const owner = await signup('revision-owner@example.com');
+            const other = await signup('revision-other@example.com');
+            const patch = await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ careerGoals: 'Private goal' });
+
+            const response = await request(app)
+                .get(`/api/user/profile/revisions/${patch.body.revision.id}`)
+                .set('Authorization', `Bearer ${other.token}`);
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('Education and work history', () => {
+        test('should add positions and derive years of experience', async () => {
+            const user = await signup('history@example.com');
+            const add = (body) => request(app)
+                .post('/api/user/profile/experience')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send(body);
+
+            const first = await add({ title: 'Developer', employer: 'Acme', startDate: '2015-01', endDate: '2018-01', skills: ['js'] });
+            expect(first.status).toBe(201);
+            expect(first.body.entry).toHaveProperty('_id');
+            expect(first.body.entry.skills).toEqual(['JavaScript']);
+            await add({ title: 'Lead Developer', employer: 'Globex', startDate: '2017-01', endDate: '2020-01' });
+
+            const response = await request(app)
+                .get('/api/user/profile/experience')
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.experience.map(p => p.employer)).toEqual(['Globex', 'Acme']);
+            expect(response.body.yearsOfExperience).toBe(5);
+
+            const profile = await request(app)
+                .get('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(profile.body.profile).toHaveProperty('workExperience', '5-10 years');
+            expect(profile.body.yearsOfExperience).toBe(5);
+        });
+
+        test('should validate dates and required fields', async () => {
+            const user = await signup('history-invalid@example.com');
+
+            const response = await request(app)
+                .post('/api/user/profile/experience')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ title: 'Developer', startDate: '2020-01', endDate: '2019-01' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details.map(d => d.field)).toEqual(expect.arrayContaining(['employer', 'endDate']));
+        });
+
+        test('should update and delete education entries and keep the summary in sync', async () => {
+            const user = await signup('history-education@example.com');
+            const created = await request(app)
+                .post('/api/user/profile/education')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ institution: 'State University', level: "Bachelor's Degree", startDate: '2012-09', endDate: '2016-06' });
+            expect(created.status).toBe(201);
+
+            const updated = await request(app)
+                .put(`/api/user/profile/education/${created.body.entry._id}`)
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ fieldOfStudy: 'Economics' });
+            expect(updated.status).toBe(200);
+            expect(updated.body.entry).toHaveProperty('institution', 'State University');
+            expect(updated.body.entry).toHaveProperty('fieldOfStudy', 'Economics');
+
+            const profile = await request(app)
+                .get('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(profile.body.profile).toMatchObject({
+                educationLevel: "Bachelor's Degree",
+                fieldOfStudy: 'Economics',
+                institution: 'State University',
+                yearOfCompletion: '2016'
+            });
+
+            const removed = await request(app)
+                .delete(`/api/user/profile/education/${created.body.entry._id}`)
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(removed.status).toBe(200);
+
+            const revisions = await request(app)
+                .get('/api/user/profile/revisions')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(revisions.body.revisions[0].changes.map(c => c.field)).toContain('education');
+        });
+
+        test('should keep history when the whole profile is saved', async () => {
+            const user = await signup('history-preserve@example.com');
+            await request(app)
+                .post('/api/user/profile/experience')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ title: 'Analyst', employer: 'Initech', startDate: '2019-03', current: true });
+
+            await request(app)
+                .post('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ careerGoals: 'Move into data science' });
+
+            const response = await request(app)
+                .get('/api/user/profile/experience')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(response.body.experience).toHaveLength(1);
+            expect(response.body.experience[0]).toHaveProperty('current', true);
+        });
+    });
+
+    describe('Resume uploads', () => {
+        const upload = (token, content, filename, contentType) => request(app)
+            .post('/api/user/resume')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('resume', Buffer.from(content), { filename, contentType });
+
+        test('should upload a resume and make the first one primary', async () => {
+            const user = await signup('resume@example.com');
+
+            const response = await upload(user.token, 'Jane Doe\nSoftware Engineer', 'resume.txt', 'text/plain');
+
+            expect(response.status).toBe(201);
+            expect(response.body.resume).toHaveProperty('isPrimary', true);
+            expect(response.body.resume).toHaveProperty('originalName', 'resume.txt');
+        });
+
+        test('should reject unsupported file types', async () => {
+            const user = await signup('resume-type@example.com');
+
+            const response = await upload(user.token, 'MZ binary', 'resume.exe', 'application/octet-stream');
+
+            expect(response.status).toBe(415);
+        });
+
+        test('should reject files whose contents do not match the extension', async () => {
+            const user = await signup('resume-spoof@example.com');
+
+            const response = await upload(user.token, 'not really a pdf', 'resume.pdf', 'application/pdf');
+
+            expect(response.status).toBe(415);
+        });
+
+        test('should keep versions and switch the primary resume', async () => {
+            const user = await signup('resume-versions@example.com');
+            const first = await upload(user.token, 'Version one', 'v1.txt', 'text/plain');
+            const second = await upload(user.token, 'Version two', 'v2.txt', 'text/plain');
+            expect(second.body.resume).toHaveProperty('isPrimary', false);
+
+            await request(app)
+                .post(`/api/user/resume/${second.body.resume.id}/primary`)
+                .set('Authorization', `Bearer ${user.token}`);
+
+            const list = await request(app)
+                .get('/api/user/resume')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(list.body.resumes).toHaveLength(2);
+            expect(list.body.resumes.find(r => r.id === first.body.resume.id).isPrimary).toBe(false);
+            expect(list.body.resumes.find(r => r.id === second.body.resume.id).isPrimary).toBe(true);
+        });
+
+        test('should download and delete a resume', async () => {
+            const user = await signup('resume-download@example.com');
+            const uploaded = await upload(user.token, 'Downloadable resume', 'cv.txt', 'text/plain');
+
+            const download = await request(app)
+                .get(`/api/user/resume/${uploaded.body.resume.id}/download`)
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(download.status).toBe(200);
+            expect(download.text).toBe('Downloadable resume');
+
+            const removed = await request(app)
+                .delete(`/api/user/resume/${uploaded.body.resume.id}`)
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(removed.status).toBe(200);
+
+            const again = await request(app)
+                .get(`/api/user/resume/${uploaded.body.resume.id}/download`)
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(again.status).toBe(404);
+        });
+
+        test("should not allow downloading another user's resume", async () => {
+            const owner = await signup('resume-owner@example.com');
+            const other = await signup('resume-other@example.com');
+            const uploaded = await upload(owner.token, 'Private resume', 'cv.txt', 'text/plain');
+
+            const response = await request(app)
+                .get(`/api/user/resume/${uploaded.body.resume.id}/download`)
+                .set('Authorization', `Bearer ${other.token}`);
+
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('Avatar', () => {
+        const image = (format) => sharp({ create: { width: 600, height: 400, channels: 3, background: '#3366cc' } })[format]().toBuffer();
+        const upload = (token, buffer, filename, contentType) => request(app)
+            .post('/api/user/avatar')
+            .set('Authorization', `Bearer ${token}`)
+            .attach('avatar', buffer, { filename, contentType });
+
+        test('should resize an upload and serve every size', async () => {
+            const user = await signup('avatar@example.com');
+
+            const response = await upload(user.token, await image('png'), 'me.png', 'image/png');
+
+            expect(response.status).toBe(200);
+            expect(Object.keys(response.body.avatarSizes)).toEqual(['small', 'medium', 'large']);
+            expect(response.body.avatar).toBe(response.body.avatarSizes.medium);
+
+            expect(response.body.avatar).not.toContain(user.user._id);
+
+            const small = await request(app)
+                .get(response.body.avatarSizes.small)
+                .set('Authorization', `Bearer ${user.token}`)
+                .buffer(true);
+            expect(small.status).toBe(200);
+            expect(small.headers['content-type']).toMatch(/image\/webp/);
+            const metadata = await sharp(small.body).metadata();
+            expect(metadata).toMatchObject({ width: 64, height: 64 });
+
+            const me = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(me.body.avatar).toBe(response.body.avatar);
+            expect(JSON.stringify(me.body)).not.toContain('storageKey');
+        });
+
+        test('should reject unsupported types and invalid images', async () => {
+            const user = await signup('avatar-invalid@example.com');
+
+            const wrongType = await upload(user.token, Buffer.from('%PDF-1.4'), 'me.pdf', 'application/pdf');
+            expect(wrongType.status).toBe(415);
+
+            const notAnImage = await upload(user.token, Buffer.from('not really a png'), 'me.png', 'image/png');
+            expect(notAnImage.status).toBe(415);
+        });
+
+        test('should replace and remove the uploaded avatar', async () => {
+            const user = await signup('avatar-replace@example.com');
+            const first = await upload(user.token, await image('png'), 'one.png', 'image/png');
+            await new Promise(resolve => setTimeout(resolve, 5));
+            const second = await upload(user.token, await image('jpeg'), 'two.jpg', 'image/jpeg');
+            expect(second.body.avatar).not.toBe(first.body.avatar);
+
+            const removed = await request(app)
+                .delete('/api/user/avatar')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(removed.status).toBe(200);
+            expect(removed.body.avatar).toBeNull();
+
+            const stale = await request(app)
+                .get(second.body.avatarSizes.medium)
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(stale.status).toBe(404);
+        });
+
+        test('should serve the avatar only to its owner or through a shared profile', async () => {
+            const user = await signup('avatar-private@example.com');
+            const other = await signup('avatar-stranger@example.com');
+            const uploaded = await upload(user.token, await image('png'), 'me.png', 'image/png');
+
+            expect((await request(app).get(uploaded.body.avatar)).status).toBe(401);
+            const stranger = await request(app)
+                .get(uploaded.body.avatar)
+                .set('Authorization', `Bearer ${other.token}`);
+            expect(stranger.status).toBe(404);
+
+            await request(app)
+                .put('/api/user/public-profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ enabled: true, slug: 'avatar-owner' });
+            const profile = await request(app).get('/api/public/profiles/avatar-owner');
+            expect(profile.body.profile.avatar).toMatch(/^\/api\/public\/profiles\/avatar-owner\/avatar\/medium/);
+            expect((await request(app).get(profile.body.profile.avatar)).status).toBe(200);
+
+            await request(app)
+                .put('/api/user/public-profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ visibility: { avatar: false } });
+            expect((await request(app).get(profile.body.profile.avatar)).status).toBe(404);
+        });
+    });
+
+    describe('Public profile', () => {
+        const share = (token, body) => request(app)
+            .put('/api/user/public-profile')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body);
+
+        test('should be private until enabled', async () => {
+            const user = await signup('public-off@example.com');
+
+            const settings = await request(app)
+                .get('/api/user/public-profile')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(settings.body.publicProfile).toMatchObject({ enabled: false, slug: null });
+
+            await share(user.token, { slug: 'jane-doe' });
+            const response = await request(app).get('/api/public/profiles/jane-doe');
+            expect(response.status).toBe(404);
+        });
+
+        test('should share only visible fields and count views', async () => {
+            const user = await signup('public@example.com');
+            await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ careerGoals: 'Become a data engineer', salaryExpectations: '90k', skills: ['Python'] });
+
+            const enabled = await share(user.token, { enabled: true, slug: 'Data-Person', visibility: { careerGoals: false } });
+            expect(enabled.status).toBe(200);
+            expect(enabled.body.publicProfile).toMatchObject({ enabled: true, slug: 'data-person' });
+
+            const response = await request(app).get('/api/public/profiles/data-person');
+            expect(response.status).toBe(200);
+            expect(response.body.profile).toHaveProperty('name', 'Data Test User');
+            expect(response.body.profile.profile.skills).toEqual(['Python']);
+            expect(response.body.profile.profile).not.toHaveProperty('careerGoals');
+            expect(response.body.profile.profile).not.toHaveProperty('salaryExpectations');
+            expect(JSON.stringify(response.body)).not.toContain('public@example.com');
+
+            await request(app).get('/api/public/profiles/data-person');
+            const settings = await request(app)
+                .get('/api/user/public-profile')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(settings.body.publicProfile.views).toBe(2);
+        });
+
+        test('should reject invalid settings and taken slugs', async () => {
+            const first = await signup('public-first@example.com');
+            const second = await signup('public-second@example.com');
+            await share(first.token, { enabled: true, slug: 'taken-slug' });
+
+            const invalid = await share(second.token, { slug: 'a', visibility: { email: true } });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.details.map(d => d.field)).toEqual(expect.arrayContaining(['slug', 'visibility.email']));
+
+            const taken = await share(second.token, { enabled: true, slug: 'taken-slug' });
+            expect(taken.status).toBe(409);
+        });
+
+        test('should regenerate and revoke the share link', async () => {
+            const user = await signup('public-link@example.com');
+            const enabled = await share(user.token, { enabled: true });
+            const firstSlug = enabled.body.publicProfile.slug;
+            expect(firstSlug).toMatch(/^data-test-user-[0-9a-f]{8}$/);
+
+            const regenerated = await request(app)
+                .post('/api/user/public-profile/regenerate')
+                .set('Authorization', `Bearer ${user.token}`);
+            const secondSlug = regenerated.body.publicProfile.slug;
+            expect(secondSlug).not.toBe(firstSlug);
+            expect((await request(app).get(`/api/public/profiles/${firstSlug}`)).status).toBe(404);
+            expect((await request(app).get(`/api/public/profiles/${secondSlug}`)).status).toBe(200);
+
+            const revoked = await request(app)
+                .delete('/api/user/public-profile')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(revoked.body.publicProfile).toMatchObject({ enabled: false, slug: null });
+            expect((await request(app).get(`/api/public/profiles/${secondSlug}`)).status).toBe(404);
+        });
+    });
+
+    describe('Resume parsing', () => {
+        const uploadResume = async (token) => {
+            const response = await request(app)
+                .post('/api/user/resume')
+                .set('Authorization', `Bearer ${token}`)
+                .attach('resume', Buffer.from('Jane Doe\nBSc Computer Science, State University\nSkills: JavaScript, SQL'), {
+                    filename: 'resume.txt',
+                    contentType: 'text/plain'
+                });
+            return response.body.resume.id;
+        };
+
+        test('should fail without GEMINI_API_KEY', async () => {
+            const originalKey = process.env.GEMINI_API_KEY;
+            delete process.env.GEMINI_API_KEY;
+            app.locals.setAiProvider('gemini');
+            const user = await signup('parse-nokey@example.com');
+            const resumeId = await uploadResume(user.token);
+
+            const response = await request(app)
+                .post(`/api/user/resume/${resumeId}/parse`)
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(500);
+            expect(response.body.error).toContain('GEMINI_API_KEY');
+            process.env.GEMINI_API_KEY = originalKey;
+        });
+
+        test('should store the parsed draft without changing the profile', async () => {
+            app.locals.setAiProvider(app.locals.createMockAiProvider([{
+                match: 'State University',
+                reply: JSON.stringify({ educationLevel: "Bachelor's Degree", institution: 'State University', technicalSkills: ['JavaScript', 'SQL'] })
+            }]));
+            const user = await signup('parse-mock@example.com');
+            const resumeId = await uploadResume(user.token);
+
+            const response = await request(app)
+                .post(`/api/user/resume/${resumeId}/parse`)
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.draft).toMatchObject({ institution: 'State University', technicalSkills: ['JavaScript', 'SQL'] });
+
+            const profile = await request(app)
+                .get('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(profile.body.profile).not.toHaveProperty('institution');
+        });
+
+        test('should reject a resume that decompresses to too much data', async () => {
+            const user = await signup('parse-bomb@example.com');
+            const bomb = Buffer.concat([
+                Buffer.from('%PDF-1.4\n1 0 obj\n<< /Filter /FlateDecode >>\nstream\n'),
+                zlib.deflateSync(Buffer.alloc(50 * 1024 * 1024)),
+                Buffer.from('\nendstream\nendobj\n'),
+            ]);
+            const upload = await request(app)
+                .post('/api/user/resume')
+                .set('Authorization', `Bearer ${user.token}`)
+                .attach('resume', bomb, { filename: 'resume.pdf', contentType: 'application/pdf' });
+
+            const response = await request(app)
+                .post(`/api/user/resume/${upload.body.resume.id}/parse`)
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain('too much data');
+        });
+
+        test('should scan a pathological PDF in bounded time', async () => {
+            const user = await signup('parse-slow@example.com');
+            const pdf = Buffer.from('%PDF-' + '<<>>'.repeat(200000) + '<<>>stream\nBT' + '(\\'.repeat(300000) + '['.repeat(300000) + 'ET\nendstream');
+            const upload = await request(app)
+                .post('/api/user/resume')
+                .set('Authorization', `Bearer ${user.token}`)
+                .attach('resume', pdf, { filename: 'resume.pdf', contentType: 'application/pdf' });
+
+            const startedAt = Date.now();
+            const response = await request(app)
+                .post(`/api/user/resume/${upload.body.resume.id}/parse`)
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(422);
+            expect(Date.now() - startedAt).toBeLessThan(2000);
+        });
+
+        test('should require parsing before confirming', async () => {
+            const user = await signup('parse-confirm-early@example.com');
+            const resumeId = await uploadResume(user.token);
+
+            const response = await request(app)
+                .post(`/api/user/resume/${resumeId}/parse/confirm`)
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(400);
+        });
+
+        test('should merge only the confirmed draft fields into the profile', async () => {
+            const user = await signup('parse-confirm@example.com');
+            const resumeId = await uploadResume(user.token);
+            await request(app)
+                .patch('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ skills: ['Python'], institution: 'Old College' });
+
+            const Resume = mongoose.model('Resume');
+            await Resume.findByIdAndUpdate(resumeId, {
+                parsed: {
+                    draft: {
+                        educationLevel: "Bachelor's Degree",
+                        institution: 'State University',
+                        technicalSkills: ['JavaScript', 'SQL'],
+                        softSkills: ['Communication']
+                    },
+                    parsedAt: new Date()
+                }
+            });
+
+            const response = await request(app)
+                .post(`/api/user/resume/${resumeId}/parse/confirm`)
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ fields: ['educationLevel', 'technicalSkills', 'softSkills'] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.profile).toHaveProperty('educationLevel', "Bachelor's Degree");
+            expect(response.body.profile).toHaveProperty('institution', 'Old College');
+            expect(response.body.profile.skills).toEqual(['Python', 'JavaScript', 'SQL', 'Communication']);
+            expect(response.body.revision).toHaveProperty('source', 'resume');
+        });
+    });
+
+    describe('GET /api/user/export', () => {
+        test('should download an archive with JSON and a summary', async () => {
+            const user = await signup('export@example.com');
+            await request(app)
+                .post('/api/user/profile')
+                .set('Authorization', `Bearer ${user.token}`)
+                .send({ careerGoals: 'Become a data engineer', salaryExpectations: '80k' });
+
+            const response = await request(app)
+                .get('/api/user/export')
+                .set('Authorization', `Bearer ${user.token}`)
+                .responseType('blob');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-disposition']).toContain('careerion-export-');
+            const archive = zlib.gunzipSync(response.body).toString();
+            expect(archive).toContain('careerion-export/data.json');
+            expect(archive).toContain('careerion-export/summary.txt');
+            expect(archive).toContain('Become a data engineer');
+            expect(archive).not.toContain('"password"');
+        });
+
+        test('should build large exports in the background', async () => {
+            const user = await signup('export-async@example.com');
+
+            const response = await request(app)
+                .get('/api/user/export?async=true')
+                .set('Authorization', `Bearer ${user.token}`);
+            expect(response.status).toBe(202);
+
+            const exportId = response.body.export.id;
+            await app.locals.processDataExport(exportId);
+            let status;
+            for (let i = 0; i < 20 && status !== 'ready'; i++) {
+                const poll = await request(app)
+                    .get(`/api/user/export/${exportId}`)
+                    .set('Authorization', `Bearer ${user.token}`);
+                status = poll.body.export.status;
+                if (status !== 'ready') await new Promise(resolve => setTimeout(resolve, 50));
+            }
+            expect(status).toBe('ready');
+
+            const download = await request(app)
+                .get(`/api/user/export/${exportId}/download`)
+                .set('Authorization', `Bearer ${user.token}`)
+                .responseType('blob');
+            expect(download.status).toBe(200);
+            expect(app.locals.mailOutbox.some(m => m.template === 'dataExportReady' && m.to === 'export-async@example.com')).toBe(true);
+        });
+
+        test('should replace an export interrupted by a restart', async () => {
+            const user = await signup('export-stale@example.com');
+            const DataExport = mongoose.model('DataExport');
+            const stale = await DataExport.create({
+                userId: user.user._id,
+                status: 'processing',
+                requestedAt: new Date(Date.now() - 60 * 60 * 1000),
+                expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+            });
+
+            const response = await request(app)
+                .get('/api/user/export?async=true')
+                .set('Authorization', `Bearer ${user.token}`);
+
+            expect(response.status).toBe(202);
+            expect(response.body.export.id).not.toBe(String(stale._id));
+            expect((await DataExport.findById(stale._id)).status).toBe('failed');
+        });
+
+        test("should not expose another user's export", async () => {
+            const owner = await signup('export-owner@example.com');
+            const other = await signup('export-other@example.com');
+
+            const response = await request(app)
+                .get('/api/user/export?async=true')
+                .set('Authorization', `Bearer ${owner.token}`);
+
+            const status = await request(app)
+                .get(`/api/user/export/${response.body.export.id}`)
+                .set('Authorization', `Bearer ${other.token}`);
+            expect(status.status).toBe(404);
+        });
+
+        test('should fail without authentication', async () => {
+            const response = await request(app).get('/api/user/export');
+
+            expect(response.status).toBe(401);
+        });
+    });
+});